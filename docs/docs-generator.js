@@ -28,6 +28,8 @@ if (program.file) {
     {file:'lib/transaction.js', output: 'transaction'},
     {file:'lib/data-types.js', output: 'datatypes'},
     {file:'lib/deferrable.js', output: 'deferrable'},
+    {file:'lib/text-search.js', output: 'text-search'},
+    {file:'lib/migrator.js', output: 'migrator'},
     {file:'lib/associations/belongs-to-many.js', output: 'associations/belongs-to-many'},
     {file:'lib/associations/has-many.js', output: 'associations/has-many'},
     {file:'lib/associations/has-one.js', output: 'associations/has-one'},
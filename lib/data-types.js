@@ -549,6 +549,46 @@ util.inherits(JSONB, JSONTYPE);
 
 JSONB.prototype.key = JSONB.key = 'JSONB';
 
+/**
+ * A full-text search document: a sorted list of normalized lexemes, with the positions (and weights) they occur at. Only available in postgres.
+ *
+ * Values are returned as an array of lexemes, and can be written the same way:
+ * ```js
+ * [
+ *   { lexeme: 'cat', positions: [{ position: 3, weight: 'A' }, { position: 5, weight: 'D' }] },
+ *   { lexeme: 'fat', positions: [2], weight: 'B' }, // The weight applies to all positions of the lexeme
+ *   'rat'                                          // A lexeme without positions
+ * ]
+ * ```
+ * A string is written as is, in the `tsvector` text format (`'cat':3A,5 'fat':2B 'rat'`).
+ * @property TSVECTOR
+ */
+var TSVECTOR = ABSTRACT.inherits();
+
+TSVECTOR.prototype.key = TSVECTOR.key = 'TSVECTOR';
+TSVECTOR.prototype.validate = function(value) {
+  if (!_.isString(value) && !Array.isArray(value)) {
+    throw new sequelizeErrors.ValidationError(util.format('%j is not a valid tsvector', value));
+  }
+
+  return true;
+};
+
+/**
+ * A full-text search query, in the `tsquery` text format (`'fat' & ( 'rat' | 'cat':*B )`). Only available in postgres.
+ * @property TSQUERY
+ */
+var TSQUERY = ABSTRACT.inherits();
+
+TSQUERY.prototype.key = TSQUERY.key = 'TSQUERY';
+TSQUERY.prototype.validate = function(value) {
+  if (!_.isString(value)) {
+    throw new sequelizeErrors.ValidationError(util.format('%j is not a valid tsquery', value));
+  }
+
+  return true;
+};
+
 /**
  * A default value of the current timestamp
  * @property NOW
@@ -977,7 +1017,9 @@ var dataTypes = {
   DOUBLE: DOUBLE,
   'DOUBLE PRECISION': DOUBLE,
   GEOMETRY: GEOMETRY,
-  GEOGRAPHY: GEOGRAPHY
+  GEOGRAPHY: GEOGRAPHY,
+  TSVECTOR: TSVECTOR,
+  TSQUERY: TSQUERY
 };
 
 _.each(dataTypes, function (dataType) {
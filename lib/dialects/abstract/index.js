@@ -42,10 +42,18 @@ AbstractDialect.prototype.supports = {
     type: false
   },
   migrations: true,
+  /* Can schema changes be rolled back with the transaction they were made in */
+  ddlTransactions: false,
+  /* Locks named by the application, held by a connection until released */
+  advisoryLocks: false,
   upserts: true,
   constraints: {
     restrict: true
   },
+  /* Does the dialect translate $search to its full-text engine, and can a search give its language */
+  fullTextSearch: false,
+  /* pg_trgm similarity: $similar, $wordSimilar and the similarity option of find */
+  trigram: false,
   index: {
     collate: true,
     length: false,
@@ -4,6 +4,7 @@ var Utils = require('../../utils')
   , SqlString = require('../../sql-string')
   , Model = require('../../model')
   , DataTypes = require('../../data-types')
+  , TSQuery = require('../../tsquery')
   , _ = require('lodash')
   , util = require('util')
   , Dottie = require('dottie')
@@ -11,16 +12,94 @@ var Utils = require('../../utils')
   , BelongsToMany = require('../../associations/belongs-to-many')
   , HasMany = require('../../associations/has-many')
   , uuid = require('node-uuid')
-  , semver = require('semver');
+  , semver = require('semver')
+  , crypto = require('crypto');
 
 /* istanbul ignore next */
 var throwMethodUndefined = function(methodName) {
   throw new Error('The method "' + methodName + '" is not defined! Please add it to your sql dialect.');
 };
 
+// Functions used to turn the search string of $ftspg into a tsquery, by `parser` option
+var textSearchParsers = {
+  tsquery: 'to_tsquery',
+  plain: 'plainto_tsquery',
+  phrase: 'phraseto_tsquery',
+  websearch: 'websearch_to_tsquery'
+};
+
+// Modes of the $search operator, translated by each dialect to its own full-text engine
+var searchModes = ['natural', 'boolean', 'phrase'];
+
+// Options of ts_headline, by the name they are given in the `headline` option of findAll
+var textSearchHeadlineOptions = {
+  startSel: 'StartSel',
+  stopSel: 'StopSel',
+  maxWords: 'MaxWords',
+  minWords: 'MinWords',
+  shortWord: 'ShortWord',
+  highlightAll: 'HighlightAll',
+  maxFragments: 'MaxFragments',
+  fragmentDelimiter: 'FragmentDelimiter'
+};
+
+// Finds the first $ftspg, $match or $search condition (or one of the given operators) at the top level of a where
+// object or in its $and, optionally only for the given key
+var findTextSearchCondition = function(where, key, operators) {
+  var found = null;
+
+  operators = operators || ['$ftspg', '$match', '$search'];
+
+  if (Array.isArray(where)) {
+    _.some(where, function(item) {
+      return (found = findTextSearchCondition(item, key, operators));
+    });
+  } else if (_.isPlainObject(where)) {
+    _.some(where, function(value, itemKey) {
+      if (itemKey === '$and') {
+        found = findTextSearchCondition(value, key, operators);
+      } else if (itemKey === '$search') {
+        // A $search across tables, keyed by the operator itself
+        found = !key && operators.indexOf('$search') !== -1 ? { key: itemKey, operator: itemKey, query: value } : null;
+      } else if (_.isPlainObject(value) && (!key || itemKey === key)) {
+        _.some(operators, function(operator) {
+          if (value.hasOwnProperty(operator)) {
+            found = { key: itemKey, operator: operator, query: value[operator] };
+          }
+          return !!found;
+        });
+      }
+      return !!found;
+    });
+  }
+
+  return found;
+};
+
+// The paths of the includes joined inside the subquery of a select, as named in the fields of a $search
+var subQueryIncludePaths = function(includes, parentPath) {
+  return _.flatMap(includes, function(include) {
+    var path = parentPath ? parentPath + '.' + include.as : include.as;
+
+    return include.subQuery ? [path].concat(subQueryIncludePaths(include.include, path)) : [];
+  });
+};
+
 var QueryGenerator = {
   options: {},
 
+  /*
+    The names describeTable gives to types which the data types of the dialect write differently, to compare the
+    columns of a table with the attributes of a model.
+  */
+  columnTypeAliases: {},
+
+  /*
+    Whether NULL sorts after every value in ascending order, and so before them in descending order, rather than the
+    other way around.
+  */
+  nullsLast: false,
+
   extractTableDetails: function(tableName, options) {
     options = options || {};
     tableName = tableName || {};
@@ -567,13 +646,34 @@ var QueryGenerator = {
   },
 
   nameIndexes: function (indexes, rawTablename) {
+    var self = this;
+
     return Utils._.map(indexes, function (index) {
       if (!index.hasOwnProperty('name')) {
-        var onlyAttributeNames = index.fields.map(function(field) {
-          return (typeof field === 'string') ? field : (field.name || field.attribute);
-        }.bind(this));
+        var hasExpression = false
+          , onlyAttributeNames = index.fields.map(function(field) {
+            if (typeof field !== 'string' && !field._isSequelizeMethod) {
+              field = field.name || field.attribute;
+            }
+            if (field && field._isSequelizeMethod) {
+              hasExpression = true;
+              // Expressions are named after the words of their SQL, e.g. to_tsvector_english_title
+              return _.trim(self.handleSequelizeMethod(field).replace(/\W+/g, '_'), '_').toLowerCase();
+            }
+            return field;
+          });
 
         index.name = Utils.inflection.underscore(rawTablename + '_' + onlyAttributeNames.join('_'));
+
+        // Postgres truncates names to 63 bytes, after which sync would no longer find the index by its name
+        if (hasExpression && Buffer.byteLength(index.name) > 63) {
+          var hash = crypto.createHash('md5').update(index.name).digest('hex').slice(0, 8);
+
+          while (Buffer.byteLength(index.name) > 54) {
+            index.name = index.name.slice(0, -1);
+          }
+          index.name += '_' + hash;
+        }
       }
 
       return index;
@@ -589,9 +689,12 @@ var QueryGenerator = {
         - name: The name of the index. Default is <table>_<attr1>_<attr2>
         - fields: An array of attributes as string or as hash.
                   If the attribute is a hash, it must have the following content:
-                  - name: The name of the attribute/column
+                  - name: The name of the attribute/column, or an expression given with Sequelize.fn or
+                          Sequelize.literal. Expressions other than function calls are parenthesized
                   - length: An integer. Optional
                   - order: 'ASC' or 'DESC'. Optional
+                  - collate: The collation of the column. Optional
+                  - operator: The operator class of the column, e.g. gin_trgm_ops. Optional
         - parser
       - rawTablename, the name of the table, without schema. Used to create the name of the index
   */
@@ -639,7 +742,11 @@ var QueryGenerator = {
           throw new Error('The following index field has no name: ' + util.inspect(field));
         }
 
-        result += this.quoteIdentifier(field.name);
+        if (field.name._isSequelizeMethod) {
+          result += field.name instanceof Utils.fn ? this.handleSequelizeMethod(field.name) : '(' + this.handleSequelizeMethod(field.name) + ')';
+        } else {
+          result += this.quoteIdentifier(field.name);
+        }
 
         if (this._dialect.supports.index.collate && field.collate) {
           result += ' COLLATE ' + this.quoteIdentifier(field.collate);
@@ -649,6 +756,10 @@ var QueryGenerator = {
           result += '(' + field.length + ')';
         }
 
+        if (field.operator) {
+          result += ' ' + field.operator;
+        }
+
         if (field.order) {
           result += ' ' + field.order;
         }
@@ -990,6 +1101,19 @@ var QueryGenerator = {
     throwMethodUndefined('getForeignKeysQuery');
   },
 
+  /**
+   * Generates an SQL query that returns the column and the referenced column of every foreign key of a table, as
+   * `constraint_name`, `column_name`, `referenced_table_name` and `referenced_column_name`.
+   *
+   * @param  {String} tableName  The name of the table.
+   * @param  {String} schemaName The name of the schema, or of the database for mysql.
+   * @return {String}            The generated sql query.
+   */
+  /* istanbul ignore next */
+  getForeignKeyReferencesQuery: function(tableName, schemaName) {
+    throwMethodUndefined('getForeignKeyReferencesQuery');
+  },
+
   /**
    * Generates an SQL query that removes a foreign key from a table.
    *
@@ -1002,6 +1126,114 @@ var QueryGenerator = {
     throwMethodUndefined('dropForeignKeyQuery');
   },
 
+  /*
+    The expression of a CHECK constraint, given as SQL or as sequelize.literal / sequelize.fn
+  */
+  checkExpression: function(check) {
+    return check && check._isSequelizeMethod ? this.handleSequelizeMethod(check) : check;
+  },
+
+  /*
+    The CHECK constraints of the checks option of a model, { name: expression }, written as the constraints of a
+    createTableQuery. Each one starts with a comma, so that they can be appended to the columns.
+  */
+  checksToSQL: function(checks) {
+    var self = this;
+
+    return _.map(checks, function(check, name) {
+      return ', CONSTRAINT ' + self.quoteIdentifier(name) + ' CHECK (' + self.checkExpression(check) + ')';
+    }).join('');
+  },
+
+  /**
+   * Generates an SQL query that adds a constraint to a table.
+   *
+   * @param  {String} tableName  The name of the table.
+   * @param  {Object} constraint
+   * @param  {String} constraint.type One of `CHECK`, `UNIQUE`, `PRIMARY KEY` and `FOREIGN KEY`.
+   * @param  {String} [constraint.name] Defaults to the table name, the fields and a suffix for the type, joined by _.
+   * @param  {Array}  [constraint.fields] The columns of the constraint, which all but CHECK constraints need.
+   * @param  {String} [constraint.check] The expression of a CHECK constraint, as SQL or as `sequelize.literal`.
+   * @param  {Object} [constraint.references] The `model` (or table) and `key` referenced by a FOREIGN KEY constraint.
+   * @param  {String} [constraint.onDelete]
+   * @param  {String} [constraint.onUpdate]
+   * @return {String}            The generated sql query.
+   */
+  addConstraintQuery: function(tableName, constraint) {
+    var type = String(constraint.type || '').toUpperCase()
+      , fields = constraint.fields || []
+      , suffix = { 'CHECK': 'ck', 'UNIQUE': 'uk', 'PRIMARY KEY': 'pk', 'FOREIGN KEY': 'fk' }[type]
+      , quotedFields = fields.map(function(field) {
+          return this.quoteIdentifier(field);
+        }, this).join(', ')
+      , definition;
+
+    if (!suffix) {
+      throw new Error('Unknown constraint type ' + constraint.type);
+    }
+    if (type === 'CHECK' && !constraint.check) {
+      throw new Error('A CHECK constraint needs the check option');
+    }
+    if (type !== 'CHECK' && !fields.length) {
+      throw new Error('A ' + type + ' constraint needs the fields option');
+    }
+
+    if (type === 'CHECK') {
+      definition = 'CHECK (' + this.checkExpression(constraint.check) + ')';
+    } else if (type === 'FOREIGN KEY') {
+      var references = constraint.references || {};
+
+      if (!references.model) {
+        throw new Error('A FOREIGN KEY constraint needs the model it references');
+      }
+
+      definition = 'FOREIGN KEY (' + quotedFields + ') REFERENCES ' +
+        this.quoteTable(references.model.getTableName ? references.model.getTableName() : references.model) +
+        ' (' + [].concat(references.key || 'id').map(function(key) {
+          return this.quoteIdentifier(key);
+        }, this).join(', ') + ')';
+
+      if (constraint.onDelete) {
+        definition += ' ON DELETE ' + constraint.onDelete.toUpperCase();
+      }
+      if (constraint.onUpdate) {
+        definition += ' ON UPDATE ' + constraint.onUpdate.toUpperCase();
+      }
+    } else {
+      definition = type + ' (' + quotedFields + ')';
+    }
+
+    return 'ALTER TABLE ' + this.quoteTable(tableName) + ' ADD CONSTRAINT ' +
+      this.quoteIdentifier(constraint.name || [tableName.tableName || tableName].concat(fields, suffix).join('_')) + ' ' +
+      definition + ';';
+  },
+
+  /**
+   * Generates an SQL query that removes a constraint from a table.
+   *
+   * @param  {String} tableName      The name of the table.
+   * @param  {String} constraintName The name of the constraint.
+   * @param  {String} type           The type of the constraint, which mysql drops each in their own way.
+   * @return {String}                The generated sql query.
+   */
+  removeConstraintQuery: function(tableName, constraintName, type) {
+    return 'ALTER TABLE ' + this.quoteTable(tableName) + ' DROP CONSTRAINT ' + this.quoteIdentifier(constraintName) + ';';
+  },
+
+  /**
+   * Generates an SQL query that returns the CHECK, UNIQUE, PRIMARY KEY and FOREIGN KEY constraints of a table, one row
+   * per column of each constraint in order, as `constraint_name`, `constraint_type`, `column_name`, `definition` (the
+   * expression of a CHECK constraint), `referenced_table_name` and `referenced_column_name`.
+   *
+   * @param  {String} tableName  The name of the table.
+   * @param  {String} schemaName The name of the schema, or of the database for mysql.
+   * @return {String}            The generated sql query.
+   */
+  /* istanbul ignore next */
+  showConstraintsQuery: function(tableName, schemaName) {
+    throwMethodUndefined('showConstraintsQuery');
+  },
+
 
   /*
     Returns a query for selecting elements in the table <tableName>.
@@ -1526,7 +1758,10 @@ var QueryGenerator = {
 
     // Add WHERE to sub or main query
     if (options.hasOwnProperty('where') && !options.groupedLimit) {
-      options.where = this.getWhereConditions(options.where, mainTableAs || tableName, model, options);
+      options.where = this.getWhereConditions(options.where, mainTableAs || tableName, model, {
+        bind: options.bind,
+        subQuery: subQuery && subQueryIncludePaths(options.include)
+      });
       if (options.where) {
         if (subQuery) {
           subQueryItems.push(' WHERE ' + options.where);
@@ -1867,6 +2102,27 @@ var QueryGenerator = {
     return 'ROLLBACK;';
   },
 
+  /**
+   * Returns a query taking a named lock for the session of the connection, waiting while another session holds it.
+   * The query selects `locked`, falsy when the lock could not be taken.
+   *
+   * @param  {String} name
+   * @return {String}      The generated sql query.
+   */
+  advisoryLockQuery: function() {
+    throw new Error('Advisory locks are not supported by the ' + this.dialect + ' dialect');
+  },
+
+  /**
+   * Returns a query releasing a lock taken by advisoryLockQuery in the same session.
+   *
+   * @param  {String} name
+   * @return {String}      The generated sql query.
+   */
+  advisoryUnlockQuery: function() {
+    throw new Error('Advisory locks are not supported by the ' + this.dialect + ' dialect');
+  },
+
   /**
    * Returns an SQL fragment for adding result constraints
    *
@@ -1891,6 +2147,84 @@ var QueryGenerator = {
     return fragment;
   },
 
+  /**
+   * Returns the condition of the rows that come after a row in keyset order, for the cursor option of findAll:
+   * `(a < 1 OR (a = 1 AND b > 2))` for an order of `a DESC, b ASC` after a row where a is 1 and b is 2. A null key is
+   * compared through IS NULL, on the side of the other values the dialect sorts NULL on.
+   *
+   * @param  {Array}  orderBy An array of [key, direction] pairs, each key being an attribute of the model or the alias of a selected expression
+   * @param  {Array}  values  The value of each key in the row to continue after
+   * @param  {Object} model   The model of the query
+   * @param  {Object} options An object with selectQuery options, and the `cursor` with the SQL type to compare each key as in `casts`.
+   * @return {String}         The generated sql condition.
+   */
+  keysetQuery: function(orderBy, values, model, options) {
+    var self = this
+      , tableAs = this.quoteTable(options.tableAs || model.name)
+      , keys
+      , conditions;
+
+    keys = orderBy.map(function(order, index) {
+      var attribute = model.rawAttributes[order[0]]
+        , cast = _.get(options, ['cursor', 'casts', order[0]])
+        , nullsAfter = self.nullsLast === (order[1] === 'ASC')
+        , value = values[index]
+        , selected
+        , column
+        , after;
+
+      if (attribute) {
+        column = tableAs + '.' + self.quoteIdentifier(attribute.field || order[0]);
+      } else {
+        selected = _.find(options.attributes, function(attr) {
+          return Array.isArray(attr) && attr[1] === order[0];
+        });
+
+        if (!selected) {
+          throw new Error('cursor.orderBy ' + order[0] + ' is neither an attribute of ' + model.name + ' nor the alias of a selected attribute');
+        }
+        column = selected[0]._isSequelizeMethod ? self.handleSequelizeMethod(selected[0]) : tableAs + '.' + self.quoteIdentifier(selected[0]);
+      }
+
+      if (value === null || value === undefined) {
+        return {
+          equal: column + ' IS NULL',
+          // Only the rows with a value are left after the null ones, if the values come after
+          after: nullsAfter ? null : column + ' IS NOT NULL'
+        };
+      }
+
+      value = self.escape(value, attribute);
+      if (cast) {
+        column = 'CAST(' + column + ' AS ' + cast + ')';
+        value = 'CAST(' + value + ' AS ' + cast + ')';
+      }
+      after = column + (order[1] === 'DESC' ? ' < ' : ' > ') + value;
+
+      return {
+        equal: column + ' = ' + value,
+        after: nullsAfter && (!attribute || attribute.allowNull !== false && !attribute.primaryKey) ? '(' + after + ' OR ' + column + ' IS NULL)' : after
+      };
+    });
+
+    conditions = _.compact(keys.map(function(key, index) {
+      if (!key.after) {
+        return null;
+      }
+
+      var terms = keys.slice(0, index).map(function(previous) {
+        return previous.equal;
+      }).concat(key.after);
+
+      return terms.length > 1 ? '(' + terms.join(' AND ') + ')' : terms[0];
+    }));
+
+    if (!conditions.length) {
+      return '1=0';
+    }
+    return conditions.length > 1 ? '(' + conditions.join(' OR ') + ')' : conditions[0];
+  },
+
   handleSequelizeMethod: function (smth, tableName, factory, options, prepend) {
     var self = this
       , result;
@@ -2011,6 +2345,8 @@ var QueryGenerator = {
       , comparator = '='
       , field = options.field || options.model && options.model.rawAttributes && options.model.rawAttributes[key] || options.model && options.model.fieldRawAttributesMap && options.model.fieldRawAttributesMap[key]
       , fieldType = options.type || (field && field.type)
+      , searchTables
+      , included
       , tmp;
 
     if (key && typeof key === 'string' && key.indexOf('.') !== -1 && options.model) {
@@ -2043,7 +2379,11 @@ var QueryGenerator = {
       $overlap: '&&',
       $contains: '@>',
       $contained: '<@',
-      $ftspg: '@@'
+      $ftspg: '@@',
+      $match: 'MATCH',
+      $search: 'SEARCH',
+      $similar: '%',
+      $wordSimilar: '%>'
     };
 
     // Maintain BC
@@ -2107,6 +2447,21 @@ var QueryGenerator = {
         return Utils.format(value, this.dialect);
       }
     }
+    // A $search across the model and its includes, naming the columns searched in `fields`
+    if (key === '$search') {
+      searchTables = this.searchTables(value, options);
+      included = options.subQuery && _.find(searchTables, function(table) {
+        return table.include && options.subQuery.indexOf(table.include) === -1;
+      });
+
+      // Only required single row includes are joined in the subquery the where goes to
+      if (included) {
+        throw new Error('$search can not search the include ' + included.include + ' in a subquery, as used with a limit and ' +
+          'a hasMany include; pass subQuery: false or search it in the where of the include instead');
+      }
+      return this.searchTablesQuery(searchTables, this.parseSearch(value), options);
+    }
+
     // OR/AND/NOT grouping logic
     if (key === '$or' || key === '$and' || key === '$not') {
       binding = (key === '$or') ?' OR ' : ' AND ';
@@ -2336,7 +2691,16 @@ var QueryGenerator = {
             comparator = comparatorMap[key];
             value = item;
 
-            if (_.isPlainObject(value) && value.$any) {
+            if (comparator === '@@') {
+              escapeValue = false;
+              value = this.textSearchQuery(value, options);
+            } else if (comparator === 'MATCH' || comparator === 'SEARCH') {
+              escapeValue = false;
+            } else if (comparator === '%' || comparator === '%>') {
+              if (!this._dialect.supports.trigram) {
+                throw new Error('$similar and $wordSimilar are not supported by the ' + this.dialect + ' dialect');
+              }
+            } else if (_.isPlainObject(value) && value.$any) {
               comparator += ' ANY';
               escapeOptions.isList = true;
               value = value.$any;
@@ -2372,6 +2736,19 @@ var QueryGenerator = {
 
     if (key) {
       var prefix = true;
+
+      if (comparator === 'MATCH' || comparator === 'SEARCH') {
+        // Further columns of the full-text index are given by attribute name in `fields`
+        var columns = [key].concat(_.map(_.isPlainObject(value) && value.fields, function(attribute) {
+          return _.get(options, ['model', 'rawAttributes', attribute, 'field']) || attribute;
+        }));
+
+        if (comparator === 'SEARCH') {
+          return this.searchQuery(columns, this.parseSearch(value), options);
+        }
+        return this.matchAgainstQuery(columns, value, options);
+      }
+
       if (key._isSequelizeMethod) {
         key = this.handleSequelizeMethod(key);
       } else if (Utils.isColString(key)) {
@@ -2390,21 +2767,523 @@ var QueryGenerator = {
         key = this.quoteIdentifier(key);
       }
 
-      if (options.prefix && prefix) {
-        if (options.prefix instanceof Utils.literal) {
-          key = [this.handleSequelizeMethod(options.prefix), key].join('.');
-        } else {
-          key = [this.quoteTable(options.prefix), key].join('.');
+      if (prefix) {
+        key = this.prefixColumn(key, options.prefix);
+      }
+
+      return [key, value].join(' '+comparator+' ');
+    }
+    return value;
+  },
+
+  /*
+    Prefixes a quoted column with the table it belongs to, as given by the `prefix` option of whereItemQuery.
+  */
+  prefixColumn: function(column, prefix) {
+    if (!prefix) {
+      return column;
+    }
+    if (prefix instanceof Utils.literal) {
+      return [this.handleSequelizeMethod(prefix), column].join('.');
+    }
+    return [this.quoteTable(prefix), column].join('.');
+  },
+
+  /*
+    Returns the tsquery expression matched by the full-text search operator.
+    Parameters:
+      - value: The search string or a tsquery built with Sequelize.tsquery, or a hash with the following content:
+        - query: The search string or tsquery
+        - config: The text search configuration to use, e.g. 'english'. Optional
+        - parser: How the search string is read. One of 'tsquery' (to_tsquery, the default),
+                  'plain' (plainto_tsquery), 'phrase' (phraseto_tsquery) or 'websearch'
+                  (websearch_to_tsquery). Optional
+      - options: The options passed to whereItemQuery. If no config or parser is given, the
+                 `textSearch` option of `options.model` is used, falling back to the
+                 server's default_text_search_config and to_tsquery. The search is added
+                 to `options.bind` when it is set.
+  */
+  textSearchQuery: function(value, options) {
+    var config
+      , parser;
+
+    if (_.isPlainObject(value)) {
+      config = value.config;
+      parser = value.parser;
+      value = value.query;
+    }
+
+    config = config || _.get(options, 'model.options.textSearch.config');
+
+    if (value instanceof TSQuery.ABSTRACT) {
+      if (parser && parser !== 'tsquery') {
+        throw new Error('A tsquery built with Sequelize.tsquery is read by to_tsquery, it can not use the ' + parser + ' parser');
+      }
+      parser = 'tsquery';
+      value = value.toString();
+    }
+
+    parser = parser || _.get(options, 'model.options.textSearch.parser') || 'tsquery';
+
+    if (!textSearchParsers.hasOwnProperty(parser)) {
+      throw new Error('Unknown text search parser "' + parser + '", expected one of: ' + Object.keys(textSearchParsers).join(', '));
+    }
+
+    return textSearchParsers[parser] + '(' + (config ? this.escape(config) + ', ' : '') + this.bindValue(value, options) + ')';
+  },
+
+  /*
+    Adds a value to the bind parameters of the query and returns its placeholder, or returns the value escaped
+    when the query has none. `options.bind` is either an array of values for $1, $2, ... or a hash of named values.
+  */
+  bindValue: function(value, options) {
+    var bind = options && options.bind
+      , i = 1;
+
+    if (Array.isArray(bind)) {
+      bind.push(value);
+      return '$' + bind.length;
+    }
+    if (_.isPlainObject(bind)) {
+      while (bind.hasOwnProperty('sequelize' + i)) {
+        i++;
+      }
+      bind['sequelize' + i] = value;
+      return '$sequelize' + i;
+    }
+    return this.escape(value);
+  },
+
+  /*
+    Returns the condition of the $match operator, for dialects with full-text indexes.
+    Parameters:
+      - columns: The names of the columns searched
+      - value: The search string, or a hash with `query`, `mode` and `fields`
+      - options: The options passed to whereItemQuery, with the table of the columns as `prefix`
+  */
+  matchAgainstQuery: function() {
+    throw new Error('$match is not supported by the ' + this.dialect + ' dialect');
+  },
+
+  /*
+    Returns the relevance of a $match search, higher being more relevant. Takes the same parameters as
+    matchAgainstQuery, with the `rank` option of findAll as well.
+  */
+  matchRankQuery: function(columns, value, rank, options) {
+    return this.matchAgainstQuery(columns, value, options);
+  },
+
+  /*
+    Validates the value of the $search operator against what the dialect supports.
+    Parameters:
+      - value: The search string, or a hash with the following content:
+        - query: The search string
+        - mode: 'natural' (the default) searches for the words of the query, 'phrase' for the query as a phrase,
+                and 'boolean' hands the query to the search syntax of the dialect
+        - language: The language of the search, for dialects supporting it. Optional
+    Returns a hash with `query`, `mode` and `language`.
+  */
+  parseSearch: function(value) {
+    var support = this._dialect.supports.fullTextSearch
+      , search = _.isPlainObject(value) ? value : { query: value };
+
+    if (!support) {
+      throw new Error('$search is not supported by the ' + this.dialect + ' dialect');
+    }
+
+    search = {
+      query: search.query,
+      mode: search.mode || 'natural',
+      language: search.language
+    };
+
+    if (!_.isString(search.query)) {
+      throw new Error('$search requires a query string, got ' + search.query);
+    }
+    if (searchModes.indexOf(search.mode) === -1) {
+      throw new Error('Unknown $search mode "' + search.mode + '", expected one of: ' + searchModes.join(', '));
+    }
+    if (!_.isNil(search.language) && !support.language) {
+      throw new Error('$search does not take a language on ' + this.dialect + ', it is set on the full-text index');
+    }
+
+    return search;
+  },
+
+  /*
+    Returns the value of the native full-text operator of the dialect ($match or $ftspg) doing the search
+    described by the result of parseSearch.
+  */
+  nativeSearch: function() {
+    throw new Error('$search is not supported by the ' + this.dialect + ' dialect');
+  },
+
+  /*
+    Returns the condition of the $search operator, through $match unless the dialect says otherwise.
+  */
+  searchQuery: function(columns, search, options) {
+    return this.matchAgainstQuery(columns, this.nativeSearch(search), options);
+  },
+
+  searchRankQuery: function(columns, search, rank, options) {
+    return this.matchRankQuery(columns, this.nativeSearch(search), rank, options);
+  },
+
+  /*
+    Resolves the fields of a $search given at the top level of a where to the tables they are in. A field is an
+    attribute of the model queried, or of an included model when prefixed with the path of its include
+    ('comments.body', 'comments.author.name'), in which case the table is the alias the include is joined as.
+    Parameters:
+      - value: The value of $search, with the `fields` searched
+      - options: The options passed to whereItemQuery, with the model queried and its alias as `prefix`
+    Returns an array of hashes with the `model`, the `prefix` and the `columns` searched of each table. The tables of
+    includes also have the `include` path, and `multiple` when it goes through a hasMany or belongsToMany association.
+  */
+  searchTables: function(value, options) {
+    var tables = [];
+
+    if (!_.isPlainObject(value) || _.isEmpty(value.fields)) {
+      throw new Error('$search at the top level of where requires the fields to search');
+    }
+    if (!options.model) {
+      throw new Error('$search at the top level of where requires a model');
+    }
+
+    _.each(value.fields, function(field) {
+      var path = field.split('.')
+        , attribute = path.pop()
+        , model = options.model
+        , prefix = path.length ? path.join('.') : options.prefix
+        , multiple = false
+        , table;
+
+      path.forEach(function(as) {
+        if (!model.associations || !model.associations[as]) {
+          throw new Error('$search field ' + field + ' does not name an association of ' + model.name + ' with ' + as);
         }
+        multiple = multiple || Boolean(model.associations[as].isMultiAssociation);
+        model = model.associations[as].target;
+      });
+
+      table = _.find(tables, function(table) {
+        return table.model === model && table.prefix === prefix;
+      });
+      if (!table) {
+        table = { model: model, prefix: prefix, columns: [] };
+        if (path.length) {
+          table.include = prefix;
+          table.multiple = multiple;
+        }
+        tables.push(table);
+      }
+      table.columns.push(model.rawAttributes[attribute] && model.rawAttributes[attribute].field || attribute);
+    });
+
+    return tables;
+  },
+
+  /*
+    Returns the condition of a $search across the tables given by searchTables. Full-text indexes do not span
+    tables, so each table is searched on its own and a row matches when any of them does.
+  */
+  searchTablesQuery: function(tables, search, options) {
+    var self = this
+      , conditions = tables.map(function(table) {
+        return self.searchQuery(table.columns, search, { model: table.model, prefix: table.prefix, bind: options.bind });
+      });
+
+    return conditions.length > 1 ? '(' + conditions.join(' OR ') + ')' : conditions[0];
+  },
+
+  /*
+    Returns the relevance of a $search across tables, as the sum of its relevance in each table.
+  */
+  searchTablesRankQuery: function(tables, search, rank, options) {
+    var self = this
+      , ranks = tables.map(function(table) {
+        return self.searchRankQuery(table.columns, search, rank, { model: table.model, prefix: table.prefix, bind: options.bind });
+      });
+
+    // A table without a match may give no relevance at all
+    return ranks.length > 1 ? '(' + ranks.map(function(rank) {
+      return 'COALESCE(' + rank + ', 0)';
+    }).join(' + ') + ')' : ranks[0];
+  },
+
+  /*
+    Text search configurations and dictionaries are postgres objects, searched through $ftspg and $search.
+  */
+  createTextSearchConfigurationQuery: function() {
+    throw new Error('Text search configurations are not supported by the ' + this.dialect + ' dialect');
+  },
+
+  dropTextSearchConfigurationQuery: function() {
+    throw new Error('Text search configurations are not supported by the ' + this.dialect + ' dialect');
+  },
+
+  alterTextSearchMappingQuery: function() {
+    throw new Error('Text search configurations are not supported by the ' + this.dialect + ' dialect');
+  },
+
+  listTextSearchConfigurationsQuery: function() {
+    throw new Error('Text search configurations are not supported by the ' + this.dialect + ' dialect');
+  },
+
+  listTextSearchMappingsQuery: function() {
+    throw new Error('Text search configurations are not supported by the ' + this.dialect + ' dialect');
+  },
+
+  createTextSearchDictionaryQuery: function() {
+    throw new Error('Text search dictionaries are not supported by the ' + this.dialect + ' dialect');
+  },
+
+  dropTextSearchDictionaryQuery: function() {
+    throw new Error('Text search dictionaries are not supported by the ' + this.dialect + ' dialect');
+  },
+
+  listTextSearchDictionariesQuery: function() {
+    throw new Error('Text search dictionaries are not supported by the ' + this.dialect + ' dialect');
+  },
+
+  textSearchDebugQuery: function() {
+    throw new Error('Text search debugging is not supported by the ' + this.dialect + ' dialect');
+  },
+
+  textSearchVectorQuery: function() {
+    throw new Error('Text search debugging is not supported by the ' + this.dialect + ' dialect');
+  },
+
+  textSearchParseQuery: function() {
+    throw new Error('Text search debugging is not supported by the ' + this.dialect + ' dialect');
+  },
+
+  textSearchSuggestQuery: function() {
+    throw new Error('Search suggestions are not supported by the ' + this.dialect + ' dialect');
+  },
+
+  reindexSearchQuery: function() {
+    throw new Error('Reindexing search vectors is not supported by the ' + this.dialect + ' dialect');
+  },
+
+  /*
+    Full-text catalogs and indexes are SQL Server objects, other dialects index through addIndex or the fts model option.
+  */
+  createFullTextCatalogQuery: function() {
+    throw new Error('Full-text catalogs are not supported by the ' + this.dialect + ' dialect');
+  },
+
+  dropFullTextCatalogQuery: function() {
+    throw new Error('Full-text catalogs are not supported by the ' + this.dialect + ' dialect');
+  },
+
+  createFullTextIndexQuery: function() {
+    throw new Error('Full-text indexes are not supported by the ' + this.dialect + ' dialect, use addIndex');
+  },
+
+  dropFullTextIndexQuery: function() {
+    throw new Error('Full-text indexes are not supported by the ' + this.dialect + ' dialect, use removeIndex');
+  },
+
+  /*
+    Returns the expression scoring rows against a full-text search: ts_rank / ts_rank_cd for $ftspg,
+    the relevance given by matchRankQuery for $match, and whichever of the two the dialect uses for $search.
+    A $search at the top level of where is ranked across its tables by searchTablesRankQuery.
+    Parameters:
+      - where: The where object of the query, searched for a $ftspg, $match or $search condition
+      - rank: A hash with the following content:
+        - attribute: The attribute to rank. Defaults to the key of the first condition
+        - query: The search, in the same form as for the operator. Defaults to the one of the condition
+        - normalization: The normalization bitmask passed to the rank function. Optional
+        - cover: Use ts_rank_cd (cover density) instead of ts_rank
+      - model: The model queried
+      - options: Only `tableAs` is used, to override the alias of the model table
+  */
+  textSearchRank: function(where, rank, model, options) {
+    var condition = findTextSearchCondition(where, rank.attribute)
+      , attribute = rank.attribute || condition && condition.key
+      , query = rank.hasOwnProperty('query') ? rank.query : condition && condition.query
+      , operator = condition ? condition.operator : this._dialect.supports.TSVECTOR ? '$ftspg' : '$match'
+      , columns
+      , searchOptions
+      , searchTables
+      , multiple;
+
+    options = options || {};
+
+    if (!rank.attribute && condition && condition.key === '$search') {
+      searchOptions = { model: model, prefix: options.tableAs || model.name, bind: options.bind };
+      searchTables = this.searchTables(query, searchOptions);
+      multiple = _.find(searchTables, 'multiple');
+
+      // Each row of the query would be ranked with one of the rows of the include, rather than the row of the model
+      if (multiple) {
+        throw new Error('rank can not rank a $search across the include ' + multiple.include + ', which has many rows for each ' +
+          model.name + '; rank a search of the fields of ' + model.name + ' and its single row includes instead');
       }
+      return this.searchTablesRankQuery(searchTables, this.parseSearch(query), rank, searchOptions);
+    }
+
+    if (!attribute || _.isNil(query)) {
+      throw new Error('rank requires a $ftspg, $match or $search condition in where, or both rank.attribute and rank.query');
+    }
+
+    columns = [attribute].concat(operator !== '$ftspg' && _.isPlainObject(query) && query.fields || []).map(function(attribute) {
+      return model.rawAttributes[attribute] && model.rawAttributes[attribute].field || attribute;
+    });
+
+    if (operator === '$search') {
+      return this.searchRankQuery(columns, this.parseSearch(query), rank, { model: model, prefix: options.tableAs || model.name, bind: options.bind });
+    }
+    if (operator === '$match') {
+      return this.matchRankQuery(columns, query, rank, { model: model, prefix: options.tableAs || model.name });
+    }
 
-      if (comparator === '@@') {
-        return key + ' @@ ' + 'to_tsquery(' + value + ')';
+    return this.textSearchRankQuery(
+      this.prefixColumn(this.quoteIdentifier(columns[0]), options.tableAs || model.name),
+      this.textSearchQuery(query, { model: model, bind: options.bind }),
+      rank
+    );
+  },
+
+  /*
+    Returns the ts_rank / ts_rank_cd of a tsvector expression against a tsquery expression, with the
+    `normalization` and `cover` options of rank.
+  */
+  textSearchRankQuery: function(vector, query, rank) {
+    var args = [vector, query];
+
+    if (rank.normalization !== undefined) {
+      if (!_.isInteger(rank.normalization)) {
+        throw new Error('rank.normalization must be an integer, got ' + rank.normalization);
       }
+      args.push(this.escape(rank.normalization));
+    }
 
-      return [key, value].join(' '+comparator+' ');
+    return (rank.cover ? 'ts_rank_cd' : 'ts_rank') + '(' + args.join(', ') + ')';
+  },
+
+  /*
+    Returns the ts_headline expression highlighting the matches of a full-text search in a column.
+    Parameters:
+      - where: The where object of the query, searched for a $ftspg condition
+      - headline: A hash with the following content:
+        - attribute: The text attribute to take the headline from
+        - query: The search, in the same form as for $ftspg. Defaults to the one of the first $ftspg condition
+        - startSel, stopSel, maxWords, minWords, shortWord, highlightAll, maxFragments,
+          fragmentDelimiter: Passed on to ts_headline. Optional
+      - model: The model queried
+      - options: Only `tableAs` is used, to override the alias of the model table
+  */
+  textSearchHeadline: function(where, headline, model, options) {
+    var condition = findTextSearchCondition(where)
+      , query = headline.hasOwnProperty('query') ? headline.query : condition && condition.query
+      , config
+      , field
+      , args = []
+      , headlineOptions;
+
+    options = options || {};
+
+    if (!headline.attribute) {
+      throw new Error('headline requires an attribute to take the headline from');
     }
-    return value;
+    if (_.isNil(query)) {
+      throw new Error('headline requires a $ftspg condition in where, or headline.query');
+    }
+
+    if (!headline.hasOwnProperty('query') && condition.operator === '$search') {
+      query = this.nativeSearch(this.parseSearch(query));
+    }
+    config = _.isPlainObject(query) && query.config || _.get(model, 'options.textSearch.config');
+
+    headlineOptions = _.map(_.pick(headline, Object.keys(textSearchHeadlineOptions)), function(value, key) {
+      if (typeof value === 'boolean' || key === 'highlightAll') {
+        value = !!value;
+      } else if (/^(max|min|short)/.test(key)) {
+        if (!_.isInteger(value)) {
+          throw new Error('headline.' + key + ' must be an integer, got ' + value);
+        }
+      } else {
+        // Quote the value so that it may contain commas, spaces and '='
+        value = '"' + String(value).replace(/"/g, '""') + '"';
+      }
+      return textSearchHeadlineOptions[key] + '=' + value;
+    });
+
+    field = model.rawAttributes[headline.attribute] && model.rawAttributes[headline.attribute].field || headline.attribute;
+
+    if (config) {
+      args.push(this.escape(config));
+    }
+    args.push(this.quoteTable(options.tableAs || model.name) + '.' + this.quoteIdentifier(field));
+    args.push(this.textSearchQuery(query, { model: model, bind: options.bind }));
+    if (headlineOptions.length) {
+      args.push(this.escape(headlineOptions.join(', ')));
+    }
+
+    return 'ts_headline(' + args.join(', ') + ')';
+  },
+
+  /*
+    Returns the pg_trgm similarity of a column to a string: similarity() for $similar, and word_similarity(),
+    which scores the best matching run of words in the column, for $wordSimilar.
+    Parameters:
+      - where: The where object of the query, searched for a $similar or $wordSimilar condition
+      - similarity: A hash with the following content:
+        - attribute: The attribute to score. Defaults to the key of the first condition
+        - query: The string to compare the attribute to. Defaults to the one of the condition
+        - word: Use word_similarity(). Defaults to whether the condition is $wordSimilar
+      - model: The model queried
+      - options: Only `tableAs` is used, to override the alias of the model table
+  */
+  trigramSimilarity: function(where, similarity, model, options) {
+    var condition = findTextSearchCondition(where, similarity.attribute, ['$similar', '$wordSimilar'])
+      , attribute = similarity.attribute || condition && condition.key
+      , query = similarity.hasOwnProperty('query') ? similarity.query : condition && condition.query
+      , word = similarity.hasOwnProperty('word') ? similarity.word : !!condition && condition.operator === '$wordSimilar'
+      , column;
+
+    options = options || {};
+
+    if (!this._dialect.supports.trigram) {
+      throw new Error('similarity is not supported by the ' + this.dialect + ' dialect');
+    }
+    if (!attribute || _.isNil(query)) {
+      throw new Error('similarity requires a $similar or $wordSimilar condition in where, or both similarity.attribute and similarity.query');
+    }
+
+    column = this.prefixColumn(
+      this.quoteIdentifier(model.rawAttributes[attribute] && model.rawAttributes[attribute].field || attribute),
+      options.tableAs || model.name
+    );
+
+    // word_similarity looks for its first argument in the second one
+    return word ? 'word_similarity(' + this.escape(query) + ', ' + column + ')' : 'similarity(' + column + ', ' + this.escape(query) + ')';
+  },
+
+  /*
+    Returns the statements setting the pg_trgm thresholds of $similar and $wordSimilar until the end of the transaction.
+    Parameters:
+      - options: A hash with the following content:
+        - similarityThreshold: The threshold of $similar, between 0 and 1. Optional
+        - wordSimilarityThreshold: The threshold of $wordSimilar, between 0 and 1. Optional
+  */
+  trigramThresholdQuery: function(options) {
+    var settings = {
+      similarityThreshold: 'pg_trgm.similarity_threshold',
+      wordSimilarityThreshold: 'pg_trgm.word_similarity_threshold'
+    };
+
+    if (!this._dialect.supports.trigram) {
+      throw new Error('similarity thresholds are not supported by the ' + this.dialect + ' dialect');
+    }
+
+    return _.map(_.pick(options, Object.keys(settings)), function(threshold, key) {
+      if (typeof threshold !== 'number' || threshold < 0 || threshold > 1) {
+        throw new Error(key + ' must be a number between 0 and 1, got ' + threshold);
+      }
+      return 'SET LOCAL ' + settings[key] + ' = ' + threshold + ';';
+    }).join(' ');
   },
 
   /*
@@ -2433,7 +3312,9 @@ var QueryGenerator = {
     } else if (Utils._.isPlainObject(smth)) {
       return self.whereItemsQuery(smth, {
         model: factory,
-        prefix: prepend && tableName
+        prefix: prepend && tableName,
+        bind: options.bind,
+        subQuery: options.subQuery
       });
     } else if (typeof smth === 'number') {
       var primaryKeys = !!factory ? Object.keys(factory.primaryKeys) : [];
@@ -26,6 +26,8 @@ MssqlDialect.prototype.supports = _.merge(_.cloneDeep(Abstract.prototype.support
   lock: false,
   transactions: true,
   migrations: false,
+  ddlTransactions: true,
+  advisoryLocks: true,
   upserts: true,
   returnValues: {
     output: true
@@ -47,7 +49,10 @@ MssqlDialect.prototype.supports = _.merge(_.cloneDeep(Abstract.prototype.support
     using: false,
   },
   NUMERIC: true,
-  tmpTableTrigger: true
+  tmpTableTrigger: true,
+  fullTextSearch: {
+    language: true
+  }
 });
 
 MssqlDialect.prototype.defaultVersion = '12.0.2000'; // SQL Server 2014 Express
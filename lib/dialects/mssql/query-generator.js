@@ -12,10 +12,23 @@ var throwMethodUndefined = function(methodName) {
   throw new Error('The method "' + methodName + '" is not defined! Please add it to your sql dialect.');
 };
 
+var fullTextPredicates = {
+  contains: 'CONTAINS',
+  freetext: 'FREETEXT'
+};
+
+var changeTrackingModes = ['AUTO', 'MANUAL', 'OFF', 'OFF, NO POPULATION'];
+
 var QueryGenerator = {
   options: {},
   dialect: 'mssql',
 
+  columnTypeAliases: {
+    'INT': 'INTEGER',
+    'DOUBLE PRECISION': 'FLOAT',
+    'NUMERIC': 'DECIMAL'
+  },
+
   createSchema: function(schema) {
     return [
       'IF NOT EXISTS (SELECT schema_name',
@@ -96,6 +109,8 @@ var QueryGenerator = {
       });
     }
 
+    values.attributes += this.checksToSQL(options.checks);
+
     if (pkString.length > 0) {
       values.attributes += ', PRIMARY KEY (' + pkString + ')';
     }
@@ -186,7 +201,7 @@ var QueryGenerator = {
 
   changeColumnQuery: function(tableName, attributes) {
     var query = 'ALTER TABLE <%= tableName %> <%= query %>;';
-    var attrString = [], constraintString = [];
+    var attrString = [], constraintString = [], dropDefaults = [], addDefaults = [];
 
     for (var attributeName in attributes) {
       var definition = attributes[attributeName];
@@ -197,6 +212,19 @@ var QueryGenerator = {
           definition: definition.replace(/.+?(?=REFERENCES)/,'')
         }));
       } else {
+        // ALTER COLUMN can not set a default, it is a constraint of its own which replaces the current one
+        var defaultValue = definition.match(/ DEFAULT (N?'(?:[^']|'')*'|\S+)/);
+
+        if (defaultValue) {
+          dropDefaults.push(dropDefaultConstraint(this.quoteTable(tableName), attributeName));
+          definition = definition.replace(defaultValue[0], '');
+          addDefaults.push(Utils._.template('ALTER TABLE <%= tableName %> ADD DEFAULT <%= value %> FOR <%= attrName %>;')({
+            tableName: this.quoteTable(tableName),
+            value: defaultValue[1],
+            attrName: this.quoteIdentifier(attributeName)
+          }));
+        }
+
         attrString.push(Utils._.template('<%= attrName %> <%= definition %>')({
           attrName: this.quoteIdentifier(attributeName),
           definition: definition
@@ -213,10 +241,17 @@ var QueryGenerator = {
       finalQuery += 'ADD CONSTRAINT ' + constraintString.join(', ');
     }
 
-    return Utils._.template(query)({
+    query = Utils._.template(query)({
       tableName: this.quoteTable(tableName),
       query: finalQuery
     });
+
+    if (!dropDefaults.length) {
+      return query;
+    }
+
+    // The new defaults are added once the column has its new type
+    return ['DECLARE @constraint NVARCHAR(128);'].concat(dropDefaults, query, addDefaults).join(' ');
   },
 
   renameColumnQuery: function(tableName, attrBefore, attributes) {
@@ -552,6 +587,10 @@ var QueryGenerator = {
       template += ' PRIMARY KEY';
     }
 
+    if (attribute.check) {
+      template += ' CHECK (' + this.checkExpression(attribute.check) + ')';
+    }
+
     if (attribute.references) {
       template += ' REFERENCES ' + this.quoteTable(attribute.references.model);
 
@@ -669,6 +708,55 @@ var QueryGenerator = {
     return sql;
   },
 
+  getForeignKeyReferencesQuery: function(table) {
+    var sql = [
+      'SELECT',
+        'constraint_name = OBJ.NAME,',
+        'column_name = COL.NAME,',
+        'referenced_table_name = RTB.NAME,',
+        'referenced_column_name = RCOL.NAME',
+      'FROM sys.foreign_key_columns FKC',
+        'INNER JOIN sys.objects OBJ ON OBJ.OBJECT_ID = FKC.CONSTRAINT_OBJECT_ID',
+        'INNER JOIN sys.tables TB ON TB.OBJECT_ID = FKC.PARENT_OBJECT_ID',
+        'INNER JOIN sys.schemas SCH ON SCH.SCHEMA_ID = TB.SCHEMA_ID',
+        'INNER JOIN sys.columns COL ON COL.COLUMN_ID = FKC.PARENT_COLUMN_ID AND COL.OBJECT_ID = TB.OBJECT_ID',
+        'INNER JOIN sys.tables RTB ON RTB.OBJECT_ID = FKC.REFERENCED_OBJECT_ID',
+        'INNER JOIN sys.columns RCOL ON RCOL.COLUMN_ID = FKC.REFERENCED_COLUMN_ID AND RCOL.OBJECT_ID = RTB.OBJECT_ID',
+      'WHERE TB.NAME =', wrapSingleQuote(table.tableName || table)
+    ].join(' ');
+
+    if (table.schema) {
+      sql += ' AND SCH.NAME =' + wrapSingleQuote(table.schema);
+    }
+
+    return sql;
+  },
+
+  showConstraintsQuery: function(table) {
+    var sql = [
+      'SELECT',
+        'tc.CONSTRAINT_NAME AS constraint_name,',
+        'tc.CONSTRAINT_TYPE AS constraint_type,',
+        'COALESCE(kcu.COLUMN_NAME, ccu.COLUMN_NAME) AS column_name,',
+        'cc.CHECK_CLAUSE AS definition,',
+        'rkcu.TABLE_NAME AS referenced_table_name,',
+        'rkcu.COLUMN_NAME AS referenced_column_name',
+      'FROM INFORMATION_SCHEMA.TABLE_CONSTRAINTS tc',
+        'LEFT JOIN INFORMATION_SCHEMA.KEY_COLUMN_USAGE kcu ON kcu.CONSTRAINT_SCHEMA = tc.CONSTRAINT_SCHEMA AND kcu.CONSTRAINT_NAME = tc.CONSTRAINT_NAME',
+        'LEFT JOIN INFORMATION_SCHEMA.CHECK_CONSTRAINTS cc ON cc.CONSTRAINT_SCHEMA = tc.CONSTRAINT_SCHEMA AND cc.CONSTRAINT_NAME = tc.CONSTRAINT_NAME',
+        "LEFT JOIN INFORMATION_SCHEMA.CONSTRAINT_COLUMN_USAGE ccu ON tc.CONSTRAINT_TYPE = 'CHECK' AND ccu.CONSTRAINT_SCHEMA = tc.CONSTRAINT_SCHEMA AND ccu.CONSTRAINT_NAME = tc.CONSTRAINT_NAME",
+        'LEFT JOIN INFORMATION_SCHEMA.REFERENTIAL_CONSTRAINTS rc ON rc.CONSTRAINT_SCHEMA = tc.CONSTRAINT_SCHEMA AND rc.CONSTRAINT_NAME = tc.CONSTRAINT_NAME',
+        'LEFT JOIN INFORMATION_SCHEMA.KEY_COLUMN_USAGE rkcu ON rkcu.CONSTRAINT_SCHEMA = rc.UNIQUE_CONSTRAINT_SCHEMA AND rkcu.CONSTRAINT_NAME = rc.UNIQUE_CONSTRAINT_NAME AND rkcu.ORDINAL_POSITION = kcu.ORDINAL_POSITION',
+      'WHERE tc.TABLE_NAME =', wrapSingleQuote(table.tableName || table)
+    ].join(' ');
+
+    if (table.schema) {
+      sql += ' AND tc.TABLE_SCHEMA =' + wrapSingleQuote(table.schema);
+    }
+
+    return sql + ' ORDER BY tc.CONSTRAINT_NAME, kcu.ORDINAL_POSITION';
+  },
+
   getForeignKeyQuery: function(table, attributeName) {
     var tableName = table.tableName || table;
     var sql = [
@@ -716,6 +804,132 @@ var QueryGenerator = {
     });
   },
 
+  createFullTextCatalogQuery: function(catalogName, options) {
+    options = options || {};
+    return 'CREATE FULLTEXT CATALOG ' + this.quoteIdentifier(catalogName) + (options.default ? ' AS DEFAULT' : '') + ';';
+  },
+
+  dropFullTextCatalogQuery: function(catalogName) {
+    return 'DROP FULLTEXT CATALOG ' + this.quoteIdentifier(catalogName) + ';';
+  },
+
+  /*
+    Returns the name of the index backing the primary key of a table, which full-text indexes use as their key index.
+  */
+  getPrimaryKeyIndexQuery: function(tableName) {
+    var sql = "SELECT name FROM sys.indexes " +
+      "WHERE object_id = OBJECT_ID('<%= table %>', 'U') AND is_primary_key = 1;";
+    return Utils._.template(sql)({
+      table: this.quoteTable(tableName)
+    });
+  },
+
+  /*
+    Returns a query creating the full-text index of a table.
+    Parameters:
+      - tableName: The table to index
+      - attributes: The columns to index, as names or hashes with a `name` and a `language`
+      - options: A hash with the following content:
+        - keyIndex: The unique index identifying the rows of the table, usually the primary key
+        - catalog: The full-text catalog to create the index in. Defaults to the default catalog
+        - changeTracking: One of auto, manual, off or 'off, no population'
+        - language: The language of the columns not naming their own
+  */
+  createFullTextIndexQuery: function(tableName, attributes, options) {
+    var self = this
+      , changeTracking;
+
+    options = options || {};
+
+    if (!options.keyIndex) {
+      throw new Error('createFullTextIndexQuery requires the keyIndex option');
+    }
+
+    attributes = [].concat(attributes).map(function(attribute) {
+      if (!Utils._.isPlainObject(attribute)) {
+        attribute = { name: attribute };
+      }
+      return self.quoteIdentifier(attribute.name) + self.fullTextLanguageTerm(attribute.language || options.language, ' ');
+    });
+
+    if (options.changeTracking) {
+      changeTracking = options.changeTracking.toUpperCase();
+      if (changeTrackingModes.indexOf(changeTracking) === -1) {
+        throw new Error('Unknown change tracking "' + options.changeTracking + '", expected one of: ' + changeTrackingModes.join(', ').toLowerCase());
+      }
+    }
+
+    return [
+      'CREATE FULLTEXT INDEX ON', this.quoteTable(tableName), '(' + attributes.join(', ') + ')',
+      'KEY INDEX', this.quoteIdentifier(options.keyIndex),
+      options.catalog ? 'ON ' + this.quoteIdentifier(options.catalog) : '',
+      changeTracking ? 'WITH CHANGE_TRACKING ' + changeTracking : ''
+    ].join(' ').trim().replace(/ +/g, ' ') + ';';
+  },
+
+  dropFullTextIndexQuery: function(tableName) {
+    return 'DROP FULLTEXT INDEX ON ' + this.quoteTable(tableName) + ';';
+  },
+
+  /*
+    Returns the LANGUAGE term of a full-text predicate or index column, given as an LCID or a language name.
+  */
+  fullTextLanguageTerm: function(language, separator) {
+    if (language === undefined || language === null) {
+      return '';
+    }
+    return (separator || ', ') + 'LANGUAGE ' + (Utils._.isInteger(language) ? language : wrapSingleQuote(language));
+  },
+
+  matchAgainstQuery: function(columns, value, options) {
+    var self = this
+      , search = fullTextSearch(value, options);
+
+    columns = columns.map(function(column) {
+      return self.prefixColumn(self.quoteIdentifier(column), options.prefix);
+    });
+
+    return search.predicate + '(' + (columns.length > 1 ? '(' + columns.join(', ') + ')' : columns[0]) + ', ' +
+      this.bindValue(search.query, options) + this.fullTextLanguageTerm(search.language) + ')';
+  },
+
+  // FREETEXT looks for the meaning of the words, CONTAINS takes its own search condition syntax
+  nativeSearch: function(search) {
+    var query = search.query;
+
+    if (search.mode === 'phrase') {
+      query = '"' + query.replace(/"/g, '""') + '"';
+    }
+
+    return {
+      query: query,
+      mode: search.mode === 'natural' ? 'freetext' : 'contains',
+      language: search.language
+    };
+  },
+
+  /*
+    Ranks through CONTAINSTABLE / FREETEXTTABLE, joined to the row on the key of the full-text index.
+  */
+  matchRankQuery: function(columns, value, rank, options) {
+    var self = this
+      , search = fullTextSearch(value, options)
+      , model = options.model;
+
+    columns = columns.map(function(column) {
+      return self.quoteIdentifier(column);
+    });
+
+    return '(SELECT [KEY_TBL].[RANK] FROM ' + search.predicate + 'TABLE(' + this.quoteTable(model.getTableName()) + ', ' +
+      (columns.length > 1 ? '(' + columns.join(', ') + ')' : columns[0]) + ', ' +
+      this.bindValue(search.query, options) + this.fullTextLanguageTerm(search.language) + ') AS [KEY_TBL] ' +
+      'WHERE [KEY_TBL].[KEY] = ' + this.prefixColumn(this.quoteIdentifier(model.primaryKeyField), options.prefix) + ')';
+  },
+
+  textSearchQuery: function() {
+    throw new Error('$ftspg is only supported by postgres, use $search or $match for full-text search on ' + this.dialect);
+  },
+
   setAutocommitQuery: function(value) {
     return '';
     // return 'SET IMPLICIT_TRANSACTIONS ' + (!!value ? 'OFF' : 'ON') + ';';
@@ -757,6 +971,16 @@ var QueryGenerator = {
     return 'ROLLBACK TRANSACTION;';
   },
 
+  advisoryLockQuery: function(name) {
+    return 'DECLARE @result INT; ' +
+      'EXEC @result = sp_getapplock @Resource = ' + this.escape(name) + ", @LockMode = 'Exclusive', @LockOwner = 'Session', @LockTimeout = -1; " +
+      'SELECT CASE WHEN @result >= 0 THEN 1 ELSE 0 END AS [locked];';
+  },
+
+  advisoryUnlockQuery: function(name) {
+    return 'EXEC sp_releaseapplock @Resource = ' + this.escape(name) + ", @LockOwner = 'Session';";
+  },
+
   selectFromTableFragment: function(options, model, attributes, tables, mainTableAs, where) {
     var topFragment = '';
     var mainFragment = 'SELECT ' + attributes.join(', ') + ' FROM ' + tables;
@@ -854,4 +1078,27 @@ function wrapSingleQuote(identifier){
   return Utils.addTicks(identifier, "'");
 }
 
+// Drops the default constraint of a column, whose name is generated by SQL Server, in a batch declaring @constraint
+function dropDefaultConstraint(quotedTableName, attributeName) {
+  return 'SET @constraint = (SELECT d.name FROM sys.default_constraints d ' +
+    'INNER JOIN sys.columns c ON c.default_object_id = d.object_id AND c.object_id = d.parent_object_id ' +
+    'WHERE d.parent_object_id = OBJECT_ID(' + wrapSingleQuote(quotedTableName) + ') AND c.name = ' + wrapSingleQuote(attributeName) + '); ' +
+    'IF @constraint IS NOT NULL EXEC(\'ALTER TABLE ' + quotedTableName.replace(/'/g, '\'\'') + ' DROP CONSTRAINT [\' + @constraint + \']\');';
+}
+
+function fullTextSearch(value, options) {
+  var search = Utils._.isPlainObject(value) ? value : { query: value }
+    , mode = search.mode || Utils._.get(options, 'model.options.textSearch.mode') || 'contains';
+
+  if (!fullTextPredicates.hasOwnProperty(mode)) {
+    throw new Error('Unknown full-text search mode "' + mode + '", expected one of: ' + Object.keys(fullTextPredicates).join(', '));
+  }
+
+  return {
+    predicate: fullTextPredicates[mode],
+    query: search.query,
+    language: search.language
+  };
+}
+
 module.exports = Utils._.extend(Utils._.clone(AbstractQueryGenerator), QueryGenerator);
@@ -34,8 +34,12 @@ MysqlDialect.prototype.supports = _.merge(_.cloneDeep(Abstract.prototype.support
   ignoreDuplicates: ' IGNORE',
   updateOnDuplicate: true,
   indexViaAlter: true,
+  advisoryLocks: true,
   NUMERIC: true,
-  GEOMETRY: true
+  GEOMETRY: true,
+  fullTextSearch: {
+    language: false
+  }
 });
 
 ConnectionManager.prototype.defaultVersion = '5.6.0';
@@ -2,9 +2,22 @@
 
 var Utils = require('../../utils');
 
+// Search modifiers of MATCH ... AGAINST, by `mode` option of $match
+var matchModes = {
+  natural: 'IN NATURAL LANGUAGE MODE',
+  boolean: 'IN BOOLEAN MODE',
+  expansion: 'WITH QUERY EXPANSION'
+};
+
 var QueryGenerator = {
   dialect: 'mysql',
 
+  columnTypeAliases: {
+    'INT': 'INTEGER',
+    'DOUBLE PRECISION': 'DOUBLE',
+    'NUMERIC': 'DECIMAL'
+  },
+
   createSchema: function() {
     var query = 'SHOW TABLES';
     return Utils._.template(query)({});
@@ -80,6 +93,8 @@ var QueryGenerator = {
       });
     }
 
+    values.attributes += this.checksToSQL(options.checks);
+
     if (pkString.length > 0) {
       values.attributes += ', PRIMARY KEY (' + pkString + ')';
     }
@@ -260,6 +275,10 @@ var QueryGenerator = {
       template += ' PRIMARY KEY';
     }
 
+    if (attribute.check) {
+      template += ' CHECK (' + this.checkExpression(attribute.check) + ')';
+    }
+
     if (attribute.after) {
       template += ' AFTER ' + this.quoteIdentifier(attribute.after);
     }
@@ -330,6 +349,40 @@ var QueryGenerator = {
     return Utils.addTicks(identifier, '`');
   },
 
+  matchAgainstQuery: function(columns, value, options) {
+    var self = this
+      , mode;
+
+    if (Utils._.isPlainObject(value)) {
+      mode = value.mode;
+      value = value.query;
+    }
+
+    mode = mode || Utils._.get(options, 'model.options.textSearch.mode') || 'natural';
+
+    if (!matchModes.hasOwnProperty(mode)) {
+      throw new Error('Unknown full-text search mode "' + mode + '", expected one of: ' + Object.keys(matchModes).join(', '));
+    }
+
+    columns = columns.map(function(column) {
+      return self.prefixColumn(self.quoteIdentifier(column), options.prefix);
+    });
+
+    return 'MATCH (' + columns.join(', ') + ') AGAINST (' + this.escape(value) + ' ' + matchModes[mode] + ')';
+  },
+
+  nativeSearch: function(search) {
+    if (search.mode === 'phrase') {
+      // A phrase is double quoted in boolean mode, where it can not contain double quotes itself
+      return { query: '"' + search.query.replace(/"/g, ' ') + '"', mode: 'boolean' };
+    }
+    return { query: search.query, mode: search.mode };
+  },
+
+  textSearchQuery: function() {
+    throw new Error('$ftspg is only supported by postgres, use $match for full-text search on ' + this.dialect);
+  },
+
   /**
    * Generates an SQL query that returns all foreign keys of a table.
    *
@@ -342,6 +395,38 @@ var QueryGenerator = {
       "' AND CONSTRAINT_NAME!='PRIMARY' AND CONSTRAINT_SCHEMA='" + schemaName + "' AND REFERENCED_TABLE_NAME IS NOT NULL;"; /* jshint ignore: line */
   },
 
+  getForeignKeyReferencesQuery: function(tableName, schemaName) {
+    return 'SELECT CONSTRAINT_NAME AS constraint_name, COLUMN_NAME AS column_name, REFERENCED_TABLE_NAME AS referenced_table_name, ' +
+      'REFERENCED_COLUMN_NAME AS referenced_column_name FROM INFORMATION_SCHEMA.KEY_COLUMN_USAGE ' +
+      'WHERE TABLE_NAME = ' + wrapSingleQuote(tableName.tableName || tableName) + ' AND CONSTRAINT_SCHEMA = ' + wrapSingleQuote(schemaName) +
+      ' AND REFERENCED_TABLE_NAME IS NOT NULL;';
+  },
+
+  showConstraintsQuery: function(tableName, schemaName) {
+    return 'SELECT tc.CONSTRAINT_NAME AS constraint_name, tc.CONSTRAINT_TYPE AS constraint_type, kcu.COLUMN_NAME AS column_name, ' +
+      'NULL AS definition, kcu.REFERENCED_TABLE_NAME AS referenced_table_name, kcu.REFERENCED_COLUMN_NAME AS referenced_column_name ' +
+      'FROM INFORMATION_SCHEMA.TABLE_CONSTRAINTS tc LEFT JOIN INFORMATION_SCHEMA.KEY_COLUMN_USAGE kcu ' +
+      'ON kcu.CONSTRAINT_SCHEMA = tc.CONSTRAINT_SCHEMA AND kcu.TABLE_NAME = tc.TABLE_NAME AND kcu.CONSTRAINT_NAME = tc.CONSTRAINT_NAME ' +
+      'WHERE tc.TABLE_NAME = ' + wrapSingleQuote(tableName.tableName || tableName) + ' AND tc.CONSTRAINT_SCHEMA = ' + wrapSingleQuote(schemaName) +
+      ' ORDER BY tc.CONSTRAINT_NAME, kcu.ORDINAL_POSITION;';
+  },
+
+  // Each type of constraint is dropped in its own way, CHECK constraints as of MySQL 8.0.16
+  removeConstraintQuery: function(tableName, constraintName, type) {
+    var query = 'ALTER TABLE ' + this.quoteTable(tableName) + ' ';
+
+    switch (type) {
+      case 'PRIMARY KEY':
+        return query + 'DROP PRIMARY KEY;';
+      case 'FOREIGN KEY':
+        return query + 'DROP FOREIGN KEY ' + this.quoteIdentifier(constraintName) + ';';
+      case 'UNIQUE':
+        return query + 'DROP INDEX ' + this.quoteIdentifier(constraintName) + ';';
+      default:
+        return query + 'DROP CHECK ' + this.quoteIdentifier(constraintName) + ';';
+    }
+  },
+
   /**
    * Generates an SQL query that returns the foreign key constraint of a given column.
    *
@@ -374,6 +459,21 @@ var QueryGenerator = {
    */
   dropForeignKeyQuery: function(tableName, foreignKey) {
     return 'ALTER TABLE ' + this.quoteTable(tableName) + ' DROP FOREIGN KEY ' + this.quoteIdentifier(foreignKey) + ';';
+  },
+
+  /**
+   * Generates an SQL query that takes a named lock for the connection. MySQL only waits forever on a negative
+   * timeout from 5.7.5, so it waits for a year instead.
+   *
+   * @param  {String} name The name of the lock.
+   * @return {String}      The generated sql query.
+   */
+  advisoryLockQuery: function(name) {
+    return 'SELECT GET_LOCK(' + this.escape(name) + ', 31536000) = 1 AS `locked`;';
+  },
+
+  advisoryUnlockQuery: function(name) {
+    return 'SELECT RELEASE_LOCK(' + this.escape(name) + ');';
   }
 };
 
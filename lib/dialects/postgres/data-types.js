@@ -380,6 +380,30 @@ module.exports = function (BaseTypes) {
     array_oids: [3905, 3907, 3909, 3911, 3913, 3927]
   };
 
+  var tsvector = require('./tsvector');
+  var TSVECTOR = BaseTypes.TSVECTOR.inherits();
+
+  TSVECTOR.parse = function (value) {
+    return tsvector.parse(value);
+  };
+
+  TSVECTOR.prototype.$stringify = function (value) {
+    if (_.isString(value)) {
+      return value;
+    }
+    return tsvector.stringify(value);
+  };
+
+  BaseTypes.TSVECTOR.types.postgres = {
+    oids: [3614],
+    array_oids: [3643]
+  };
+
+  BaseTypes.TSQUERY.types.postgres = {
+    oids: [3615],
+    array_oids: [3645]
+  };
+
   BaseTypes.ARRAY.prototype.escape = false;
   BaseTypes.ARRAY.prototype.$stringify = function (values, options) {
     var str = 'ARRAY[' + values.map(function (value) {
@@ -416,7 +440,8 @@ module.exports = function (BaseTypes) {
     GEOMETRY: GEOMETRY,
     GEOGRAPHY: GEOGRAPHY,
     HSTORE: HSTORE,
-    RANGE: RANGE
+    RANGE: RANGE,
+    TSVECTOR: TSVECTOR
   };
 
   _.forIn(exports, function (DataType, key) {
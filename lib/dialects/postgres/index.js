@@ -45,8 +45,15 @@ PostgresDialect.prototype.supports = _.merge(_.cloneDeep(Abstract.prototype.supp
   GEOGRAPHY: true,
   JSON: true,
   JSONB: true,
+  TSVECTOR: true,
   deferrableConstraints: true,
-  searchPath : true
+  ddlTransactions: true,
+  advisoryLocks: true,
+  searchPath : true,
+  fullTextSearch: {
+    language: true
+  },
+  trigram: true
 });
 
 ConnectionManager.prototype.defaultVersion = '9.4.0';
@@ -5,13 +5,47 @@ var Utils = require('../../utils')
   , util = require('util')
   , DataTypes = require('../../data-types')
   , AbstractQueryGenerator = require('../abstract/query-generator')
+  , TSQuery = require('../../tsquery')
   , semver = require('semver')
   , _ = require('lodash');
 
+// The parser of the tsquery for each mode of $search
+var searchParsers = {
+  natural: 'plain',
+  boolean: 'tsquery',
+  phrase: 'phrase'
+};
+
+// The clause of ALTER TEXT SEARCH CONFIGURATION for each action of alterTextSearchMappingQuery
+var textSearchMappingActions = {
+  add: 'ADD MAPPING',
+  alter: 'ALTER MAPPING',
+  drop: 'DROP MAPPING'
+};
+
+// Text search objects are listed from every schema but the system ones, unless a schema is given
+var textSearchSchemaCondition = function(queryGenerator, options) {
+  if (options && options.schema) {
+    return 'n.nspname = ' + queryGenerator.escape(options.schema);
+  }
+  return "n.nspname NOT IN ('pg_catalog', 'information_schema')";
+};
+
 var QueryGenerator = {
   options: {},
   dialect: 'postgres',
 
+  columnTypeAliases: {
+    'CHARACTER VARYING': 'VARCHAR',
+    'CHARACTER': 'CHAR',
+    'TIMESTAMP WITHOUT TIME ZONE': 'TIMESTAMP',
+    'TIME WITHOUT TIME ZONE': 'TIME',
+    'NUMERIC': 'DECIMAL',
+    'FLOAT': 'DOUBLE PRECISION'
+  },
+
+  nullsLast: true,
+
   setSearchPath: function(searchPath) {
     var query = 'SET search_path to <%= searchPath%>;';
     return Utils._.template(query)({searchPath: searchPath});
@@ -79,6 +113,8 @@ var QueryGenerator = {
       });
     }
 
+    values.attributes += this.checksToSQL(options.checks);
+
     var pks = _.reduce(attributes, function (acc, attribute, key) {
       if (_.includes(attribute, 'PRIMARY KEY')) {
         acc.push(this.quoteIdentifier(key));
@@ -178,7 +214,12 @@ var QueryGenerator = {
     }
   },
 
-  addColumnQuery: function(table, key, dataType) {
+  /*
+    options.fields maps the attributes of the model to their columns, and options.config is the text search
+    configuration of the model, for a search vector column computed from other attributes.
+  */
+  addColumnQuery: function(table, key, dataType, options) {
+    options = options || {};
     var query = 'ALTER TABLE <%= table %> ADD COLUMN <%= attribute %>;'
       , dbDataType = this.attributeToSQL(dataType, {context: 'addColumn'})
       , attribute;
@@ -192,10 +233,21 @@ var QueryGenerator = {
       definition: this.dataTypeMapping(table, key, dbDataType)
     });
 
-    return Utils._.template(query)({
+    query = Utils._.template(query)({
       table: this.quoteTable(this.extractTableDetails(table)),
       attribute: attribute
     });
+
+    // Fill the new column for existing rows, and keep it up to date from then on
+    if (dataType.type instanceof DataTypes.TSVECTOR && dataType.searchSource) {
+      var searchVector = _.defaults({}, dataType, { config: options.config })
+        , fields = options.fields || {};
+
+      query += ' UPDATE ' + this.quoteTable(this.extractTableDetails(table)) + ' SET ' + this.quoteIdentifier(key) + ' = ' +
+        this.pgSearchVectorExpression(searchVector, fields) + '; ' + this.pgSearchVectorTrigger(table, key, searchVector, { fields: fields });
+    }
+
+    return query;
   },
 
   removeColumnQuery: function(tableName, attributeName) {
@@ -484,6 +536,11 @@ var QueryGenerator = {
       template += ' PRIMARY KEY';
     }
 
+    if (attribute.check) {
+      template += ' CHECK (<%= check %>)';
+      replacements.check = this.checkExpression(attribute.check);
+    }
+
     if (attribute.references) {
       attribute = Utils.formatReferences(attribute);
       template += ' REFERENCES <%= referencesTable %> (<%= referencesKey %>)';
@@ -514,6 +571,17 @@ var QueryGenerator = {
     return  Utils._.template(template)(replacements);
   },
 
+  /*
+    Session level advisory locks take a bigint key, which is the hash of the name.
+  */
+  advisoryLockQuery: function(name) {
+    return 'SELECT true AS "locked" FROM pg_advisory_lock(hashtext(' + this.escape(name) + '));';
+  },
+
+  advisoryUnlockQuery: function(name) {
+    return 'SELECT pg_advisory_unlock(hashtext(' + this.escape(name) + '));';
+  },
+
   deferConstraintsQuery: function (options) {
     return options.deferrable.toString(this);
   },
@@ -799,6 +867,378 @@ var QueryGenerator = {
     return 'DROP TYPE IF EXISTS ' + enumName + '; ';
   },
 
+  pgSearchVectorName: function(tableName, attr, options) {
+    options = options || {};
+    var tableDetails = this.extractTableDetails(tableName, options)
+      , name = '"tsvector_' + tableDetails.tableName + '_' + attr + '"';
+
+    // Triggers live in the namespace of their table, so only the function is schema qualified
+    if (options.schema !== false && tableDetails.schema) {
+      name = this.quoteIdentifier(tableDetails.schema) + tableDetails.delimiter + name;
+    }
+
+    return name;
+  },
+
+  /*
+    Builds the tsvector expression for an attribute with a `searchSource`, e.g. `{ title: 'A', body: 'B' }` or `['title', 'body']`.
+    `fields` maps source attribute names to column names, `prefix` is prepended to every column (`NEW.` inside a trigger).
+  */
+  pgSearchVectorExpression: function(attribute, fields, prefix) {
+    var self = this
+      , sources = attribute.searchSource
+      , config = attribute.config ? this.escape(attribute.config) + ', ' : '';
+
+    fields = fields || {};
+    prefix = prefix || '';
+
+    if (Array.isArray(sources)) {
+      sources = _.zipObject(sources, []);
+    }
+
+    if (_.isEmpty(sources)) {
+      throw new Error('searchSource must name at least one attribute');
+    }
+
+    return _.map(sources, function(weight, source) {
+      var vector = 'to_tsvector(' + config + 'coalesce(' + prefix + self.quoteIdentifier(fields[source] || source) + "::text, ''))";
+
+      if (!weight) {
+        return vector;
+      }
+
+      weight = String(weight).toUpperCase();
+      if (['A', 'B', 'C', 'D'].indexOf(weight) === -1) {
+        throw new Error('Invalid weight "' + weight + '" for search source ' + source + ', expected one of: A, B, C, D');
+      }
+
+      return 'setweight(' + vector + ', ' + self.escape(weight) + ')';
+    }).join(' || ');
+  },
+
+  pgSearchVectorTrigger: function(tableName, attr, attribute, options) {
+    options = options || {};
+    var self = this
+      , fields = options.fields || {}
+      , functionName = this.pgSearchVectorName(tableName, attr, options)
+      , body = 'NEW.' + this.quoteIdentifier(attr) + ' := ' + this.pgSearchVectorExpression(attribute, fields, 'NEW.') + ';\nRETURN NEW;'
+      , sources = Array.isArray(attribute.searchSource) ? attribute.searchSource : Object.keys(attribute.searchSource);
+
+    return this.pgSearchVectorDrop(tableName, attr, options) +
+      this.createFunction(functionName, [], 'trigger', 'plpgsql', body) + ' ' +
+      this.createTrigger(
+        this.quoteTable(this.extractTableDetails(tableName, options)),
+        this.pgSearchVectorName(tableName, attr, { schema: false }),
+        'before',
+        {
+          insert: [],
+          update: sources.map(function(source) {
+            return self.quoteIdentifier(fields[source] || source);
+          })
+        },
+        functionName,
+        [],
+        ['FOR EACH ROW']
+      );
+  },
+
+  /*
+    Returns the query recomputing search vectors from their searchSource, for the rows whose primary key is within a
+    range, as Model.reindexSearch does batch after batch.
+    Parameters:
+      - tableName: The table of the model
+      - attributes: The TSVECTOR attributes with a searchSource to recompute, by column name
+      - range: A hash with the primary key column as `key`, and the first and last keys of the batch as `from` and `to`
+      - fields: The column name of every source attribute
+  */
+  reindexSearchQuery: function(tableName, attributes, range, fields) {
+    var self = this
+      , key = this.quoteIdentifier(range.key);
+
+    return 'UPDATE ' + this.quoteTable(tableName) + ' SET ' + _.map(attributes, function(attribute, column) {
+      return self.quoteIdentifier(column) + ' = ' + self.pgSearchVectorExpression(attribute, fields);
+    }).join(', ') + ' WHERE ' + key + ' >= ' + this.escape(range.from) + ' AND ' + key + ' <= ' + this.escape(range.to) + ';';
+  },
+
+  pgSearchVectorDrop: function(tableName, attr, options) {
+    // CASCADE takes the trigger using the function with it
+    return 'DROP FUNCTION IF EXISTS ' + this.pgSearchVectorName(tableName, attr, options) + '() CASCADE; ';
+  },
+
+  nativeSearch: function(search) {
+    return {
+      query: search.query,
+      config: search.language,
+      parser: searchParsers[search.mode]
+    };
+  },
+
+  /*
+    Returns the tsvector searched by $search. TSVECTOR columns are searched as they are, others through
+    to_tsvector with the language of the search, so that an expression index on them can be used.
+  */
+  searchVectorQuery: function(columns, config, options) {
+    return this.searchTablesVectorQuery([{ model: options.model, prefix: options.prefix, columns: columns }], config);
+  },
+
+  /*
+    Returns the tsvector of the columns of several tables, as given by searchTables, concatenated into one.
+  */
+  searchTablesVectorQuery: function(tables, config) {
+    var self = this
+      , vectors = _.flatMap(tables, function(table) {
+        var rawAttributes = _.get(table, 'model.rawAttributes')
+          , tableConfig = config || _.get(table, 'model.options.textSearch.config');
+
+        return table.columns.map(function(column) {
+          var attribute = _.find(rawAttributes, { field: column }) || rawAttributes && rawAttributes[column]
+            , vector = self.prefixColumn(self.quoteIdentifier(column), table.prefix);
+
+          if (!attribute || !(attribute.type instanceof DataTypes.TSVECTOR)) {
+            vector = 'to_tsvector(' + (tableConfig ? self.escape(tableConfig) + ', ' : '') + vector + ')';
+          }
+          return vector;
+        });
+      });
+
+    // A null column would make the whole vector null
+    return vectors.length > 1 ? '(' + vectors.map(function(vector) {
+      return 'coalesce(' + vector + ", '')";
+    }).join(' || ') + ')' : vectors[0];
+  },
+
+  searchQuery: function(columns, search, options) {
+    var query = this.nativeSearch(search);
+    return this.searchVectorQuery(columns, query.config, options) + ' @@ ' + this.textSearchQuery(query, options);
+  },
+
+  searchRankQuery: function(columns, search, rank, options) {
+    var query = this.nativeSearch(search);
+    return this.textSearchRankQuery(this.searchVectorQuery(columns, query.config, options), this.textSearchQuery(query, options), rank);
+  },
+
+  // A tsvector spans tables, so that a search across them is ranked as a single document, in the configuration of the
+  // model queried
+  searchTablesQuery: function(tables, search, options) {
+    var query = this.nativeSearch(search)
+      , config = query.config || _.get(options, 'model.options.textSearch.config');
+
+    return this.searchTablesVectorQuery(tables, config) + ' @@ ' + this.textSearchQuery(query, { model: options.model, bind: options.bind });
+  },
+
+  searchTablesRankQuery: function(tables, search, rank, options) {
+    var query = this.nativeSearch(search)
+      , config = query.config || _.get(options, 'model.options.textSearch.config');
+
+    return this.textSearchRankQuery(
+      this.searchTablesVectorQuery(tables, config),
+      this.textSearchQuery(query, { model: options.model, bind: options.bind }),
+      rank
+    );
+  },
+
+  /*
+    Returns the query creating a text search configuration, as a copy of an existing one or on a parser.
+    Parameters:
+      - name: The name of the configuration, optionally schema qualified ('search.english_unaccent')
+      - options: A hash with one of the following:
+        - copy: The configuration to copy the parser and the mappings of, such as 'english'
+        - parser: The parser of a configuration starting without mappings. Defaults to 'default'
+  */
+  createTextSearchConfigurationQuery: function(name, options) {
+    options = options || {};
+
+    if (options.copy && options.parser) {
+      throw new Error('A text search configuration copies another one or is created on a parser, not both');
+    }
+
+    return 'CREATE TEXT SEARCH CONFIGURATION ' + this.quoteIdentifiers(name) + ' (' +
+      (options.copy ? 'COPY = ' + this.quoteIdentifiers(options.copy) : 'PARSER = ' + this.quoteIdentifiers(options.parser || 'default')) + ');';
+  },
+
+  dropTextSearchConfigurationQuery: function(name, options) {
+    options = options || {};
+    return 'DROP TEXT SEARCH CONFIGURATION ' + (options.ifExists ? 'IF EXISTS ' : '') + this.quoteIdentifiers(name) +
+      (options.cascade ? ' CASCADE' : '') + ';';
+  },
+
+  /*
+    Returns the query changing which dictionaries a text search configuration looks the tokens up in.
+    Parameters:
+      - name: The name of the configuration
+      - mapping: A hash with the following content:
+        - action: 'add' maps token types that are not mapped yet, 'alter' (the default) replaces their dictionaries
+                  and 'drop' removes their mapping
+        - tokens: The token types, such as 'asciiword' or ['word', 'hword_part']
+        - dictionaries: The dictionaries, looked up in order until one recognizes the token
+        - replace: The dictionary replaced by the single one of `dictionaries`, in the mappings of `tokens` or of
+                   every token type. Only for 'alter'
+        - ifExists: Do not fail when dropping the mapping of a token type that is not mapped
+  */
+  alterTextSearchMappingQuery: function(name, mapping) {
+    var self = this
+      , action = mapping.action || 'alter'
+      , tokens = [].concat(mapping.tokens || []).map(function(token) {
+        return self.quoteIdentifier(token);
+      }).join(', ')
+      , dictionaries = [].concat(mapping.dictionaries || []).map(function(dictionary) {
+        return self.quoteIdentifiers(dictionary);
+      })
+      , sql = 'ALTER TEXT SEARCH CONFIGURATION ' + this.quoteIdentifiers(name) + ' ' + textSearchMappingActions[action];
+
+    if (!textSearchMappingActions.hasOwnProperty(action)) {
+      throw new Error('Unknown text search mapping action "' + action + '", expected one of: ' + Object.keys(textSearchMappingActions).join(', '));
+    }
+
+    if (mapping.replace) {
+      if (action !== 'alter' || dictionaries.length !== 1) {
+        throw new Error('Replacing a dictionary requires the alter action and a single dictionary to replace it with');
+      }
+      return sql + (tokens ? ' FOR ' + tokens : '') + ' REPLACE ' + this.quoteIdentifiers(mapping.replace) + ' WITH ' + dictionaries[0] + ';';
+    }
+
+    if (!tokens) {
+      throw new Error('A text search mapping requires the token types it maps');
+    }
+    if (action === 'drop') {
+      return sql + (mapping.ifExists ? ' IF EXISTS' : '') + ' FOR ' + tokens + ';';
+    }
+    if (!dictionaries.length) {
+      throw new Error('A text search mapping requires the dictionaries to look the tokens up in');
+    }
+
+    return sql + ' FOR ' + tokens + ' WITH ' + dictionaries.join(', ') + ';';
+  },
+
+  listTextSearchConfigurationsQuery: function(options) {
+    return 'SELECT c.cfgname AS name, n.nspname AS schema, p.prsname AS parser FROM pg_catalog.pg_ts_config c ' +
+      'JOIN pg_catalog.pg_namespace n ON n.oid = c.cfgnamespace ' +
+      'JOIN pg_catalog.pg_ts_parser p ON p.oid = c.cfgparser ' +
+      'WHERE ' + textSearchSchemaCondition(this, options) + ' ORDER BY n.nspname, c.cfgname;';
+  },
+
+  // The dictionaries of every mapped token type, in the order they are looked up in
+  listTextSearchMappingsQuery: function(name) {
+    var config = this.escape(this.quoteIdentifiers(name)) + '::regconfig';
+
+    return 'SELECT t.alias AS token, array_agg(d.dictname::text ORDER BY m.mapseqno) AS dictionaries ' +
+      'FROM ts_token_type((SELECT cfgparser FROM pg_catalog.pg_ts_config WHERE oid = ' + config + ')) t ' +
+      'JOIN pg_catalog.pg_ts_config_map m ON m.maptokentype = t.tokid AND m.mapcfg = ' + config + ' ' +
+      'JOIN pg_catalog.pg_ts_dict d ON d.oid = m.mapdict ' +
+      'GROUP BY t.tokid, t.alias ORDER BY t.tokid;';
+  },
+
+  /*
+    Returns the query creating a text search dictionary.
+    Parameters:
+      - name: The name of the dictionary, optionally schema qualified
+      - template: The template of the dictionary, such as 'simple', 'synonym', 'thesaurus', 'ispell' or 'unaccent'
+      - options: The options of the template, such as { synonyms: 'my_synonyms' } or
+                 { dictFile: 'thesaurus_astro', dictionary: 'english_stem' }
+  */
+  createTextSearchDictionaryQuery: function(name, template, options) {
+    var self = this
+      , args = ['TEMPLATE = ' + this.quoteIdentifiers(template)];
+
+    args = args.concat(_.map(options, function(value, key) {
+      if (!/^[a-z_]+$/i.test(key)) {
+        throw new Error('Invalid text search dictionary option ' + key);
+      }
+      return key.toUpperCase() + ' = ' + (typeof value === 'string' ? self.escape(value) : value);
+    }));
+
+    return 'CREATE TEXT SEARCH DICTIONARY ' + this.quoteIdentifiers(name) + ' (' + args.join(', ') + ');';
+  },
+
+  dropTextSearchDictionaryQuery: function(name, options) {
+    options = options || {};
+    return 'DROP TEXT SEARCH DICTIONARY ' + (options.ifExists ? 'IF EXISTS ' : '') + this.quoteIdentifiers(name) +
+      (options.cascade ? ' CASCADE' : '') + ';';
+  },
+
+  listTextSearchDictionariesQuery: function(options) {
+    return 'SELECT d.dictname AS name, n.nspname AS schema, t.tmplname AS template, d.dictinitoption AS options ' +
+      'FROM pg_catalog.pg_ts_dict d ' +
+      'JOIN pg_catalog.pg_namespace n ON n.oid = d.dictnamespace ' +
+      'JOIN pg_catalog.pg_ts_template t ON t.oid = d.dicttemplate ' +
+      'WHERE ' + textSearchSchemaCondition(this, options) + ' ORDER BY n.nspname, d.dictname;';
+  },
+
+  /*
+    Returns the query listing the tokens ts_debug splits a text into, with the dictionaries they are looked up in
+    and the lexemes these give. Without config, the default_text_search_config of the connection is used.
+  */
+  textSearchDebugQuery: function(text, config) {
+    return 'SELECT alias, description, token, dictionaries::text[] AS dictionaries, dictionary::text AS dictionary, lexemes ' +
+      'FROM ts_debug(' + (config ? this.escape(config) + ', ' : '') + this.escape(text) + ');';
+  },
+
+  textSearchVectorQuery: function(text, config) {
+    return 'SELECT to_tsvector(' + (config ? this.escape(config) + ', ' : '') + this.escape(text) + ') AS vector;';
+  },
+
+  /*
+    Returns the query normalizing the value of a $ftspg condition into a tsquery, along with the part of it an
+    index can be used for (querytree) and its number of nodes.
+  */
+  textSearchParseQuery: function(value, options) {
+    var query = this.textSearchQuery(value, options);
+
+    return 'SELECT ' + query + '::text AS query, querytree(' + query + ') AS indexed, numnode(' + query + ') AS nodes;';
+  },
+
+  /*
+    Returns the most frequent lexemes of an attribute starting with a prefix, with the number of rows they are found in,
+    from ts_stat. A text attribute is read with to_tsvector, and the prefix is normalized into a `prefix:*` tsquery, both
+    in the configuration of the attribute or of the model, so that the lexemes suggested are the ones a search finds.
+    Parameters:
+      - tableName: The table of the model
+      - attribute: The name of a TSVECTOR or text attribute
+      - prefix: The start of the word typed. Optional, the most frequent lexemes overall are returned without it
+      - options: A hash with the following content:
+        - model: The model of the table
+        - where: The condition of the rows the lexemes are taken from. Optional
+        - weights: Only count lexemes with one of these weights, e.g. 'AB'. Optional
+        - limit: The number of lexemes returned. Defaults to 10
+  */
+  textSearchSuggestQuery: function(tableName, attribute, prefix, options) {
+    var model = options.model
+      , rawAttribute = model.rawAttributes[attribute]
+      , databaseVersion = Utils._.get(this, 'sequelize.options.databaseVersion', 0)
+      , config
+      , documents
+      , lexeme
+      , weights = '';
+
+    if (!rawAttribute) {
+      throw new Error('Unknown attribute ' + attribute + ' of ' + model.name + ' to suggest search terms from');
+    }
+    config = rawAttribute.config || _.get(model, 'options.textSearch.config');
+
+    documents = this.selectQuery(tableName, _.assign({
+      attributes: [new Utils.literal(this.searchTablesVectorQuery([{
+        model: model,
+        prefix: model.name,
+        columns: [rawAttribute.field || attribute]
+      }], config))]
+    }, options.where && { where: _.clone(options.where) }), model).replace(/;$/, '');
+
+    if (options.weights) {
+      weights = String(options.weights).toUpperCase();
+      if (!/^[ABCD]+$/.test(weights)) {
+        throw new Error('Invalid weights "' + options.weights + '" to suggest search terms from, expected letters among A, B, C, D');
+      }
+      weights = ', ' + this.escape(weights);
+    }
+
+    // array_to_tsvector takes the lexeme as it is from Postgres 9.6 on, before which it goes through the simple configuration
+    lexeme = databaseVersion === 0 || semver.gte(databaseVersion, '9.6.0') ? 'array_to_tsvector(ARRAY[word])' : "to_tsvector('simple', word)";
+
+    return 'SELECT word AS term, ndoc AS documents FROM ts_stat(' + this.escape(documents) + weights + ')' +
+      (prefix ? ' WHERE ' + lexeme + ' @@ ' + this.textSearchQuery({ query: TSQuery.prefix(prefix), config: config }, { model: model }) : '') +
+      ' ORDER BY ndoc DESC, word LIMIT ' + this.escape(options.limit || 10) + ';';
+  },
+
   fromArray: function(text) {
     text = text.replace(/^{/, '').replace(/}$/, '');
     var matches = text.match(/("(?:\\.|[^"\\\\])*"|[^,]*)(?:\s*,\s*|\s*$)/ig);
@@ -808,7 +1248,7 @@ var QueryGenerator = {
     }
 
     matches = matches.map(function(m) {
-      return m.replace(/",$/, '').replace(/,$/, '').replace(/(^"|"$)/, '');
+      return m.replace(/",$/, '').replace(/,$/, '').replace(/(^"|"$)/g, '');
     });
 
     return matches.slice(0, -1);
@@ -867,6 +1307,15 @@ var QueryGenerator = {
       "WHERE r.conrelid = (SELECT oid FROM pg_class WHERE relname = '" + tableName + "' LIMIT 1) AND r.contype = 'f' ORDER BY 1;";
   },
 
+  getForeignKeyReferencesQuery: function(tableName) {
+    return 'SELECT tc.constraint_name, kcu.column_name, ccu.table_name AS referenced_table_name, ccu.column_name AS referenced_column_name ' +
+      'FROM information_schema.table_constraints tc ' +
+      'JOIN information_schema.key_column_usage kcu ON kcu.constraint_name = tc.constraint_name AND kcu.table_schema = tc.table_schema ' +
+      'JOIN information_schema.constraint_column_usage ccu ON ccu.constraint_name = tc.constraint_name AND ccu.table_schema = tc.table_schema ' +
+      "WHERE tc.constraint_type = 'FOREIGN KEY' AND tc.table_name = " + this.escape(tableName.tableName || tableName) +
+      ' AND tc.table_schema = ' + this.escape(tableName.schema || 'public') + ';';
+  },
+
   /**
    * Generates an SQL query that removes a foreign key from a table.
    *
@@ -878,6 +1327,24 @@ var QueryGenerator = {
     return 'ALTER TABLE ' + this.quoteTable(tableName) + ' DROP CONSTRAINT ' + this.quoteIdentifier(foreignKey) + ';';
   },
 
+  /*
+    Reads pg_constraint rather than information_schema, which lists NOT NULL columns as CHECK constraints. A row is
+    made for each position of the columns of a constraint, and one for a CHECK constraint which names no column.
+  */
+  showConstraintsQuery: function(tableName) {
+    return 'SELECT k.conname AS constraint_name, ' +
+      "CASE k.contype WHEN 'c' THEN 'CHECK' WHEN 'u' THEN 'UNIQUE' WHEN 'p' THEN 'PRIMARY KEY' ELSE 'FOREIGN KEY' END AS constraint_type, " +
+      "a.attname AS column_name, CASE WHEN k.contype = 'c' THEN pg_get_constraintdef(k.oid) END AS definition, " +
+      'f.relname AS referenced_table_name, fa.attname AS referenced_column_name ' +
+      'FROM (SELECT c.oid, c.conname, c.contype, c.conrelid, c.conkey, c.confrelid, c.confkey, ' +
+      'generate_series(1, GREATEST(array_length(c.conkey, 1), 1)) AS i FROM pg_constraint c ' +
+      'WHERE c.conrelid = ' + this.escape(this.quoteTable(tableName)) + "::regclass AND c.contype IN ('c', 'u', 'p', 'f')) k " +
+      'LEFT JOIN pg_attribute a ON a.attrelid = k.conrelid AND a.attnum = k.conkey[k.i] ' +
+      'LEFT JOIN pg_class f ON f.oid = k.confrelid ' +
+      'LEFT JOIN pg_attribute fa ON fa.attrelid = k.confrelid AND fa.attnum = k.confkey[k.i] ' +
+      'ORDER BY k.conname, k.i;';
+  },
+
 
   setAutocommitQuery: function(value, options) {
     if (options.parent) {
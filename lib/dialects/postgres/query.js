@@ -132,38 +132,7 @@ Query.prototype.run = function(sql, parameters) {
     }
 
     if (self.isShowIndexesQuery()) {
-      results.forEach(function (result) {
-        var attributes = /ON .*? (?:USING .*?\s)?\((.*)\)/gi.exec(result.definition)[1].split(',')
-          , field
-          , attribute
-          , columns;
-
-        // Map column index in table to column name
-        columns = _.zipObject(
-          result.column_indexes,
-          self.sequelize.queryInterface.QueryGenerator.fromArray(result.column_names)
-        );
-        delete result.column_indexes;
-        delete result.column_names;
-
-        // Indkey is the order of attributes in the index, specified by a string of attribute indexes
-        result.fields = result.indkey.split(' ').map(function (indKey, index) {
-          field = columns[indKey];
-          // for functional indices indKey = 0
-          if(!field) {
-            return null;
-          }
-          attribute = attributes[index];
-          return {
-            attribute: field,
-            collate: attribute.match(/COLLATE "(.*?)"/) ? /COLLATE "(.*?)"/.exec(attribute)[1] : undefined,
-            order: attribute.indexOf('DESC') !== -1 ? 'DESC' : attribute.indexOf('ASC') !== -1 ? 'ASC': undefined,
-            length: undefined
-          };
-        }).filter(function(n){ return n !== null; });
-        delete result.columns;
-      });
-      return results;
+      return self.handleShowIndexesQuery(rows);
     } else if (self.isForeignKeysQuery()) {
       result = [];
       rows.forEach(function(row) {
@@ -358,6 +327,118 @@ Query.prototype.formatError = function (err) {
   }
 };
 
+// Splits the elements of the index in an index definition at the commas outside of parentheses and quotes
+var indexElements = function(definition) {
+  var using = definition.indexOf(' USING ')
+    , start = definition.indexOf('(', using !== -1 ? using : definition.indexOf(' ON '))
+    , elements = []
+    , element = ''
+    , depth = 0
+    , quote = null
+    , i
+    , char;
+
+  for (i = start + 1; i < definition.length; i++) {
+    char = definition[i];
+
+    if (quote) {
+      quote = char === quote ? null : quote;
+    } else if (char === '\'' || char === '"') {
+      quote = char;
+    } else if (char === '(') {
+      depth++;
+    } else if (char === ')') {
+      if (!depth) {
+        break;
+      }
+      depth--;
+    } else if (char === ',' && !depth) {
+      elements.push(element.trim());
+      element = '';
+      continue;
+    }
+    element += char;
+  }
+
+  return elements.concat(element.trim());
+};
+
+// Parses an element of an index definition into the column or expression indexed and its options
+var indexElement = function(element) {
+  var end = 0
+    , depth = 0
+    , expression
+    , rest
+    , collate;
+
+  // A column, possibly quoted, a function call, or a parenthesized expression
+  end = /^(?:"(?:[^"]|"")*"|[\w$.]+)?/.exec(element)[0].length;
+  if (element[end] === '(') {
+    for (; end < element.length; end++) {
+      depth += element[end] === '(' ? 1 : element[end] === ')' ? -1 : 0;
+      if (!depth) {
+        end++;
+        break;
+      }
+    }
+  }
+
+  expression = element.slice(0, end);
+  rest = element.slice(end);
+  collate = /COLLATE ("(?:[^"]|"")*"|\S+)/.exec(rest);
+  rest = rest.replace(/COLLATE ("(?:[^"]|"")*"|\S+)/, '').replace(/\b(ASC|DESC|NULLS FIRST|NULLS LAST)\b/g, '').trim();
+
+  return {
+    expression: expression,
+    collate: collate ? collate[1].replace(/^"|"$/g, '') : undefined,
+    order: /\bDESC\b/.test(element.slice(end)) ? 'DESC' : /\bASC\b/.test(element.slice(end)) ? 'ASC' : undefined,
+    operator: rest || undefined
+  };
+};
+
+Query.prototype.handleShowIndexesQuery = function (rows) {
+  var self = this;
+
+  return rows.map(function (result) {
+    var elements = indexElements(result.definition)
+      , using = /USING (\w+)/.exec(result.definition)
+      , columns;
+
+    // Map column index in table to column name
+    columns = _.zipObject(
+      result.column_indexes,
+      self.sequelize.queryInterface.QueryGenerator.fromArray(result.column_names)
+    );
+    delete result.column_indexes;
+    delete result.column_names;
+
+    result.using = using ? using[1] : undefined;
+
+    // Indkey is the order of attributes in the index, specified by a string of attribute indexes
+    result.fields = result.indkey.split(' ').map(function (indKey, index) {
+      var element = indexElement(elements[index] || '')
+        , field = {
+          collate: element.collate,
+          order: element.order,
+          length: undefined
+        };
+
+      // For expression indexes indKey = 0, and the expression is reported as written by postgres
+      if (columns[indKey]) {
+        field.attribute = columns[indKey];
+      } else {
+        field.expression = element.expression;
+      }
+      if (element.operator) {
+        field.operator = element.operator;
+      }
+      return field;
+    });
+    delete result.columns;
+    return result;
+  });
+};
+
 Query.prototype.isForeignKeysQuery = function() {
   return /SELECT conname as constraint_name, pg_catalog\.pg_get_constraintdef\(r\.oid, true\) as condef FROM pg_catalog\.pg_constraint r WHERE r\.conrelid = \(SELECT oid FROM pg_class WHERE relname = '.*' LIMIT 1\) AND r\.contype = 'f' ORDER BY 1;/.test(this.sql);
 };
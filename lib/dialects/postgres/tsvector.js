@@ -0,0 +1,109 @@
+'use strict';
+
+/*jshint -W110 */
+
+var _ = require('lodash');
+
+// A lexeme in the text output of a tsvector, e.g. 'cat':3A,5
+var lexemeRegex = /'((?:[^'\\]|''|\\.)*)'(?::([0-9A-Da-d,]+))?/g;
+
+// A lexeme in the text output of a tsquery, e.g. 'cat':*AB
+var queryLexemeRegex = /'((?:[^'\\]|''|\\.)*)'(?::(\*)?([A-D]*))?/g;
+
+function quoteLexeme (lexeme) {
+  return "'" + lexeme.replace(/\\/g, '\\\\').replace(/'/g, "''") + "'";
+}
+
+function unquoteLexeme (lexeme) {
+  return lexeme.replace(/''|\\(.)/g, function (match, escaped) {
+    return escaped === undefined ? "'" : escaped;
+  });
+}
+
+function stringifyPosition (position, weight) {
+  if (_.isPlainObject(position)) {
+    weight = position.weight || weight;
+    position = position.position;
+  }
+
+  weight = weight ? weight.toUpperCase() : 'D';
+
+  if (!_.isInteger(position) || position < 1) {
+    throw new Error('tsvector positions must be positive integers, got ' + JSON.stringify(position));
+  }
+  if (['A', 'B', 'C', 'D'].indexOf(weight) === -1) {
+    throw new Error('tsvector weights must be one of A, B, C or D, got ' + JSON.stringify(weight));
+  }
+
+  // D is the default weight, postgres leaves it out as well
+  return position + (weight === 'D' ? '' : weight);
+}
+
+function stringify (data) {
+  if (data === null) return null;
+
+  if (!_.isArray(data)) throw new Error('tsvector must be an array of lexemes');
+
+  return data.map(function (lexeme) {
+    if (_.isString(lexeme)) {
+      return quoteLexeme(lexeme);
+    }
+
+    var str = quoteLexeme(lexeme.lexeme);
+
+    if (lexeme.positions && lexeme.positions.length) {
+      str += ':' + lexeme.positions.map(function (position) {
+        return stringifyPosition(position, lexeme.weight);
+      }).join(',');
+    }
+
+    return str;
+  }).join(' ');
+}
+
+// Lists the lexemes of the text output of a tsquery, leaving out its operators
+function parseQuery (value) {
+  if (value === null) return null;
+
+  var result = []
+    , match;
+
+  queryLexemeRegex.lastIndex = 0;
+  while ((match = queryLexemeRegex.exec(value)) !== null) {
+    result.push({
+      lexeme: unquoteLexeme(match[1]),
+      prefix: !!match[2],
+      weights: match[3] ? match[3].split('') : []
+    });
+  }
+
+  return result;
+}
+
+function parse (value) {
+  if (value === null) return null;
+
+  var result = []
+    , match;
+
+  lexemeRegex.lastIndex = 0;
+  while ((match = lexemeRegex.exec(value)) !== null) {
+    result.push({
+      lexeme: unquoteLexeme(match[1]),
+      positions: match[2] ? match[2].split(',').map(function (position) {
+        return {
+          position: parseInt(position, 10),
+          weight: (position.match(/[A-D]$/i) || ['D'])[0].toUpperCase()
+        };
+      }) : []
+    });
+  }
+
+  return result;
+}
+
+module.exports = {
+  stringify: stringify,
+  parse: parse,
+  parseQuery: parseQuery
+};
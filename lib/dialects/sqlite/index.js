@@ -30,7 +30,11 @@ SqliteDialect.prototype.supports = _.merge(_.cloneDeep(Abstract.prototype.suppor
   },
   joinTableDependent: false,
   groupedLimit: false,
-  ignoreDuplicates: ' OR IGNORE'
+  ignoreDuplicates: ' OR IGNORE',
+  ddlTransactions: true,
+  fullTextSearch: {
+    language: false
+  }
 });
 
 ConnectionManager.prototype.defaultVersion = '3.8.0';
@@ -3,6 +3,7 @@
 /* jshint -W110 */
 var Utils = require('../../utils')
   , Transaction = require('../../transaction')
+  , DataTypes = require('../../data-types')
   , _ = require('lodash');
 
 var MySqlQueryGenerator = Utils._.extend(
@@ -76,6 +77,8 @@ var QueryGenerator = {
       });
     }
 
+    values.attributes += this.checksToSQL(options.checks);
+
     if (pkString.length > 0) {
       values.attributes += ', PRIMARY KEY (' + pkString + ')';
     }
@@ -205,6 +208,11 @@ var QueryGenerator = {
           }
         }
 
+        if (dataType.check) {
+          template += ' CHECK (<%= check %>)';
+          replacements.check = this.checkExpression(dataType.check);
+        }
+
         if(dataType.references) {
           dataType = Utils.formatReferences(dataType);
           template += ' REFERENCES <%= referencesTable %> (<%= referencesKey %>)';
@@ -381,6 +389,161 @@ var QueryGenerator = {
     return Utils.addTicks(identifier, '`');
   },
 
+  ftsTableName: function(model) {
+    var tableName = model.getTableName();
+
+    if (model.options.fts.table) {
+      return model.options.fts.table;
+    }
+    if (Utils._.isPlainObject(tableName)) {
+      return Utils._.assign({}, tableName, { tableName: tableName.tableName + '_fts' });
+    }
+    return tableName + '_fts';
+  },
+
+  // The columns indexed by the FTS table, by default all string and text attributes
+  ftsColumns: function(model) {
+    var attributes = model.options.fts.fields || Object.keys(model.rawAttributes).filter(function(attribute) {
+      var type = model.rawAttributes[attribute].type;
+      return type instanceof DataTypes.STRING || type instanceof DataTypes.TEXT;
+    });
+
+    return attributes.map(function(attribute) {
+      return model.rawAttributes[attribute] && model.rawAttributes[attribute].field || attribute;
+    });
+  },
+
+  // The column of the content table matching the rowid of the FTS table
+  ftsContentRowid: function(model) {
+    var primaryKey = model.primaryKeyAttributes.length === 1 && model.rawAttributes[model.primaryKeyAttributes[0]];
+
+    if (primaryKey && primaryKey.type instanceof DataTypes.INTEGER) {
+      return primaryKey.field || model.primaryKeyAttributes[0];
+    }
+    return 'rowid';
+  },
+
+  /*
+    Returns the queries creating the external content FTS5 table of a model with the `fts` option,
+    and the triggers keeping it in sync with the content table. One statement per query.
+  */
+  ftsTableQueries: function(model) {
+    var self = this
+      , fts = model.options.fts
+      , table = this.quoteTable(model.getTableName())
+      , ftsTable = this.quoteTable(this.ftsTableName(model))
+      , columns = this.ftsColumns(model).map(this.quoteIdentifier.bind(this))
+      , rowid = this.ftsContentRowid(model)
+      , ftsOptions = columns.slice()
+      , insert
+      , remove
+      , trigger;
+
+    if (fts.engine && fts.engine !== 'fts5') {
+      throw new Error('Unsupported full-text search engine "' + fts.engine + '", only fts5 is supported');
+    }
+    if (!columns.length) {
+      throw new Error('fts requires at least one string or text attribute to index, or `fields`');
+    }
+
+    ftsOptions.push('content=' + this.escape(fts.content || Utils.removeTicks(table, '`')));
+    if (rowid !== 'rowid') {
+      ftsOptions.push('content_rowid=' + this.escape(rowid));
+      rowid = this.quoteIdentifier(rowid);
+    }
+    if (fts.tokenize) {
+      ftsOptions.push('tokenize=' + this.escape(fts.tokenize));
+    }
+
+    insert = function(row) {
+      return 'INSERT INTO ' + ftsTable + ' (rowid, ' + columns.join(', ') + ') VALUES (' +
+        [row + '.' + rowid].concat(columns.map(function(column) { return row + '.' + column; })).join(', ') + ');';
+    };
+    remove = function(row) {
+      return 'INSERT INTO ' + ftsTable + ' (' + ftsTable + ', rowid, ' + columns.join(', ') + ") VALUES ('delete', " +
+        [row + '.' + rowid].concat(columns.map(function(column) { return row + '.' + column; })).join(', ') + ');';
+    };
+    trigger = function(event, body) {
+      return 'CREATE TRIGGER IF NOT EXISTS ' + self.quoteIdentifier(Utils.removeTicks(ftsTable, '`') + '_' + event.toLowerCase()) +
+        ' AFTER ' + event + ' ON ' + table + ' BEGIN ' + body + ' END;';
+    };
+
+    return [
+      'CREATE VIRTUAL TABLE IF NOT EXISTS ' + ftsTable + ' USING fts5(' + ftsOptions.join(', ') + ');',
+      trigger('INSERT', insert('new')),
+      trigger('DELETE', remove('old')),
+      trigger('UPDATE', remove('old') + ' ' + insert('new'))
+    ];
+  },
+
+  ftsDropTableQuery: function(model) {
+    // The triggers are dropped along with the content table
+    return 'DROP TABLE IF EXISTS ' + this.quoteTable(this.ftsTableName(model)) + ';';
+  },
+
+  /*
+    Returns the MATCH condition on the FTS table of the model. Unless every indexed column is searched,
+    the query is restricted to the searched columns with a column filter.
+  */
+  ftsMatchQuery: function(model, columns, value) {
+    if (!Utils._.get(model, 'options.fts')) {
+      throw new Error('$match requires the fts option on the model');
+    }
+
+    if (Utils._.isPlainObject(value)) {
+      value = value.query;
+    }
+
+    if (Utils._.difference(this.ftsColumns(model), columns).length) {
+      value = '{' + columns.map(function(column) {
+        return '"' + column.replace(/"/g, '""') + '"';
+      }).join(' ') + '} : (' + value + ')';
+    }
+
+    return this.quoteTable(this.ftsTableName(model)) + ' MATCH ' + this.escape(value);
+  },
+
+  matchAgainstQuery: function(columns, value, options) {
+    var match = this.ftsMatchQuery(options.model, columns, value);
+
+    return this.prefixColumn(this.quoteIdentifier(this.ftsContentRowid(options.model)), options.prefix) + ' IN (' +
+      'SELECT rowid FROM ' + this.quoteTable(this.ftsTableName(options.model)) + ' WHERE ' + match + ')';
+  },
+
+  // Natural searches look for every word of the query, each quoted so that FTS5 does not read them as operators
+  nativeSearch: function(search) {
+    var quote = function(string) {
+      return '"' + string.replace(/"/g, '""') + '"';
+    };
+
+    if (search.mode === 'boolean') {
+      return search.query;
+    }
+    if (search.mode === 'phrase') {
+      return quote(search.query);
+    }
+    return Utils._.compact(search.query.split(/\s+/)).map(quote).join(' ');
+  },
+
+  // bm25 is lower for better matches, so it is negated to rank like the other dialects
+  matchRankQuery: function(columns, value, rank, options) {
+    var match = this.ftsMatchQuery(options.model, columns, value)
+      , ftsTable = this.quoteTable(this.ftsTableName(options.model))
+      , args = [ftsTable].concat(Utils._.map(rank.weights, function(weight) {
+        if (typeof weight !== 'number') {
+          throw new Error('rank.weights must be numbers, got ' + weight);
+        }
+        return weight;
+      }));
+
+    return '(SELECT -bm25(' + args.join(', ') + ') FROM ' + ftsTable + ' WHERE ' + match + ' AND rowid = ' +
+      this.prefixColumn(this.quoteIdentifier(this.ftsContentRowid(options.model)), options.prefix) + ')';
+  },
+
+  textSearchQuery: function() {
+    throw new Error('$ftspg is only supported by postgres, use $search or $match for full-text search on ' + this.dialect);
+  },
+
       /**
    * Generates an SQL query that returns all foreign keys of a table.
    *
@@ -391,6 +554,26 @@ var QueryGenerator = {
   getForeignKeysQuery: function(tableName, schemaName) {
     var sql = 'PRAGMA foreign_key_list(<%= tableName %>)';
     return Utils._.template(sql)({ tableName: tableName });
+  },
+
+  /*
+    PRAGMA foreign_key_list gives the columns of the foreign keys as from, table and to, and does not name them.
+  */
+  getForeignKeyReferencesQuery: function(tableName) {
+    return this.getForeignKeysQuery(tableName.tableName || tableName);
+  },
+
+  // SQLite has no ALTER TABLE for constraints, they are only set when a table is created
+  addConstraintQuery: function() {
+    throw new Error('Altering constraints is not supported by the sqlite dialect');
+  },
+
+  removeConstraintQuery: function() {
+    throw new Error('Altering constraints is not supported by the sqlite dialect');
+  },
+
+  showConstraintsQuery: function() {
+    throw new Error('Listing constraints is not supported by the sqlite dialect');
   }
 };
 
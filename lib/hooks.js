@@ -70,7 +70,8 @@ var hookTypes = {
   beforeSync: {params: 1},
   afterSync: {params: 1},
   beforeBulkSync: {params: 1},
-  afterBulkSync: {params: 1}
+  afterBulkSync: {params: 1},
+  afterReindexSearchBatch: {params: 2}
 };
 
 var hookAliases = {
@@ -483,6 +484,13 @@ Hooks.hasHooks = Hooks.hasHook;
    * @name afterBulkSync
    */
 
+  /**
+   * A hook that is run after each batch of Model.reindexSearch
+   * @param {String}   name
+   * @param {Function} fn   A callback function that is called with the progress (`after`, `updated` and `total`) and the options passed to Model.reindexSearch
+   * @name afterReindexSearchBatch
+   */
+
 module.exports = {
   hooks: hookTypes,
   hookAliases: hookAliases,
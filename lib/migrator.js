@@ -0,0 +1,223 @@
+'use strict';
+
+var fs = require('fs')
+  , Path = require('path')
+  , _ = require('lodash')
+  , Promise = require('./promise')
+  , DataTypes = require('./data-types')
+  , QueryTypes = require('./query-types');
+
+/**
+ * Runs the migrations of a folder up and down, and records the ones applied in a ledger table. Created by
+ * `sequelize.migrator(options)`, see [Migrations](../docs/migrations/#programmatic-use).
+ *
+ * @class Migrator
+ */
+function Migrator(sequelize, options) {
+  options = options || {};
+
+  if (!options.path) {
+    throw new Error('The migrator needs the path of the folder of the migrations');
+  }
+
+  this.sequelize = sequelize;
+  this.queryInterface = sequelize.getQueryInterface();
+  this.path = Path.resolve(options.path);
+  this.pattern = options.pattern || /^\d+[\w-]+\.js$/;
+  this.tableName = options.tableName || 'SequelizeMeta';
+  this.options = { logging: options.hasOwnProperty('logging') ? options.logging : sequelize.options.logging };
+}
+
+// The names of the migration files, in the order they are applied
+var migrationNames = function(migrator) {
+  return fs.readdirSync(migrator.path).filter(function(file) {
+    return migrator.pattern.test(file);
+  }).sort();
+};
+
+var createLedger = function(migrator) {
+  return migrator.queryInterface.createTable(migrator.tableName, {
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true,
+      primaryKey: true
+    }
+  }, migrator.options);
+};
+
+/*
+  Runs fn while holding a lock named after the ledger, so that a second migrator waits for the first one and then
+  finds its migrations executed. The lock belongs to a connection, which a transaction keeps for the whole run, so the
+  migrations need a second connection of the pool: with a single one they would wait for the lock's forever.
+*/
+var withLock = function(migrator, fn) {
+  if (!migrator.sequelize.dialect.supports.advisoryLocks) {
+    return Promise.try(fn);
+  }
+
+  if (migrator.sequelize.connectionManager.config.pool.max < 2) {
+    return Promise.reject(new Error('The migrator needs a pool of two connections or more, one of them holds the lock of the ' +
+      migrator.tableName + ' migrations while they run'));
+  }
+
+  return migrator.sequelize.transaction().then(function(lockTransaction) {
+    var options = _.assign({ transaction: lockTransaction }, migrator.options);
+
+    return migrator.queryInterface.advisoryLock(migrator.tableName, options).then(function(locked) {
+      if (!locked) {
+        throw new Error('Could not take the lock of the ' + migrator.tableName + ' migrations');
+      }
+
+      return Promise.try(fn).finally(function() {
+        return migrator.queryInterface.advisoryUnlock(migrator.tableName, options);
+      });
+    }).finally(function() {
+      return lockTransaction.commit();
+    });
+  });
+};
+
+/*
+  Applies or reverts a migration, and adds it to or removes it from the ledger. Both happen in one transaction where
+  the dialect can roll back schema changes, which is given to the migration after queryInterface and Sequelize.
+*/
+var runMigration = function(migrator, name, method) {
+  var migration = require(Path.join(migrator.path, name))
+    , queryInterface = migrator.queryInterface;
+
+  if (typeof migration[method] !== 'function') {
+    throw new Error('Migration ' + name + ' has no ' + method + ' function');
+  }
+
+  var run = function(transaction) {
+    var options = _.assign({ transaction: transaction }, migrator.options);
+
+    return Promise.try(function() {
+      return migration[method](queryInterface, migrator.sequelize.Sequelize, transaction);
+    }).then(function() {
+      if (method === 'up') {
+        return queryInterface.insert(null, migrator.tableName, { name: name }, options);
+      }
+      return queryInterface.bulkDelete(migrator.tableName, { name: name }, options);
+    });
+  };
+
+  migrator.sequelize.log((method === 'up' ? 'Migrating ' : 'Reverting ') + name, migrator.options);
+
+  if (migrator.sequelize.dialect.supports.ddlTransactions) {
+    return migrator.sequelize.transaction(run);
+  }
+  return run();
+};
+
+/**
+ * The names of the migrations recorded in the ledger, which is created when it does not exist.
+ *
+ * @return {Promise<Array<String>>}
+ */
+Migrator.prototype.executed = function() {
+  var self = this
+    , QueryGenerator = this.queryInterface.QueryGenerator;
+
+  return createLedger(this).then(function() {
+    return self.sequelize.query(
+      QueryGenerator.selectQuery(self.tableName, { attributes: ['name'] }),
+      _.assign({ raw: true, type: QueryTypes.SELECT }, self.options)
+    );
+  }).then(function(rows) {
+    // Sorted as the files are, whatever the collation of the column
+    return _.map(rows, 'name').sort();
+  });
+};
+
+/**
+ * The names of the migration files of the folder that are not recorded in the ledger, in the order they would be
+ * applied.
+ *
+ * @return {Promise<Array<String>>}
+ */
+Migrator.prototype.pending = function() {
+  var self = this;
+
+  return this.executed().then(function(executed) {
+    return _.difference(migrationNames(self), executed);
+  });
+};
+
+/**
+ * Applies the pending migrations one after the other, and stops at the first one that fails.
+ *
+ * @param {Object} [options]
+ * @param {String} [options.to] The last migration to apply. Defaults to all of them
+ * @return {Promise<Array<String>>} The names of the migrations applied
+ */
+Migrator.prototype.up = function(options) {
+  var self = this;
+
+  options = options || {};
+
+  return withLock(this, function() {
+    var names = migrationNames(self);
+
+    if (options.to && names.indexOf(options.to) === -1) {
+      throw new Error('Unknown migration ' + options.to);
+    }
+
+    return self.pending().then(function(pending) {
+      if (options.to) {
+        pending = pending.filter(function(name) {
+          return names.indexOf(name) <= names.indexOf(options.to);
+        });
+      }
+
+      return Promise.each(pending, function(name) {
+        return runMigration(self, name, 'up');
+      });
+    });
+  });
+};
+
+/**
+ * Reverts executed migrations, the last one first. Only the last one is reverted, unless `options.to` is given.
+ *
+ * @param {Object}        [options]
+ * @param {String|Number} [options.to] The last migration to revert, or `0` to revert all of them
+ * @return {Promise<Array<String>>} The names of the migrations reverted
+ */
+Migrator.prototype.down = function(options) {
+  var self = this;
+
+  options = options || {};
+
+  return withLock(this, function() {
+    return self.executed().then(function(executed) {
+      var index = executed.length - 1;
+
+      if (options.to === 0) {
+        index = 0;
+      } else if (options.to) {
+        index = executed.indexOf(options.to);
+
+        if (index === -1) {
+          throw new Error('Migration ' + options.to + ' has not been executed');
+        }
+      }
+
+      var names = migrationNames(self)
+        , reverted = executed.slice(Math.max(index, 0)).reverse();
+
+      reverted.forEach(function(name) {
+        if (names.indexOf(name) === -1) {
+          throw new Error('Migration ' + name + ' can not be reverted, its file is not in ' + self.path);
+        }
+      });
+
+      return Promise.each(reverted, function(name) {
+        return runMigration(self, name, 'down');
+      });
+    });
+  });
+};
+
+module.exports = Migrator;
@@ -13,7 +13,8 @@ var Utils = require('./utils')
   , Hooks = require('./hooks')
   , sequelizeErrors = require('./errors')
   , _ = require('lodash')
-  , associationsMixin = require('./associations/mixin');
+  , associationsMixin = require('./associations/mixin')
+  , schemaDiff = require('./schema-diff');
 
 /**
  * A Model represents a table in the database. Sometimes you might also see it referred to as model, or simply as factory.
@@ -159,6 +160,191 @@ var paranoidClause = function(model, options) {
   return options;
 };
 
+// Selects a score under `as`, and orders by it before the rest of options.order unless `order` is false
+var scoreClause = function(model, options, sql, as, order) {
+  options.attributes = options.attributes.concat([[new Utils.literal(sql), as]]);
+
+  if (order !== false) {
+    order = options.order || [];
+
+    if (!Array.isArray(order)) {
+      order = [[typeof order === 'string' ? new Utils.literal(order) : order]];
+    }
+
+    options.order = [[new Utils.literal(model.QueryGenerator.quoteIdentifier(as)), 'DESC']].concat(order);
+  }
+
+  return options;
+};
+
+// Selects the full-text search rank requested by options.rank, and orders by it unless `rank.order` is false
+var rankClause = function(model, options) {
+  if (!options.rank) {
+    return options;
+  }
+
+  var rank = options.rank === true ? {} : options.rank;
+
+  return scoreClause(model, options, model.QueryGenerator.textSearchRank(options.where, rank, model, options), rank.as || 'rank', rank.order);
+};
+
+// Selects the trigram similarity requested by options.similarity, and orders by it unless `similarity.order` is false
+var similarityClause = function(model, options) {
+  if (!options.similarity) {
+    return options;
+  }
+
+  var similarity = options.similarity === true ? {} : options.similarity;
+
+  return scoreClause(
+    model,
+    options,
+    model.QueryGenerator.trigramSimilarity(options.where, similarity, model, options),
+    similarity.as || 'similarity',
+    similarity.order
+  );
+};
+
+// Selects the ts_headline of each headline requested by options.headline
+var headlineClause = function(model, options) {
+  if (!options.headline) {
+    return options;
+  }
+
+  options.attributes = options.attributes.concat([].concat(options.headline).map(function(headline) {
+    var sql = model.QueryGenerator.textSearchHeadline(options.where, headline, model, options);
+    return [new Utils.literal(sql), headline.as || 'headline'];
+  }));
+
+  return options;
+};
+
+var decodeCursor = function(token, orderBy) {
+  var decoded;
+
+  try {
+    decoded = JSON.parse(new Buffer(String(token), 'base64').toString());
+  } catch (err) {}
+
+  if (!Array.isArray(decoded) || !_.isEqual(decoded[0], orderBy) || !Array.isArray(decoded[1]) || decoded[1].length !== orderBy.length) {
+    throw new Error('Invalid cursor, it must be the nextCursor of a query with the same cursor.orderBy');
+  }
+
+  return decoded[1];
+};
+
+// Orders by options.cursor.orderBy, continuing after the row of options.cursor.after, and fetches one more row than
+// the limit to tell whether there is a next page
+var cursorClause = function(model, options) {
+  if (!options.cursor) {
+    return options;
+  }
+  if (options.offset) {
+    throw new Error('cursor cannot be combined with offset');
+  }
+
+  var cursor = options.cursor
+    , orderBy
+    , scores;
+
+  orderBy = [].concat(cursor.orderBy || []).map(function(order) {
+    order = Array.isArray(order) ? order : [order];
+
+    var direction = (order[1] || 'ASC').toUpperCase();
+    if (direction !== 'ASC' && direction !== 'DESC') {
+      throw new Error('cursor.orderBy directions must be ASC or DESC, got ' + order[1]);
+    }
+
+    return [order[0], direction];
+  });
+
+  // The primary key breaks ties, so that no row is repeated or skipped between pages
+  if (model.primaryKeyAttribute && !_.find(orderBy, function(order) { return order[0] === model.primaryKeyAttribute; })) {
+    orderBy.push([model.primaryKeyAttribute, 'ASC']);
+  }
+  cursor.orderBy = orderBy;
+
+  // ts_rank and similarity give a float4, whose text does not round-trip before Postgres 12: a score the cursor orders
+  // by is selected as a float8, and compared as a float4 again
+  if (model.sequelize.dialect.supports.TSVECTOR) {
+    scores = _.compact([
+      options.rank && (options.rank.as || 'rank'),
+      options.similarity && (options.similarity.as || 'similarity')
+    ]);
+
+    cursor.casts = {};
+    options.attributes = options.attributes.map(function(attribute) {
+      if (Array.isArray(attribute) && scores.indexOf(attribute[1]) !== -1 && _.some(orderBy, function(order) { return order[0] === attribute[1]; })) {
+        cursor.casts[attribute[1]] = 'REAL';
+        return [new Utils.literal('CAST(' + attribute[0].val + ' AS FLOAT8)'), attribute[1]];
+      }
+      return attribute;
+    });
+  }
+
+  options.order = orderBy.map(function(order) {
+    return model.rawAttributes[order[0]] ? order : [new Utils.literal(model.QueryGenerator.quoteIdentifier(order[0])), order[1]];
+  });
+
+  if (cursor.after) {
+    var keyset = new Utils.literal(model.QueryGenerator.keysetQuery(orderBy, decodeCursor(cursor.after, orderBy), model, options));
+    options.where = _.isEmpty(options.where) ? { $and: [keyset] } : { $and: [options.where, keyset] };
+  }
+
+  if (options.limit) {
+    options.limit += 1;
+  }
+
+  return options;
+};
+
+// Drops the extra row fetched by cursorClause, and sets the cursor of the next page on the results, null on the last page
+var cursorPage = function(results, options) {
+  if (!Array.isArray(results)) {
+    return results;
+  }
+
+  var orderBy = options.cursor.orderBy
+    , last;
+
+  if (options.limit && results.length === options.limit) {
+    results.pop();
+    last = _.last(results);
+
+    results.nextCursor = new Buffer(JSON.stringify([orderBy, orderBy.map(function(order) {
+      return last instanceof Instance ? last.get(order[0], { raw: true }) : last[order[0]];
+    })])).toString('base64');
+  } else {
+    results.nextCursor = null;
+  }
+
+  return results;
+};
+
+// Counts the rows matching countOptions for each value of every facet attribute, the most frequent values first
+var facetCounts = function(model, countOptions) {
+  var facets = {};
+
+  return Promise.each(countOptions.facets, function(facet) {
+    var attribute = model.rawAttributes[facet]
+      , column;
+
+    if (!attribute) {
+      throw new Error('Unknown facet ' + facet + ', facets must be attributes of ' + model.name);
+    }
+    column = model.name + '.' + (attribute.field || facet);
+
+    return model.count(_.assign(Utils.cloneDeep(countOptions), {
+      attributes: [[model.sequelize.col(column), 'value']],
+      group: [column]
+    })).then(function(rows) {
+      facets[facet] = _.orderBy(rows.map(function(row) {
+        return { value: row.value, count: parseInt(row.count, 10) };
+      }), 'count', 'desc');
+    });
+  }).return(facets);
+};
+
 var addOptionalClassMethods = function() {
   var self = this;
   Utils._.each(this.options.classMethods || {}, function(fct, name) { self[name] = fct; });
@@ -992,6 +1178,24 @@ Model.prototype.sync = function(options) {
     }
   }).then(function () {
     return self.QueryInterface.createTable(self.getTableName(options), attributes, options, self);
+  }).then(function () {
+    if (options.alter) {
+      var queryOptions = _.pick(options, ['logging', 'benchmark', 'transaction']);
+
+      return schemaDiff.diffTable(self, queryOptions).then(function (operations) {
+        if (!options.alter.drop) {
+          operations = schemaDiff.withoutDrops(operations);
+        }
+        return schemaDiff.apply(self.sequelize, operations, queryOptions).then(function () {
+          // sqlite changes and removes columns by rebuilding the table, which drops the triggers keeping the FTS table in sync
+          if (self.sequelize.options.dialect === 'sqlite' && self.options.fts && operations.length) {
+            return Promise.each(self.QueryGenerator.ftsTableQueries(self), function (sql) {
+              return self.sequelize.query(sql, _.assign({}, queryOptions, { raw: true }));
+            });
+          }
+        });
+      });
+    }
   }).then(function () {
     return self.QueryInterface.showIndex(self.getTableName(options), options);
   }).then(function (indexes) {
@@ -1327,6 +1531,38 @@ Model.prototype.all = function(options) {
  * @param  {Object}                    [options.having]
  * @param  {String}                    [options.searchPath=DEFAULT] An optional parameter to specify the schema search_path (Postgres only)
  * @param  {Boolean|Error Instance}    [options.rejectOnEmpty=false] Throws an error when no records found
+ * @param  {Boolean|Object}            [options.rank] Select the full-text search rank of each row and order by it, most relevant first (Postgres, MySQL, SQLite and SQL Server). The rank is computed against the first `$ftspg`, `$match` or `$search` condition in `where`; `true` uses the defaults below
+ * @param  {String}                    [options.rank.as='rank'] The name of the selected rank
+ * @param  {Number}                    [options.rank.normalization] How the rank is normalized for the document length, see the `ts_rank` documentation
+ * @param  {Boolean}                   [options.rank.cover=false] Use `ts_rank_cd` (cover density) instead of `ts_rank`
+ * @param  {Boolean}                   [options.rank.order=true] Order by the rank, before any other `order`
+ * @param  {Array<Number>}             [options.rank.weights] The weight of each indexed column, passed to `bm25` (SQLite only)
+ * @param  {String}                    [options.rank.attribute] The tsvector attribute to rank, if not the one of the first `$ftspg` condition
+ * @param  {String|Object}             [options.rank.query] The search to rank against, in the same form as a `$ftspg` value. Defaults to the one of the condition
+ * @param  {Object|Array<Object>}      [options.headline] Select an excerpt of a text attribute with the matches of the full-text search highlighted, using `ts_headline` (Postgres only). Pass an array to select several
+ * @param  {String}                    options.headline.attribute The attribute to take the excerpt from
+ * @param  {String}                    [options.headline.as='headline'] The name of the selected excerpt
+ * @param  {String|Object}             [options.headline.query] The search whose matches are highlighted, in the same form as a `$ftspg` value. Defaults to the one of the first `$ftspg` condition in `where`
+ * @param  {String}                    [options.headline.startSel='<b>'] Inserted before every match
+ * @param  {String}                    [options.headline.stopSel='</b>'] Inserted after every match
+ * @param  {Number}                    [options.headline.maxWords=35] The longest excerpt, in words
+ * @param  {Number}                    [options.headline.minWords=15] The shortest excerpt, in words
+ * @param  {Number}                    [options.headline.shortWord=3] Words of this length or less are dropped at the start and end of the excerpt
+ * @param  {Boolean}                   [options.headline.highlightAll=false] Use the whole text as the excerpt
+ * @param  {Number}                    [options.headline.maxFragments=0] Select up to this many fragments instead of a single excerpt
+ * @param  {String}                    [options.headline.fragmentDelimiter=' ... '] Put between fragments
+ * @param  {Boolean|Object}            [options.similarity] Select the trigram similarity of each row and order by it, closest first (Postgres only, with the `pg_trgm` extension). The similarity is computed against the first `$similar` or `$wordSimilar` condition in `where`; `true` uses the defaults below
+ * @param  {String}                    [options.similarity.as='similarity'] The name of the selected similarity
+ * @param  {Boolean}                   [options.similarity.order=true] Order by the similarity, before any other `order`
+ * @param  {Boolean}                   [options.similarity.word] Use `word_similarity` instead of `similarity`. Defaults to true for a `$wordSimilar` condition
+ * @param  {String}                    [options.similarity.attribute] The attribute to compare, if not the one of the first condition
+ * @param  {String}                    [options.similarity.query] The string to compare it to. Defaults to the one of the condition
+ * @param  {Number}                    [options.similarityThreshold] The `pg_trgm.similarity_threshold` used by `$similar` in this query, between 0 and 1. It is set with `SET LOCAL` in `options.transaction`, where it stays until the transaction ends, or else in a transaction started for the query
+ * @param  {Number}                    [options.wordSimilarityThreshold] The `pg_trgm.word_similarity_threshold` used by `$wordSimilar` in this query, set in the same way
+ * @param  {Boolean}                   [options.logTextSearch=false] Before the query, log the tsquery postgres makes of each `$ftspg` condition in `where`, see `sequelize.textSearch.parseQuery`
+ * @param  {Object}                    [options.cursor] Paginate by keyset instead of `offset`: the results get a `nextCursor`, to be passed as `cursor.after` to fetch the next `limit` rows, or null on the last page
+ * @param  {Array}                     [options.cursor.orderBy] The order of the rows, as [key, direction] pairs where a key is an attribute or the alias of a selected score such as the `rank`. It replaces `order`, and the primary key is appended to break ties
+ * @param  {String}                    [options.cursor.after] The `nextCursor` of the previous page
  *
  * @see    {Sequelize#query}
  * @return {Promise<Array<Instance>>}
@@ -1382,6 +1618,11 @@ Model.prototype.findAll = function(options) {
       options.attributes = Object.keys(this.tableAttributes);
     }
 
+    rankClause(this, options);
+    similarityClause(this, options);
+    headlineClause(this, options);
+    cursorClause(this, options);
+
     // whereCollection is used for non-primary key updates
     this.options.whereCollection = options.where || null;
 
@@ -1396,6 +1637,8 @@ Model.prototype.findAll = function(options) {
     originalOptions = Utils.cloneDeep(options);
     options.tableNames = Object.keys(tableNames);
     return this.QueryInterface.select(this, this.getTableName(options), options);
+  }).then(function(results) {
+    return options.cursor ? cursorPage(results, options) : results;
   }).tap(function(results) {
     if (options.hooks) {
       return this.runHooks('afterFind', results, options);
@@ -1653,7 +1896,20 @@ Model.prototype.count = function(options) {
  * ```
  * Because the include for `Profile` has `required` set it will result in an inner join, and only the users who have a profile will be counted. If we remove `required` from the include, both users with and without profiles will be counted
  *
+ * Pass `facets` to count the matching rows for each value of some attributes as well, for example the results of a search per category:
+ * ```js
+ * Post.findAndCountAll({
+ *   where: { searchVector: { $ftspg: 'cat' } },
+ *   facets: ['categoryId', 'status'],
+ *   limit: 10
+ * }).then(function (result) {
+ *   // result.facets.categoryId: [{ value: 3, count: 12 }, { value: 1, count: 4 }]
+ * })
+ * ```
+ * The facets are counted with the where and includes of the query, and along with the rows and the total count, in a REPEATABLE READ transaction so that they all see the same rows. When `transaction` is given, they run in it instead.
+ *
  * @param {Object} [findOptions] See findAll
+ * @param {Array<String>} [findOptions.facets] Attributes to count the matching rows for each value of, returned in `facets` as arrays of `{ value, count }`, the most frequent values first
  *
  * @see {Model#findAll} for a specification of find and query options
  * @return {Promise<Object>}
@@ -1665,6 +1921,15 @@ Model.prototype.findAndCount = function(options) {
   }
 
   var self = this;
+
+  if (options && options.facets && !options.transaction) {
+    return this.sequelize.transaction({
+      isolationLevel: this.sequelize.Transaction.ISOLATION_LEVELS.REPEATABLE_READ
+    }, function(transaction) {
+      return self.findAndCount(_.assign({}, options, { transaction: transaction }));
+    });
+  }
+
   var countOptions = Utils.cloneDeep(options);
   if (countOptions.attributes) {
     countOptions.attributes = undefined;
@@ -1682,6 +1947,20 @@ Model.prototype.findAndCount = function(options) {
         rows: results
       };
     });
+  }).then(function(result) {
+    if (!countOptions.facets) {
+      return result;
+    }
+    if (!result.count) {
+      result.facets = _.zipObject(countOptions.facets, countOptions.facets.map(function() {
+        return [];
+      }));
+      return result;
+    }
+    return facetCounts(self, countOptions).then(function(facets) {
+      result.facets = facets;
+      return result;
+    });
   });
 };
 Model.prototype.findAndCountAll = Model.prototype.findAndCount;
@@ -1726,6 +2005,156 @@ Model.prototype.sum = function(field, options) {
   return this.aggregate(field, 'sum', options);
 };
 
+/**
+ * Suggest search terms for a word being typed, such as for an autocomplete: the most frequent lexemes of an attribute
+ * starting with the prefix, using `ts_stat` (Postgres only).
+ *
+ * ```js
+ * Post.suggest('searchVector', 'progr', { limit: 3 }).then(function(terms) {
+ *   // [{ term: 'program', documents: 42 }, { term: 'progress', documents: 7 }, { term: 'programm', documents: 2 }]
+ * });
+ * ```
+ *
+ * The terms are lexemes, normalized by the text search configuration of the attribute or of the model like the prefix
+ * is, so that searching for a term finds the documents it was counted in. A text attribute is normalized with
+ * `to_tsvector` for every row, which is only practical for small tables; a `TSVECTOR` attribute is read as it is.
+ *
+ * @param {String}        attribute A `TSVECTOR` or text attribute
+ * @param {String}        [prefix] The start of the word. Without it, the most frequent terms are suggested
+ * @param {Object}        [options]
+ * @param {Object}        [options.where] Only suggest terms of the rows matching this condition
+ * @param {String}        [options.weights] Only count the lexemes with one of these weights, e.g. `'AB'`
+ * @param {Number}        [options.limit=10] The number of terms suggested
+ * @param {Transaction}   [options.transaction] Transaction to run query under
+ * @param {Function}      [options.logging=false] A function that gets executed while running the query to log the sql.
+ *
+ * @return {Promise<Array<Object>>} The terms, each with the number of `documents` it is found in, most frequent first
+ */
+Model.prototype.suggest = function(attribute, prefix, options) {
+  return Promise.bind(this).then(function() {
+    options = Utils.cloneDeep(options) || {};
+    this.$injectScope(options);
+
+    Utils.mapOptionFieldNames(options, this);
+    options = paranoidClause(this, options);
+
+    return this.QueryInterface.suggest(this.getTableName(options), attribute, prefix, options, this);
+  });
+};
+
+/**
+ * Recompute the `TSVECTOR` attributes with a `searchSource` for every row, such as after changing their weights or text
+ * search configuration (Postgres only).
+ *
+ * The rows are updated in batches of consecutive primary keys, each in a statement of its own unless a transaction is
+ * given, so that only the rows of the batch being updated are locked. After each batch the `afterReindexSearchBatch` hook
+ * is called with the progress: `after`, the primary key every row up to which has been reindexed, along with the number
+ * of rows `updated` and the `total`. To resume after a crash, pass the last `after` again.
+ *
+ * ```js
+ * Post.afterReindexSearchBatch(function(progress) {
+ *   console.log('reindexed ' + progress.updated + ' of ' + progress.total + ' posts, up to id ' + progress.after);
+ * });
+ *
+ * Post.reindexSearch({ batchSize: 500, concurrency: 2 });
+ * ```
+ *
+ * @param {Object}        [options]
+ * @param {Number}        [options.batchSize=1000] The number of rows updated by a statement
+ * @param {Number}        [options.concurrency=1] The number of batches updated at the same time
+ * @param {Array<String>} [options.attributes] The attributes to recompute. Defaults to every `TSVECTOR` attribute with a `searchSource`
+ * @param {Any}           [options.after] Only reindex the rows whose primary key comes after this one
+ * @param {Transaction}   [options.transaction] Transaction to run the queries under
+ * @param {Function}      [options.logging=false] A function that gets executed while running the query to log the sql.
+ *
+ * @return {Promise<Object>} The progress after the last batch
+ */
+Model.prototype.reindexSearch = function(options) {
+  var model = this.unscoped()
+    , pk = this.primaryKeyAttribute
+    , fields = _.mapValues(this.rawAttributes, function(attribute, name) {
+      return attribute.field || name;
+    })
+    , attributes = {}
+    , progress
+    , queryOptions
+    , where;
+
+  options = _.defaults(Utils.cloneDeep(options) || {}, { batchSize: 1000, concurrency: 1, hooks: true });
+  queryOptions = _.pick(options, ['transaction', 'logging', 'benchmark', 'searchPath']);
+
+  where = function(after) {
+    return after === undefined || after === null ? {} : _.set({}, [pk], { $gt: after });
+  };
+
+  return Promise.bind(this).then(function() {
+    if (this.primaryKeyAttributes.length !== 1) {
+      throw new Error('reindexSearch walks the rows by primary key, which ' + this.name + ' must have exactly one of');
+    }
+
+    var config = _.get(this, 'options.textSearch.config');
+
+    _.forOwn(this.rawAttributes, function(attribute, name) {
+      if (attribute.type instanceof DataTypes.TSVECTOR && attribute.searchSource && (!options.attributes || options.attributes.indexOf(name) !== -1)) {
+        attributes[fields[name]] = _.defaults({}, attribute, { config: config });
+      }
+    });
+
+    if (_.isEmpty(attributes)) {
+      throw new Error(this.name + ' has no TSVECTOR attribute with a searchSource to reindex');
+    }
+
+    return model.count(_.assign({ where: where(options.after), paranoid: false, hooks: false }, queryOptions));
+  }).then(function(total) {
+    progress = { after: options.after, updated: 0, total: total };
+
+    var round = function(after) {
+      return model.findAll(_.assign({
+        attributes: [pk],
+        where: where(after),
+        order: [[pk, 'ASC']],
+        limit: options.batchSize * options.concurrency,
+        raw: true,
+        paranoid: false,
+        hooks: false
+      }, queryOptions)).bind(this).then(function(rows) {
+        var batches = _.chunk(_.map(rows, pk), options.batchSize)
+          , done = []
+          , next = 0;
+
+        return Promise.map(batches, function(keys, index) {
+          return this.QueryInterface.reindexSearch(this.getTableName(options), attributes, {
+            key: fields[pk],
+            from: _.first(keys),
+            to: _.last(keys)
+          }, fields, queryOptions).bind(this).then(function() {
+            done[index] = true;
+            progress.updated += keys.length;
+
+            // Batches finish in any order, so the progress only moves past the batches before which all are done
+            while (done[next]) {
+              progress.after = _.last(batches[next]);
+              next++;
+            }
+
+            if (options.hooks) {
+              return this.runHooks('afterReindexSearchBatch', _.clone(progress), options);
+            }
+          });
+        }.bind(this), { concurrency: options.concurrency }).bind(this).then(function() {
+          if (rows.length === options.batchSize * options.concurrency) {
+            return round.call(this, progress.after);
+          }
+        });
+      });
+    };
+
+    return round.call(this, options.after);
+  }).then(function() {
+    return progress;
+  });
+};
+
 /**
  * Builds a new model instance. Values is an object of key value pairs, must be defined but can be empty.
 
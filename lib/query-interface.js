@@ -150,6 +150,23 @@ QueryInterface.prototype.createTable = function(tableName, attributes, options,
         });
       }
 
+      // Search vectors with a searchSource are maintained by a trigger, created once the table exists
+      var fields = Utils._.mapValues(attributes, function(attribute, key) {
+        return attribute.field || key;
+      });
+      var searchVectorTriggers = [];
+
+      for (i = 0; i < keyLen; i++) {
+        if (attributes[keys[i]].type instanceof DataTypes.TSVECTOR && attributes[keys[i]].searchSource) {
+          searchVectorTriggers.push(self.QueryGenerator.pgSearchVectorTrigger(
+            tableName,
+            fields[keys[i]],
+            _.defaults({}, attributes[keys[i]], { config: _.get(model, 'options.textSearch.config') }),
+            _.assign({}, options, { fields: fields })
+          ));
+        }
+      }
+
       attributes = self.QueryGenerator.attributesToSQL(attributes, {
         context: 'createTable'
       });
@@ -157,6 +174,10 @@ QueryInterface.prototype.createTable = function(tableName, attributes, options,
 
       return Promise.all(promises).then(function() {
         return self.sequelize.query(sql, options);
+      }).tap(function() {
+        return Promise.each(searchVectorTriggers, function(sql) {
+          return self.sequelize.query(sql, _.assign({}, options, { raw: true }));
+        });
       });
     });
   } else {
@@ -173,7 +194,14 @@ QueryInterface.prototype.createTable = function(tableName, attributes, options,
     });
     sql = self.QueryGenerator.createTableQuery(tableName, attributes, options);
 
-    return self.sequelize.query(sql, options);
+    return self.sequelize.query(sql, options).tap(function() {
+      // SQLite full-text search goes through an FTS table kept in sync by triggers
+      if (self.sequelize.options.dialect === 'sqlite' && !!model && model.options.fts) {
+        return Promise.each(self.QueryGenerator.ftsTableQueries(model), function(sql) {
+          return self.sequelize.query(sql, _.assign({}, options, { raw: true }));
+        });
+      }
+    });
   }
 };
 
@@ -205,11 +233,22 @@ QueryInterface.prototype.dropTable = function(tableName, options) {
             sql = self.QueryGenerator.pgEnumDrop(getTableName, keys[i]);
             options.supportsSearchPath = false;
             promises.push(self.sequelize.query(sql, _.assign({}, options, { raw: true })));
+          } else if (instanceTable.rawAttributes[keys[i]].type instanceof DataTypes.TSVECTOR && instanceTable.rawAttributes[keys[i]].searchSource) {
+            sql = self.QueryGenerator.pgSearchVectorDrop(tableName, instanceTable.rawAttributes[keys[i]].field || keys[i], options);
+            promises.push(self.sequelize.query(sql, _.assign({}, options, { raw: true })));
           }
         }
       }
     }
 
+    if (self.sequelize.options.dialect === 'sqlite') {
+      var model = self.sequelize.modelManager.getModel(tableName, { attribute: 'tableName' });
+
+      if (!!model && model.options.fts) {
+        promises.push(self.sequelize.query(self.QueryGenerator.ftsDropTableQuery(model), _.assign({}, options, { raw: true })));
+      }
+    }
+
     return Promise.all(promises).get(0);
   });
 };
@@ -292,6 +331,70 @@ QueryInterface.prototype.pgListEnums = function (tableName, options) {
   return this.sequelize.query(sql, _.assign({}, options, { plain: false, raw: true, type: QueryTypes.SELECT }));
 };
 
+/*
+  Text search configurations and dictionaries (postgres only). The options of the statement, such as `copy` for a
+  configuration or `ifExists` when dropping, are given along with the options of the query.
+*/
+QueryInterface.prototype.createTextSearchConfiguration = function(name, options) {
+  options = options || {};
+  var sql = this.QueryGenerator.createTextSearchConfigurationQuery(name, options);
+  return this.sequelize.query(sql, options);
+};
+
+QueryInterface.prototype.dropTextSearchConfiguration = function(name, options) {
+  options = options || {};
+  var sql = this.QueryGenerator.dropTextSearchConfigurationQuery(name, options);
+  return this.sequelize.query(sql, options);
+};
+
+QueryInterface.prototype.alterTextSearchMapping = function(name, mapping, options) {
+  options = options || {};
+  var sql = this.QueryGenerator.alterTextSearchMappingQuery(name, mapping);
+  return this.sequelize.query(sql, options);
+};
+
+QueryInterface.prototype.listTextSearchConfigurations = function(options) {
+  options = options || {};
+  var sql = this.QueryGenerator.listTextSearchConfigurationsQuery(options);
+  return this.sequelize.query(sql, _.assign({}, options, { plain: false, raw: true, type: QueryTypes.SELECT }));
+};
+
+QueryInterface.prototype.listTextSearchMappings = function(name, options) {
+  options = options || {};
+  var sql = this.QueryGenerator.listTextSearchMappingsQuery(name);
+  return this.sequelize.query(sql, _.assign({}, options, { plain: false, raw: true, type: QueryTypes.SELECT }));
+};
+
+QueryInterface.prototype.createTextSearchDictionary = function(name, template, dictionaryOptions, options) {
+  options = options || {};
+  var sql = this.QueryGenerator.createTextSearchDictionaryQuery(name, template, dictionaryOptions);
+  return this.sequelize.query(sql, options);
+};
+
+QueryInterface.prototype.dropTextSearchDictionary = function(name, options) {
+  options = options || {};
+  var sql = this.QueryGenerator.dropTextSearchDictionaryQuery(name, options);
+  return this.sequelize.query(sql, options);
+};
+
+QueryInterface.prototype.listTextSearchDictionaries = function(options) {
+  options = options || {};
+  var sql = this.QueryGenerator.listTextSearchDictionariesQuery(options);
+  return this.sequelize.query(sql, _.assign({}, options, { plain: false, raw: true, type: QueryTypes.SELECT }));
+};
+
+QueryInterface.prototype.reindexSearch = function(tableName, attributes, range, fields, options) {
+  options = options || {};
+  var sql = this.QueryGenerator.reindexSearchQuery(tableName, attributes, range, fields);
+  return this.sequelize.query(sql, _.assign({}, options, { raw: true }));
+};
+
+QueryInterface.prototype.suggest = function(tableName, attribute, prefix, options, Model) {
+  options = _.assign({}, options, { model: Model });
+  var sql = this.QueryGenerator.textSearchSuggestQuery(tableName, attribute, prefix, options);
+  return this.sequelize.query(sql, _.assign(_.omit(options, ['model', 'where', 'weights', 'limit']), { plain: false, raw: true, type: QueryTypes.SELECT }));
+};
+
 QueryInterface.prototype.renameTable = function(before, after, options) {
   options = options || {};
   var sql = this.QueryGenerator.renameTableQuery(before, after);
@@ -351,7 +454,17 @@ QueryInterface.prototype.addColumn = function(table, key, attribute, options) {
 
   options = options || {};
   attribute = this.sequelize.normalizeAttribute(attribute);
-  return this.sequelize.query(this.QueryGenerator.addColumnQuery(table, key, attribute), options);
+
+  // The model of the table names the columns of the sources of a search vector, and its text search configuration
+  var model = options.model
+    , sql = this.QueryGenerator.addColumnQuery(table, key, attribute, {
+        fields: model && Utils._.mapValues(model.rawAttributes, function(rawAttribute, name) {
+          return rawAttribute.field || name;
+        }),
+        config: _.get(model, 'options.textSearch.config')
+      });
+
+  return this.sequelize.query(sql, _.omit(options, 'model'));
 };
 
 QueryInterface.prototype.removeColumn = function(tableName, attributeName, options) {
@@ -485,12 +598,159 @@ QueryInterface.prototype.getForeignKeysForTables = function(tableNames, options)
   });
 };
 
+/*
+  Returns the foreign keys of a table, one per column as constraintName, columnName, referencedTableName and
+  referencedColumnName. The constraints are not named on sqlite.
+*/
+QueryInterface.prototype.getForeignKeyReferencesForTable = function(tableName, options) {
+  var sql = this.QueryGenerator.getForeignKeyReferencesQuery(tableName, this.sequelize.config.database);
+
+  return this.sequelize.query(sql, _.assign({}, options, { plain: false, raw: true, type: QueryTypes.SELECT })).then(function(rows) {
+    return rows.map(function(row) {
+      if (row.hasOwnProperty('from')) {
+        return { constraintName: null, columnName: row.from, referencedTableName: row.table, referencedColumnName: row.to };
+      }
+
+      return {
+        constraintName: row.constraint_name,
+        columnName: row.column_name,
+        referencedTableName: row.referenced_table_name,
+        referencedColumnName: row.referenced_column_name
+      };
+    });
+  });
+};
+
+QueryInterface.prototype.dropForeignKey = function(tableName, foreignKey, options) {
+  options = options || {};
+  var sql = this.QueryGenerator.dropForeignKeyQuery(tableName, foreignKey);
+  return this.sequelize.query(sql, options);
+};
+
+/*
+  Adds a CHECK, UNIQUE, PRIMARY KEY or FOREIGN KEY constraint, see QueryGenerator.addConstraintQuery for its options.
+*/
+QueryInterface.prototype.addConstraint = function(tableName, constraint, options) {
+  options = options || {};
+  var sql = this.QueryGenerator.addConstraintQuery(tableName, constraint);
+  return this.sequelize.query(sql, options);
+};
+
+/*
+  Lists the constraints of a table as { name, type, fields }, with the check expression of CHECK constraints as the
+  database writes it, and the references of FOREIGN KEY constraints as { table, fields }.
+*/
+QueryInterface.prototype.showConstraints = function(tableName, options) {
+  var sql = this.QueryGenerator.showConstraintsQuery(tableName, this.sequelize.config.database);
+
+  return this.sequelize.query(sql, _.assign({}, options, { plain: false, raw: true, type: QueryTypes.SELECT })).then(function(rows) {
+    var constraints = [];
+
+    rows.forEach(function(row) {
+      var constraint = _.find(constraints, { name: row.constraint_name });
+
+      if (!constraint) {
+        constraint = { name: row.constraint_name, type: row.constraint_type, fields: [] };
+
+        if (constraint.type === 'CHECK') {
+          constraint.check = row.definition ? row.definition.replace(/^CHECK /, '') : null;
+        } else if (constraint.type === 'FOREIGN KEY') {
+          constraint.references = { table: row.referenced_table_name, fields: [] };
+        }
+        constraints.push(constraint);
+      }
+
+      if (row.column_name && constraint.fields.indexOf(row.column_name) === -1) {
+        constraint.fields.push(row.column_name);
+      }
+      if (row.referenced_column_name && constraint.references) {
+        constraint.references.fields.push(row.referenced_column_name);
+      }
+    });
+
+    return constraints;
+  });
+};
+
+/*
+  Removes a constraint by its name. MySQL drops each type of constraint in its own way, so unless options.type is
+  given, the type is looked up first.
+*/
+QueryInterface.prototype.removeConstraint = function(tableName, constraintName, options) {
+  var self = this;
+
+  options = options || {};
+
+  return Promise.try(function() {
+    if (self.sequelize.options.dialect !== 'mysql' || options.type) {
+      return options.type;
+    }
+
+    return self.showConstraints(tableName, options).then(function(constraints) {
+      var constraint = _.find(constraints, { name: constraintName });
+
+      if (!constraint) {
+        throw new Error('Unknown constraint ' + constraintName + ' of table ' + (tableName.tableName || tableName));
+      }
+      return constraint.type;
+    });
+  }).then(function(type) {
+    var sql = self.QueryGenerator.removeConstraintQuery(tableName, constraintName, type);
+    return self.sequelize.query(sql, _.omit(options, 'type'));
+  });
+};
+
 QueryInterface.prototype.removeIndex = function(tableName, indexNameOrAttributes, options) {
   options = options || {};
   var sql = this.QueryGenerator.removeIndexQuery(tableName, indexNameOrAttributes);
   return this.sequelize.query(sql, options);
 };
 
+QueryInterface.prototype.createFullTextCatalog = function(catalogName, options) {
+  options = options || {};
+  var sql = this.QueryGenerator.createFullTextCatalogQuery(catalogName, options);
+  return this.sequelize.query(sql, options);
+};
+
+QueryInterface.prototype.dropFullTextCatalog = function(catalogName, options) {
+  options = options || {};
+  var sql = this.QueryGenerator.dropFullTextCatalogQuery(catalogName);
+  return this.sequelize.query(sql, options);
+};
+
+/*
+  Creates the full-text index of a table. Without options.keyIndex, the index of the primary key is looked up and used.
+*/
+QueryInterface.prototype.createFullTextIndex = function(tableName, attributes, options) {
+  var self = this;
+  options = options || {};
+
+  return Promise.try(function() {
+    if (options.keyIndex || !self.QueryGenerator.getPrimaryKeyIndexQuery) {
+      return options.keyIndex;
+    }
+
+    return self.sequelize.query(
+      self.QueryGenerator.getPrimaryKeyIndexQuery(tableName),
+      _.assign({}, options, { plain: true, raw: true, type: QueryTypes.SELECT })
+    ).then(function(index) {
+      if (!index) {
+        throw new Error('Cannot create a full-text index on ' + self.QueryGenerator.quoteTable(tableName) + ' without a primary key, pass options.keyIndex');
+      }
+      return index.name;
+    });
+  }).then(function(keyIndex) {
+    var sql = self.QueryGenerator.createFullTextIndexQuery(tableName, attributes, _.defaults({ keyIndex: keyIndex }, options));
+    return self.sequelize.query(sql, options);
+  });
+};
+
+QueryInterface.prototype.dropFullTextIndex = function(tableName, options) {
+  options = options || {};
+  var sql = this.QueryGenerator.dropFullTextIndexQuery(tableName);
+  return this.sequelize.query(sql, options);
+};
+
 QueryInterface.prototype.insert = function(instance, tableName, values, options) {
   options = Utils.cloneDeep(options);
   options.hasTrigger = instance && instance.Model.options.hasTrigger;
@@ -661,14 +921,49 @@ QueryInterface.prototype.bulkDelete = function(tableName, identifier, options, m
 };
 
 QueryInterface.prototype.select = function(model, tableName, options) {
+  var self = this;
+
   options = Utils.cloneDeep(options);
   options.type = QueryTypes.SELECT;
   options.model = model;
 
-  return this.sequelize.query(
-    this.QueryGenerator.selectQuery(tableName, options, model),
-    options
-  );
+  return this.withTrigramThresholds(options, function() {
+    return Promise.try(function() {
+      if (options.logTextSearch) {
+        return self.sequelize.textSearch.logConditions(options.where, model, options);
+      }
+    }).then(function() {
+      return self.sequelize.query(
+        self.QueryGenerator.selectQuery(tableName, options, model),
+        options
+      );
+    });
+  });
+};
+
+/*
+ * Calls fn once the pg_trgm thresholds given by `options.similarityThreshold` and `options.wordSimilarityThreshold`
+ * are set. SET LOCAL only lasts until the end of a transaction, so the thresholds are set in `options.transaction`,
+ * where they stay for the rest of the transaction, or in a new transaction which fn runs in.
+ */
+QueryInterface.prototype.withTrigramThresholds = function(options, fn) {
+  var self = this
+    , sql;
+
+  if (options.similarityThreshold === undefined && options.wordSimilarityThreshold === undefined) {
+    return Promise.try(fn.bind(this));
+  }
+
+  sql = this.QueryGenerator.trigramThresholdQuery(options);
+
+  if (options.transaction) {
+    return this.sequelize.query(sql, { transaction: options.transaction, logging: options.logging }).then(fn.bind(this));
+  }
+
+  return this.sequelize.transaction(function(transaction) {
+    options.transaction = transaction;
+    return self.sequelize.query(sql, { transaction: transaction, logging: options.logging }).then(fn.bind(self));
+  });
 };
 
 QueryInterface.prototype.increment = function(instance, tableName, values, identifier, options) {
@@ -702,7 +997,9 @@ QueryInterface.prototype.rawSelect = function(tableName, options, attributeSelec
     throw new Error('Please pass an attribute selector!');
   }
 
-  return this.sequelize.query(sql, options).then(function(data) {
+  return this.withTrigramThresholds(options, function() {
+    return this.sequelize.query(sql, options);
+  }).then(function(data) {
     if (!options.plain) {
       return data;
     }
@@ -937,4 +1234,20 @@ QueryInterface.prototype.rollbackTransaction = function(transaction, options) {
   return promise;
 };
 
+/*
+  Takes a named lock for the connection of options.transaction, resolving to whether it was taken. The lock is held
+  until advisoryUnlock is called with the same transaction, or the connection is closed.
+*/
+QueryInterface.prototype.advisoryLock = function(name, options) {
+  var sql = this.QueryGenerator.advisoryLockQuery(name);
+  return this.sequelize.query(sql, _.assign({}, options, { plain: true, raw: true, type: QueryTypes.SELECT })).then(function(row) {
+    return !!(row && row.locked);
+  });
+};
+
+QueryInterface.prototype.advisoryUnlock = function(name, options) {
+  var sql = this.QueryGenerator.advisoryUnlockQuery(name);
+  return this.sequelize.query(sql, _.assign({}, options, { raw: true }));
+};
+
 module.exports = QueryInterface;
@@ -0,0 +1,556 @@
+'use strict';
+
+var _ = require('lodash')
+  , Utils = require('./utils')
+  , Promise = require('./promise')
+  , DataTypes = require('./data-types');
+
+/*
+  Compares the models of a sequelize instance with the tables of the database, for sequelize.diffSchema. The
+  differences are listed as operations, plain objects named after the query interface method applying them:
+
+    - createTable: { tableName, attributes, options }
+    - addColumn: { tableName, attribute, definition }
+    - changeColumn: { tableName, attribute, definition, previous }
+    - removeColumn: { tableName, attribute, previous }
+    - addIndex: { tableName, index }
+    - removeIndex: { tableName, index, previous }
+    - dropForeignKey: { tableName, foreignKey, previous }
+
+  `previous` is what the database reported, from which toMigration writes the down function.
+*/
+
+// The keys of an attribute which are part of the definition of its column
+var columnKeys = [
+  'type', 'allowNull', 'defaultValue', 'primaryKey', 'autoIncrement', 'unique', 'comment', 'check', 'references', 'onDelete', 'onUpdate',
+  'searchSource', 'config'
+];
+
+var plainTableName = function(tableName) {
+  return _.isObject(tableName) ? _.pick(tableName, ['tableName', 'schema', 'delimiter']) : tableName;
+};
+
+var hasTable = function(tables, tableName) {
+  var name = tableName.tableName || tableName
+    , schema = tableName.schema;
+
+  return tables.some(function(table) {
+    return (table.tableName || table) === name && (!schema || !table.schema || table.schema === schema);
+  });
+};
+
+// The definitions of the columns of a model, by column name, with references to models given as table names and the
+// sources of search vectors as column names, in the text search configuration of the model unless they have their own
+var columnDefinitions = function(model) {
+  var sequelize = model.sequelize
+    , config = _.get(model, 'options.textSearch.config')
+    , columns = {}
+    , field = function(name) {
+      return model.rawAttributes[name] && model.rawAttributes[name].field || name;
+    };
+
+  _.forOwn(model.tableAttributes, function(attribute, name) {
+    var definition = _.omitBy(_.pick(attribute, columnKeys), _.isUndefined);
+
+    definition.type = sequelize.normalizeDataType(definition.type);
+
+    if (definition.references) {
+      var references = Utils.formatReferences(_.pick(attribute, 'references')).references;
+
+      definition.references = {
+        model: plainTableName(references.model && references.model.getTableName ? references.model.getTableName() : references.model),
+        key: references.key || 'id'
+      };
+    }
+
+    if (definition.searchSource) {
+      definition.searchSource = Array.isArray(definition.searchSource) ?
+        definition.searchSource.map(field) :
+        _.mapKeys(definition.searchSource, function(weight, source) {
+          return field(source);
+        });
+
+      if (!definition.config && config) {
+        definition.config = config;
+      }
+    }
+
+    columns[attribute.field || name] = definition;
+  });
+
+  return columns;
+};
+
+/*
+  Writes the type of an attribute or of a described column so that both can be compared: in upper case, without spaces
+  around parentheses and commas, and with the names describeTable gives replaced by the ones of the data types.
+*/
+var normalizeType = function(type, aliases) {
+  type = String(type).toUpperCase().replace(/\s+/g, ' ').replace(/\s*([(),])\s*/g, '$1').replace(/ BINARY$/, '').trim();
+
+  if (/\[\]$/.test(type)) {
+    return 'ARRAY';
+  }
+
+  _.forOwn(aliases, function(alias, name) {
+    if (type === name || type.indexOf(name + '(') === 0 || type.indexOf(name + ' ') === 0) {
+      type = alias + type.slice(name.length);
+      return false;
+    }
+  });
+
+  return type;
+};
+
+var typeChanged = function(definition, column, QueryGenerator) {
+  var type = definition.type;
+
+  // Enums are user defined types on postgres, described by their values
+  if (column.type === 'USER-DEFINED') {
+    return type instanceof DataTypes.ENUM && !_.isEqual(type.values, column.special);
+  }
+
+  var expected = normalizeType(type.toString({ escape: QueryGenerator.escape.bind(QueryGenerator) }), QueryGenerator.columnTypeAliases)
+    , actual = normalizeType(column.type, QueryGenerator.columnTypeAliases);
+
+  // Lengths are only compared when both give them, postgres and mssql describe types without them
+  if (expected.indexOf('(') === -1 || actual.indexOf('(') === -1) {
+    expected = expected.replace(/\(.*?\)/g, '');
+    actual = actual.replace(/\(.*?\)/g, '');
+  }
+
+  return expected !== actual;
+};
+
+// A default value as describeTable reports them, without the quotes, parentheses and casts of the dialects
+var normalizeDefault = function(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  // Postgres casts literals to the type of the column
+  value = String(value).trim().replace(/::[\w\s".]+(\[\])?$/, '');
+  while (/^\(.*\)$/.test(value)) {
+    value = value.slice(1, -1);
+  }
+  value = value.replace(/^N?'(.*)'$/, '$1');
+
+  return { 'true': '1', 'false': '0' }[value] || value;
+};
+
+var defaultChanged = function(definition, column) {
+  var value = definition.defaultValue;
+
+  if (definition.primaryKey || definition.autoIncrement) {
+    return false;
+  }
+
+  // Defaults computed by sequelize, and expressions, are not compared
+  if (value !== undefined && (!Utils.defaultValueSchemable(value) || _.isObject(value))) {
+    return false;
+  }
+
+  return normalizeDefault(value) !== normalizeDefault(column.defaultValue);
+};
+
+var columnChanged = function(definition, column, QueryGenerator) {
+  var allowNull = definition.allowNull !== false && !definition.primaryKey;
+
+  return typeChanged(definition, column, QueryGenerator) || allowNull !== column.allowNull || defaultChanged(definition, column);
+};
+
+// The definition of a column as describeTable reports it, to add or change it back
+var describedColumn = function(column) {
+  var definition = {
+    type: column.type === 'USER-DEFINED' && column.special && column.special.length ? DataTypes.ENUM(column.special) : column.type,
+    allowNull: column.allowNull
+  };
+
+  if (column.defaultValue !== null && column.defaultValue !== undefined) {
+    definition.defaultValue = column.defaultValue;
+  }
+  if (column.primaryKey) {
+    definition.primaryKey = true;
+  }
+
+  return definition;
+};
+
+var indexFields = function(index) {
+  return (index.fields || []).map(function(field) {
+    if (typeof field === 'string') return field;
+    return field.attribute || field.name || field.expression || field;
+  });
+};
+
+// The indexes of the model, named as addIndex would, without the empty type and parser set by define
+var modelIndexes = function(model) {
+  return model.QueryGenerator.nameIndexes(_.cloneDeep(model.options.indexes), model.tableName).map(function(index) {
+    return _.omitBy(index, function(value) {
+      return value === '' || value === null;
+    });
+  });
+};
+
+var diffIndexes = function(model, indexes, foreignKeys, tableName) {
+  var expected = modelIndexes(model)
+    , uniqueKeys = _.map(model.options.uniqueKeys, 'fields')
+    , operations = [];
+
+  var keepsIndex = function(index) {
+    var fields = indexFields(index);
+
+    return index.primary ||
+      // Unique constraints of attributes, created with the table
+      index.unique && uniqueKeys.some(function(keyFields) {
+        return _.isEqual(keyFields, fields);
+      }) ||
+      // Indexes created by mysql for foreign keys
+      !index.unique && fields.length === 1 && foreignKeys.some(function(foreignKey) {
+        return foreignKey.columnName === fields[0];
+      });
+  };
+
+  indexes.forEach(function(index) {
+    var wanted = _.find(expected, { name: index.name });
+
+    if (wanted ? Boolean(wanted.unique) === Boolean(index.unique) && _.isEqual(indexFields(wanted), indexFields(index)) : keepsIndex(index)) {
+      return;
+    }
+
+    operations.push({
+      type: 'removeIndex',
+      tableName: tableName,
+      index: index.name,
+      previous: { name: index.name, fields: indexFields(index), unique: !!index.unique }
+    });
+  });
+
+  expected.forEach(function(index) {
+    if (!_.find(indexes, { name: index.name }) || _.find(operations, { index: index.name })) {
+      operations.push({ type: 'addIndex', tableName: tableName, index: index });
+    }
+  });
+
+  return operations;
+};
+
+var diffForeignKeys = function(model, columns, described, foreignKeys, tableName) {
+  var sqlite = model.sequelize.options.dialect === 'sqlite'
+    , operations = { drop: [], add: [] };
+
+  foreignKeys.forEach(function(foreignKey) {
+    var definition = columns[foreignKey.columnName];
+
+    if (foreignKey.constraintName && !(definition && definition.references &&
+        (definition.references.model.tableName || definition.references.model) === foreignKey.referencedTableName &&
+        definition.references.key === foreignKey.referencedColumnName)) {
+      operations.drop.push({
+        type: 'dropForeignKey',
+        tableName: tableName,
+        foreignKey: foreignKey.constraintName,
+        previous: {
+          attribute: foreignKey.columnName,
+          type: described[foreignKey.columnName].type,
+          references: { model: foreignKey.referencedTableName, key: foreignKey.referencedColumnName }
+        }
+      });
+    }
+  });
+
+  _.forOwn(columns, function(definition, column) {
+    // Columns added with their references, and foreign keys which exist and are kept, are left out
+    if (!definition.references || !described[column] ||
+        _.find(foreignKeys, { columnName: column }) && !_.find(operations.drop, { previous: { attribute: column } })) {
+      return;
+    }
+
+    // sqlite changes a column by rebuilding the table, so it is given the whole definition
+    operations.add.push({
+      type: 'changeColumn',
+      tableName: tableName,
+      attribute: column,
+      definition: sqlite ? definition : _.pick(definition, ['type', 'references', 'onDelete', 'onUpdate'])
+    });
+  });
+
+  return operations;
+};
+
+var diffModel = function(model, tables, options) {
+  var queryInterface = model.QueryInterface
+    , QueryGenerator = model.QueryGenerator
+    , tableName = model.getTableName()
+    , columns = columnDefinitions(model);
+
+  if (!hasTable(tables, tableName)) {
+    var operations = [{
+      type: 'createTable',
+      tableName: plainTableName(tableName),
+      attributes: columns,
+      options: _.pick(model.options, ['uniqueKeys', 'checks', 'charset', 'collate', 'engine', 'comment'])
+    }];
+
+    modelIndexes(model).forEach(function(index) {
+      operations.push({ type: 'addIndex', tableName: plainTableName(tableName), index: index });
+    });
+
+    return Promise.resolve({ operations: operations, foreignKeys: [] });
+  }
+
+  return Promise.all([
+    queryInterface.describeTable(tableName, options),
+    queryInterface.showIndex(tableName, options),
+    queryInterface.getForeignKeyReferencesForTable(tableName, options)
+  ]).spread(function(described, indexes, foreignKeys) {
+    var operations = []
+      , foreignKeyOperations = diffForeignKeys(model, columns, described, foreignKeys, plainTableName(tableName));
+
+    _.forOwn(columns, function(definition, column) {
+      var current = described[column];
+
+      if (!current) {
+        operations.push({ type: 'addColumn', tableName: plainTableName(tableName), attribute: column, definition: definition });
+      } else if (!definition.primaryKey && columnChanged(definition, current, QueryGenerator)) {
+        operations.push({
+          type: 'changeColumn',
+          tableName: plainTableName(tableName),
+          attribute: column,
+          // The foreign key is diffed on its own, and constraints and search vector triggers can not be changed with the column
+          definition: _.omit(definition, ['references', 'onDelete', 'onUpdate', 'unique', 'check', 'searchSource', 'config']),
+          previous: describedColumn(current)
+        });
+      }
+    });
+
+    _.forOwn(described, function(column, name) {
+      if (!columns[name]) {
+        operations.push({ type: 'removeColumn', tableName: plainTableName(tableName), attribute: name, previous: describedColumn(column) });
+      }
+    });
+
+    operations = foreignKeyOperations.drop
+      .concat(diffIndexes(model, indexes, foreignKeys, plainTableName(tableName)))
+      .concat(operations);
+
+    return {
+      // Indexes are added once their columns are
+      operations: _.sortBy(operations, function(operation) {
+        return operation.type === 'addIndex' ? 1 : 0;
+      }),
+      foreignKeys: foreignKeyOperations.add
+    };
+  });
+};
+
+exports.diff = function(sequelize, options) {
+  var models = [];
+
+  options = options || {};
+
+  sequelize.modelManager.forEachModel(function(model) {
+    if (model && (!options.models || options.models.indexOf(model) !== -1)) {
+      models.push(model);
+    }
+  });
+
+  var queryOptions = _.omit(options, 'models');
+
+  return sequelize.getQueryInterface().showAllTables(queryOptions).then(function(tables) {
+    return Promise.mapSeries(models, function(model) {
+      return diffModel(model, tables, queryOptions);
+    });
+  }).then(function(diffs) {
+    // Foreign keys are added once every table and column exists
+    return _.flatten(_.map(diffs, 'operations').concat(_.map(diffs, 'foreignKeys')));
+  });
+};
+
+/*
+  The operations for the table of a single model, which exists. Used by Model.sync with the alter option, right after
+  the table is created when it is missing.
+*/
+exports.diffTable = function(model, options) {
+  return diffModel(model, [model.getTableName()], options || {}).then(function(diff) {
+    return diff.operations.concat(diff.foreignKeys);
+  });
+};
+
+/*
+  Leaves out the operations removing columns, indexes and foreign keys, but the ones which are removed to be added
+  again as they changed.
+*/
+exports.withoutDrops = function(operations) {
+  return operations.filter(function(operation) {
+    switch (operation.type) {
+      case 'removeColumn':
+        return false;
+      case 'removeIndex':
+        return operations.some(function(other) {
+          return other.type === 'addIndex' && _.isEqual(other.tableName, operation.tableName) && other.index.name === operation.index;
+        });
+      case 'dropForeignKey':
+        return operations.some(function(other) {
+          return other.type === 'changeColumn' && _.isEqual(other.tableName, operation.tableName) &&
+            other.attribute === operation.previous.attribute && !!other.definition.references;
+        });
+      default:
+        return true;
+    }
+  });
+};
+
+exports.apply = function(sequelize, operations, options) {
+  var queryInterface = sequelize.getQueryInterface();
+
+  options = options || {};
+
+  return Promise.each(operations, function(operation) {
+    switch (operation.type) {
+      case 'createTable':
+        return queryInterface.createTable(operation.tableName, operation.attributes, _.assign({}, operation.options, options));
+      case 'addColumn':
+        return queryInterface.addColumn(operation.tableName, operation.attribute, operation.definition, options);
+      case 'changeColumn':
+        return queryInterface.changeColumn(operation.tableName, operation.attribute, _.clone(operation.definition), options);
+      case 'removeColumn':
+        return queryInterface.removeColumn(operation.tableName, operation.attribute, options);
+      case 'addIndex':
+        return queryInterface.addIndex(operation.tableName, _.assign({}, operation.index, options));
+      case 'removeIndex':
+        return queryInterface.removeIndex(operation.tableName, operation.index, options);
+      case 'dropForeignKey':
+        return queryInterface.dropForeignKey(operation.tableName, operation.foreignKey, options);
+      default:
+        throw new Error('Unknown schema operation ' + operation.type);
+    }
+  });
+};
+
+// Marks code written as it is by serialize
+function Code(code) {
+  this.code = code;
+}
+
+var quote = function(string) {
+  return '\'' + JSON.stringify(string).slice(1, -1).replace(/\\"/g, '"').replace(/'/g, '\\\'') + '\'';
+};
+
+// Writes a value as the javascript of a migration, with data types and expressions built from Sequelize
+var serialize = function(value, QueryGenerator) {
+  if (value instanceof Code) {
+    return value.code;
+  }
+  if (value instanceof DataTypes.ABSTRACT) {
+    if (value instanceof DataTypes.ARRAY) {
+      return 'Sequelize.ARRAY(' + serialize(value.type, QueryGenerator) + ')';
+    }
+
+    var typeOptions = _.omitBy(value.options, _.isUndefined);
+    return 'Sequelize.' + value.key + (_.isEmpty(typeOptions) ? '' : '(' + serialize(typeOptions, QueryGenerator) + ')');
+  }
+  if (value && value._isSequelizeMethod) {
+    return 'Sequelize.literal(' + quote(QueryGenerator.handleSequelizeMethod(value)) + ')';
+  }
+  if (value instanceof Date) {
+    return 'new Date(' + quote(value.toISOString()) + ')';
+  }
+  if (Array.isArray(value)) {
+    return '[' + value.map(function(item) {
+      return serialize(item, QueryGenerator);
+    }).join(', ') + ']';
+  }
+  if (_.isPlainObject(value)) {
+    var properties = _.keys(_.omitBy(value, _.isUndefined)).map(function(key) {
+      return (/^[A-Za-z_$][\w$]*$/.test(key) ? key : quote(key)) + ': ' + serialize(value[key], QueryGenerator);
+    });
+    return properties.length ? '{ ' + properties.join(', ') + ' }' : '{}';
+  }
+  if (typeof value === 'string') {
+    return quote(value);
+  }
+  return String(value);
+};
+
+// The query interface call of an operation, in a migration
+var migrationStep = function(operation, QueryGenerator) {
+  var transaction = new Code('transaction')
+    , options = { transaction: transaction }
+    , args;
+
+  switch (operation.type) {
+    case 'createTable':
+      args = [operation.tableName, operation.attributes, _.assign({}, operation.options, options)];
+      break;
+    case 'dropTable':
+      args = [operation.tableName, options];
+      break;
+    case 'addColumn':
+    case 'changeColumn':
+      args = [operation.tableName, operation.attribute, operation.definition, options];
+      break;
+    case 'removeColumn':
+      args = [operation.tableName, operation.attribute, options];
+      break;
+    case 'addIndex':
+      args = [operation.tableName, _.assign({}, operation.index, options)];
+      break;
+    case 'removeIndex':
+      args = [operation.tableName, operation.index, options];
+      break;
+    case 'dropForeignKey':
+      args = [operation.tableName, operation.foreignKey, options];
+      break;
+  }
+
+  return 'queryInterface.' + operation.type + '(' + args.map(function(arg) {
+    return serialize(arg, QueryGenerator);
+  }).join(', ') + ')';
+};
+
+// The operation undoing another one, from what the database reported before it
+var revert = function(operation) {
+  var tableName = operation.tableName;
+
+  switch (operation.type) {
+    case 'createTable':
+      return { type: 'dropTable', tableName: tableName };
+    case 'addColumn':
+      return { type: 'removeColumn', tableName: tableName, attribute: operation.attribute };
+    case 'changeColumn':
+      if (!operation.previous) {
+        // A foreign key added by changeColumn, which names it after the column
+        return { type: 'dropForeignKey', tableName: tableName, foreignKey: operation.attribute + '_foreign_idx' };
+      }
+      return { type: 'changeColumn', tableName: tableName, attribute: operation.attribute, definition: operation.previous };
+    case 'removeColumn':
+      return { type: 'addColumn', tableName: tableName, attribute: operation.attribute, definition: operation.previous };
+    case 'addIndex':
+      return { type: 'removeIndex', tableName: tableName, index: operation.index.name };
+    case 'removeIndex':
+      return { type: 'addIndex', tableName: tableName, index: operation.previous };
+    case 'dropForeignKey':
+      return {
+        type: 'changeColumn',
+        tableName: tableName,
+        attribute: operation.previous.attribute,
+        definition: { type: operation.previous.type, references: operation.previous.references }
+      };
+  }
+};
+
+// A function of a migration running operations one after the other, in the transaction given by the migrator
+var migrationFunction = function(operations, QueryGenerator) {
+  return 'function(queryInterface, Sequelize, transaction) {\n' +
+    '    return Sequelize.Promise.resolve()' + operations.map(function(operation) {
+      return '.then(function() {\n      return ' + migrationStep(operation, QueryGenerator) + ';\n    })';
+    }).join('') + ';\n  }';
+};
+
+exports.toMigration = function(sequelize, operations) {
+  var QueryGenerator = sequelize.getQueryInterface().QueryGenerator;
+
+  return '\'use strict\';\n\nmodule.exports = {\n' +
+    '  up: ' + migrationFunction(operations, QueryGenerator) + ',\n\n' +
+    '  down: ' + migrationFunction(operations.map(revert).reverse(), QueryGenerator) + '\n};\n';
+};
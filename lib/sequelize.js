@@ -7,6 +7,10 @@ var url = require('url')
   , Model = require('./model')
   , DataTypes = require('./data-types')
   , Deferrable = require('./deferrable')
+  , TSQuery = require('./tsquery')
+  , TextSearch = require('./text-search')
+  , Migrator = require('./migrator')
+  , schemaDiff = require('./schema-diff')
   , ModelManager = require('./model-manager')
   , QueryInterface = require('./query-interface')
   , Transaction = require('./transaction')
@@ -242,6 +246,12 @@ var Sequelize = function(database, username, password, options) {
   this.modelManager = new ModelManager(this);
   this.connectionManager = this.dialect.connectionManager;
 
+  /**
+   * Helpers showing how postgres reads texts and full-text searches, see [TextSearch](text-search)
+   * @property textSearch
+   */
+  this.textSearch = new TextSearch(this);
+
   this.importCache = {};
 
   this.test = {
@@ -332,6 +342,20 @@ Sequelize.prototype.Transaction = Sequelize.Transaction = Transaction;
  */
 Sequelize.prototype.Deferrable = Sequelize.Deferrable = Deferrable;
 
+/**
+ * A builder for tsqueries made of user input, to search with `$ftspg`
+ * @property tsquery
+ * @see {TSQuery}
+ */
+Sequelize.prototype.tsquery = Sequelize.tsquery = TSQuery;
+
+/**
+ * Text search helpers that do not need a connection, such as `Sequelize.textSearch.matches`
+ * @property textSearch
+ * @see {TextSearch}
+ */
+Sequelize.textSearch = TextSearch;
+
 /**
  * A reference to the sequelize instance class.
  * @property Instance
@@ -501,6 +525,31 @@ Sequelize.prototype.getQueryInterface = function() {
   return this.queryInterface;
 };
 
+/**
+ * Returns a migrator running the migration files of a folder, and recording the ones applied in a ledger table.
+ *
+ * ```js
+ * var migrator = sequelize.migrator({ path: __dirname + '/migrations' });
+ *
+ * migrator.up().then(function(names) {
+ *   // names: the migrations applied
+ * });
+ * ```
+ *
+ * @method migrator
+ * @param {Object}   options
+ * @param {String}   options.path The folder of the migration files
+ * @param {RegExp}   [options.pattern=/^\d+[\w-]+\.js$/] The files of the folder which are migrations
+ * @param {String}   [options.tableName='SequelizeMeta'] The ledger table
+ * @param {Function} [options.logging] A function logging the migrations run and their queries. Defaults to the `logging` option of sequelize
+ * @return {Migrator}
+ *
+ * @see {Migrator}
+ */
+Sequelize.prototype.migrator = function(options) {
+  return new Migrator(this, options);
+};
+
 /**
  * Define a new model, representing a table in the DB.
  *
@@ -557,8 +606,11 @@ Sequelize.prototype.getQueryInterface = function() {
  * @param {String}                  [attributes.column.references.key='id'] The column of the foreign table that this column references
  * @param {String}                  [attributes.column.onUpdate] What should happen when the referenced key is updated. One of CASCADE, RESTRICT, SET DEFAULT, SET NULL or NO ACTION
  * @param {String}                  [attributes.column.onDelete] What should happen when the referenced key is deleted. One of CASCADE, RESTRICT, SET DEFAULT, SET NULL or NO ACTION
+ * @param {String}                  [attributes.column.check] A CHECK constraint of the column, as an SQL expression (`'price > 0'`) or `sequelize.literal`. The database names it
  * @param {Function}                [attributes.column.get] Provide a custom getter for this column. Use `this.getDataValue(String)` to manipulate the underlying values.
  * @param {Function}                [attributes.column.set] Provide a custom setter for this column. Use `this.setDataValue(String, Value)` to manipulate the underlying values.
+ * @param {Object|Array}            [attributes.column.searchSource] For a TSVECTOR column, the attributes it is computed from, either as an array or mapped to their weight (`{ title: 'A', body: 'B' }`). On sync / addColumn a trigger is created which keeps the column up to date. PG only
+ * @param {String}                  [attributes.column.config] The text search configuration used with `searchSource`. Defaults to `options.textSearch.config`
  * @param {Object}                  [attributes.validate] An object of validations to execute for this column every time the model is saved. Can be either the name of a validation provided by validator.js, a validation function provided by extending validator.js (see the `DAOValidator` property for more details), or a custom validation function. Custom validation functions are called with the value of the field, and can possibly take a second callback argument, to signal that they are asynchronous. If the validator is sync, it should throw in the case of a failed validation, it it is async, the callback should be called with the error text.
 
  * @param {Object}                  [options] These options are merged with the default define options provided to the Sequelize constructor
@@ -580,6 +632,7 @@ Sequelize.prototype.getQueryInterface = function() {
  * @param {Boolean}                 [options.indexes[].unique=false] Should the index by unique? Can also be triggered by setting type to `UNIQUE`
  * @param {Boolean}                 [options.indexes[].concurrently=false] PostgreSQL will build the index without taking any write locks. Postgres only
  * @param {Array<String|Object>}    [options.indexes[].fields] An array of the fields to index. Each field can either be a string containing the name of the field, a sequelize object (e.g `sequelize.fn`), or an object with the following attributes: `attribute` (field name), `length` (create a prefix index of length chars), `order` (the direction the column should be sorted in), `collate` (the collation (sort order) for the column)
+ * @param {Object}                  [options.checks] The CHECK constraints of the table, mapping their name to an SQL expression or `sequelize.literal`, e.g. `{ positivePrice: 'price > 0' }`. MySQL enforces them as of 8.0.16
  * @param {String|Boolean}          [options.createdAt] Override the name of the createdAt column if a string is provided, or disable it if false. Timestamps must be true. Not affected by underscored setting.
  * @param {String|Boolean}          [options.updatedAt] Override the name of the updatedAt column if a string is provided, or disable it if false. Timestamps must be true. Not affected by underscored setting.
  * @param {String|Boolean}          [options.deletedAt] Override the name of the deletedAt column if a string is provided, or disable it if false. Timestamps must be true. Not affected by underscored setting.
@@ -595,6 +648,16 @@ Sequelize.prototype.getQueryInterface = function() {
  * @param {String}                  [options.collate]
  * @param {String}                  [options.initialAutoIncrement] Set the initial AUTO_INCREMENT value for the table in MySQL.
  * @param {Object}                  [options.hooks] An object of hook function that are called before and after certain lifecycle events. The possible hooks are: beforeValidate, afterValidate, validationFailed, beforeBulkCreate, beforeBulkDestroy, beforeBulkUpdate, beforeCreate, beforeDestroy, beforeUpdate, afterCreate, afterDestroy, afterUpdate, afterBulkCreate, afterBulkDestory and afterBulkUpdate. See Hooks for more information about hook functions and their signatures. Each property can either be a function, or an array of functions.
+ * @param {Object}                  [options.textSearch] Full-text search defaults for queries against this model
+ * @param {String}                  [options.textSearch.config] The text search configuration used by `$ftspg` when the query does not name one, e.g. `'english'`. Defaults to the server's `default_text_search_config`. Postgres only
+ * @param {String}                  [options.textSearch.parser='tsquery'] How `$ftspg` reads search strings when the query does not say: `'tsquery'` (`to_tsquery`), `'plain'` (`plainto_tsquery`), `'phrase'` (`phraseto_tsquery`) or `'websearch'` (`websearch_to_tsquery`). Postgres only
+ * @param {String}                  [options.textSearch.mode] The mode of `$match` when the query does not say. On MySQL `'natural'` (the default), `'boolean'` or `'expansion'`, on SQL Server `'contains'` (the default) or `'freetext'`
+ * @param {Object}                  [options.fts] Make the model searchable with `$match` through an FTS5 table, created on sync along with the triggers keeping it up to date. SQLite only
+ * @param {String}                  [options.fts.engine='fts5'] The full-text search module. Only fts5 is supported
+ * @param {Array<String>}           [options.fts.fields] The attributes to index. Defaults to all string and text attributes
+ * @param {String}                  [options.fts.tokenize] The tokenizer of the FTS table, e.g. `'porter unicode61'`
+ * @param {String}                  [options.fts.content] The content table of the FTS table. Defaults to the table of the model
+ * @param {String}                  [options.fts.table] The name of the FTS table. Defaults to the table name with `_fts` appended
  * @param {Object}                  [options.validate] An object of model wide validations. Validations have access to all model values via `this`. If the validator function takes an argument, it is assumed to be async, and is called with a callback that accepts an optional error.
  *
  * @return {Model}
@@ -973,6 +1036,8 @@ Sequelize.prototype.dropAllSchemas = function(options) {
  * @param {String} [options.schema='public'] The schema that the tables should be created in. This can be overriden for each table in sequelize.define
  * @param  {String} [options.searchPath=DEFAULT] An optional parameter to specify the schema search_path (Postgres only)
  * @param {Boolean} [options.hooks=true] If hooks is true then beforeSync, afterSync, beforBulkSync, afterBulkSync hooks will be called
+ * @param {Boolean|Object} [options.alter=false] Alters the tables which exist to match the models, see `diffSchema`: adds the missing columns, indexes and foreign keys, and changes the columns whose type, default value or nullability differ
+ * @param {Boolean} [options.alter.drop=false] Also removes the columns, indexes and foreign keys the models do not have
  * @return {Promise}
  */
 Sequelize.prototype.sync = function(options) {
@@ -1020,6 +1085,60 @@ Sequelize.prototype.sync = function(options) {
   }).return(self);
 };
 
+/**
+ * Compares the models with the tables of the database, and lists the operations which would make the tables match the
+ * models. Columns are compared on their type, default value and nullability, along with the indexes of the models and
+ * the references of their attributes.
+ *
+ * ```js
+ * sequelize.diffSchema().then(function(operations) {
+ *   // [
+ *   //   { type: 'addColumn', tableName: 'users', attribute: 'email', definition: { type: STRING, allowNull: false } },
+ *   //   { type: 'removeIndex', tableName: 'users', index: 'users_legacy', previous: { name: 'users_legacy', fields: ['legacy'], unique: false } }
+ *   // ]
+ * });
+ * ```
+ *
+ * Each operation is named after the method of the query interface applying it: `createTable`, `addColumn`,
+ * `changeColumn`, `removeColumn`, `addIndex`, `removeIndex` and `dropForeignKey`. Apply them with `applySchemaDiff`, or
+ * write them to a migration file with `schemaDiffMigration`.
+ *
+ * @param {Object}        [options] Query options, such as `transaction` and `logging`
+ * @param {Array<Model>}  [options.models] The models to compare. Defaults to all of them
+ * @return {Promise<Array<Object>>}
+ */
+Sequelize.prototype.diffSchema = function(options) {
+  return schemaDiff.diff(this, options);
+};
+
+/**
+ * Runs the operations of `diffSchema` one after the other.
+ *
+ * @param {Array<Object>} operations
+ * @param {Object}        [options] Query options, such as `transaction` and `logging`
+ * @return {Promise}
+ */
+Sequelize.prototype.applySchemaDiff = function(operations, options) {
+  return schemaDiff.apply(this, operations, options);
+};
+
+/**
+ * Writes the operations of `diffSchema` as the source of a migration file for `sequelize.migrator` or the CLI. The
+ * down function reverts them from what the database reported, and restores types as the database describes them.
+ *
+ * ```js
+ * sequelize.diffSchema().then(function(operations) {
+ *   fs.writeFileSync('migrations/20160101000000-sync-models.js', sequelize.schemaDiffMigration(operations));
+ * });
+ * ```
+ *
+ * @param {Array<Object>} operations
+ * @return {String}
+ */
+Sequelize.prototype.schemaDiffMigration = function(operations) {
+  return schemaDiff.toMigration(this, operations);
+};
+
 /**
  * Truncate all tables defined through the sequelize models. This is done
  * by calling Model.truncate() on each model.
@@ -0,0 +1,612 @@
+'use strict';
+
+/* jshint -W110 */
+var util = require('util')
+  , _ = require('lodash')
+  , TSQuery = require('./tsquery');
+
+/*
+  Evaluates $ftspg conditions against records in memory, the way postgres would with the `simple` and `english` text
+  search configurations: texts are split into words, stop words are dropped and the remaining words are stemmed, then
+  the tsquery is matched against the resulting lexemes and their positions.
+
+  This is an approximation of postgres: words are the runs of letters and digits, where the default parser of postgres
+  also recognizes emails, URLs, hyphenated words and the like.
+*/
+
+// The stop words of the english configuration, from the snowball english.stop list shipped with postgres
+var englishStopWords = _.zipObject(('i me my myself we our ours ourselves you your yours yourself yourselves he him his ' +
+  'himself she her hers herself it its itself they them their theirs themselves what which who whom this that these ' +
+  'those am is are was were be been being have has had having do does did doing a an the and but if or because as ' +
+  'until while of at by for with about against between into through during before after above below to from up down ' +
+  'in out on off over under again further then once here there when where why how all any both each few more most ' +
+  'other some such no nor not only own same so than too very s t can will just don should now').split(' '), []);
+
+var wordRegex = /[a-z0-9\u00c0-\u024f]+/gi;
+
+/*
+  The snowball english stemmer (porter2), which the english_stem dictionary of postgres implements.
+*/
+var vowels = 'aeiouy'
+  , doubles = ['bb', 'dd', 'ff', 'gg', 'mm', 'nn', 'pp', 'rr', 'tt']
+  , liEndings = 'cdeghkmnrt';
+
+var exceptionalWords = {
+  skis: 'ski', skies: 'sky', dying: 'die', lying: 'lie', tying: 'tie', idly: 'idl', gently: 'gentl', ugly: 'ugli',
+  early: 'earli', only: 'onli', singly: 'singl', sky: 'sky', news: 'news', howe: 'howe', atlas: 'atlas',
+  cosmos: 'cosmos', bias: 'bias', andes: 'andes'
+};
+
+var exceptionalStep1aWords = ['inning', 'outing', 'canning', 'herring', 'earring', 'proceed', 'exceed', 'succeed'];
+
+var step2Suffixes = {
+  ization: 'ize', ational: 'ate', fulness: 'ful', ousness: 'ous', iveness: 'ive', tional: 'tion', biliti: 'ble',
+  lessli: 'less', entli: 'ent', ation: 'ate', alism: 'al', aliti: 'al', ousli: 'ous', iviti: 'ive', fulli: 'ful',
+  enci: 'ence', anci: 'ance', abli: 'able', izer: 'ize', ator: 'ate', alli: 'al', bli: 'ble', ogi: 'og', li: ''
+};
+
+var step3Suffixes = {
+  ational: 'ate', tional: 'tion', alize: 'al', icate: 'ic', iciti: 'ic', ative: '', ical: 'ic', ness: '', ful: ''
+};
+
+var step4Suffixes = ['ement', 'ance', 'ence', 'able', 'ible', 'ment', 'ant', 'ent', 'ism', 'ate', 'iti', 'ous', 'ive',
+  'ize', 'ion', 'al', 'er', 'ic'];
+
+function isVowel (word, index) {
+  return vowels.indexOf(word[index]) !== -1;
+}
+
+// The start of the region after the first non-vowel following a vowel, from `from`
+function regionStart (word, from) {
+  for (var i = from + 1; i < word.length; i++) {
+    if (!isVowel(word, i) && isVowel(word, i - 1)) {
+      return i + 1;
+    }
+  }
+  return word.length;
+}
+
+function endsWithShortSyllable (word) {
+  var length = word.length;
+
+  if (length === 2) {
+    return isVowel(word, 0) && !isVowel(word, 1);
+  }
+  return length > 2 && !isVowel(word, length - 3) && isVowel(word, length - 2) && !isVowel(word, length - 1) &&
+    'wxY'.indexOf(word[length - 1]) === -1;
+}
+
+function longestSuffix (word, suffixes) {
+  return _.maxBy(suffixes.filter(function (suffix) {
+    return _.endsWith(word, suffix);
+  }), 'length');
+}
+
+function stem (word) {
+  var r1
+    , r2
+    , suffix
+    , preceding;
+
+  if (word.length <= 2) {
+    return word;
+  }
+  if (exceptionalWords.hasOwnProperty(word)) {
+    return exceptionalWords[word];
+  }
+
+  word = word.replace(/^'/, '').replace(/^y/, 'Y').replace(/([aeiouy])y/g, '$1Y');
+
+  if (/^(gener|commun|arsen)/.test(word)) {
+    r1 = word.match(/^(gener|commun|arsen)/)[0].length;
+  } else {
+    r1 = regionStart(word, 0);
+  }
+  r2 = regionStart(word, r1);
+
+  // Step 0
+  word = word.replace(/'(s'?)?$/, '');
+
+  // Step 1a
+  suffix = longestSuffix(word, ['sses', 'ied', 'ies', 'us', 'ss', 's']);
+  if (suffix === 'sses') {
+    word = word.slice(0, -2);
+  } else if (suffix === 'ied' || suffix === 'ies') {
+    word = word.slice(0, -3) + (word.length > 4 ? 'i' : 'ie');
+  } else if (suffix === 's' && /[aeiouy]./.test(word.slice(0, -1))) {
+    word = word.slice(0, -1);
+  }
+
+  if (exceptionalStep1aWords.indexOf(word) !== -1) {
+    return word;
+  }
+
+  // Step 1b
+  suffix = longestSuffix(word, ['eedly', 'ingly', 'edly', 'eed', 'ing', 'ed']);
+  if (suffix === 'eed' || suffix === 'eedly') {
+    if (word.length - suffix.length >= r1) {
+      word = word.slice(0, -suffix.length) + 'ee';
+    }
+  } else if (suffix) {
+    preceding = word.slice(0, -suffix.length);
+
+    if (/[aeiouy]/.test(preceding)) {
+      word = preceding;
+
+      if (/(at|bl|iz)$/.test(word)) {
+        word += 'e';
+      } else if (doubles.indexOf(word.slice(-2)) !== -1) {
+        word = word.slice(0, -1);
+      } else if (r1 >= word.length && endsWithShortSyllable(word)) {
+        word += 'e';
+      }
+    }
+  }
+
+  // Step 1c
+  if (word.length > 2 && /[yY]$/.test(word) && !isVowel(word, word.length - 2)) {
+    word = word.slice(0, -1) + 'i';
+  }
+
+  // Step 2
+  suffix = longestSuffix(word, Object.keys(step2Suffixes));
+  if (suffix && word.length - suffix.length >= r1) {
+    preceding = word.slice(0, -suffix.length);
+
+    if (suffix === 'ogi') {
+      word = _.endsWith(preceding, 'l') ? preceding + 'og' : word;
+    } else if (suffix === 'li') {
+      word = liEndings.indexOf(_.last(preceding)) !== -1 ? preceding : word;
+    } else {
+      word = preceding + step2Suffixes[suffix];
+    }
+  }
+
+  // Step 3
+  suffix = longestSuffix(word, Object.keys(step3Suffixes));
+  if (suffix && word.length - suffix.length >= r1 && (suffix !== 'ative' || word.length - suffix.length >= r2)) {
+    word = word.slice(0, -suffix.length) + step3Suffixes[suffix];
+  }
+
+  // Step 4
+  suffix = longestSuffix(word, step4Suffixes);
+  if (suffix && word.length - suffix.length >= r2 && (suffix !== 'ion' || /[st]$/.test(word.slice(0, -3)))) {
+    word = word.slice(0, -suffix.length);
+  }
+
+  // Step 5
+  if (_.endsWith(word, 'e')) {
+    if (word.length - 1 >= r2 || word.length - 1 >= r1 && !endsWithShortSyllable(word.slice(0, -1))) {
+      word = word.slice(0, -1);
+    }
+  } else if (_.endsWith(word, 'll') && word.length - 1 >= r2) {
+    word = word.slice(0, -1);
+  }
+
+  return word.replace(/Y/g, 'y');
+}
+
+var configurations = {
+  simple: function (word) {
+    return word;
+  },
+  english: function (word) {
+    return englishStopWords.hasOwnProperty(word) ? null : stem(word);
+  }
+};
+
+function normalizer (config) {
+  var name = (config || 'english').replace(/^pg_catalog\./, '');
+
+  if (!configurations.hasOwnProperty(name)) {
+    throw new Error('The ' + config + ' text search configuration can not be matched in memory, only simple and english can');
+  }
+  return configurations[name];
+}
+
+/*
+  Splits a text into words, and normalizes each one into a lexeme, or into null for a stop word. A stop word keeps its
+  position, as it does in postgres.
+*/
+function tokenize (text, config) {
+  var normalize = normalizer(config);
+
+  return (String(text).match(wordRegex) || []).map(function (word, index) {
+    return { lexeme: normalize(word.toLowerCase()), position: index + 1 };
+  });
+}
+
+// A vector maps every lexeme to its positions, each with a weight
+function toVector (text, config, weight) {
+  var vector = {};
+
+  tokenize(text, config).forEach(function (token) {
+    if (token.lexeme !== null) {
+      (vector[token.lexeme] = vector[token.lexeme] || []).push({ position: token.position, weight: weight || 'D' });
+    }
+  });
+
+  return vector;
+}
+
+// Appends a vector to another, shifting its positions after the last one of the first as || does
+function concatVectors (left, right) {
+  var offset = _.max(_.flatMap(left, function (positions) {
+    return _.map(positions, 'position');
+  })) || 0;
+
+  _.forOwn(right, function (positions, lexeme) {
+    left[lexeme] = (left[lexeme] || []).concat(positions.map(function (position) {
+      return { position: position.position + offset, weight: position.weight };
+    }));
+  });
+
+  return left;
+}
+
+// Reads a TSVECTOR value, an array of lexemes as strings or as { lexeme, positions } objects
+function fromLexemes (lexemes) {
+  var vector = {};
+
+  lexemes.forEach(function (lexeme) {
+    if (_.isString(lexeme)) {
+      lexeme = { lexeme: lexeme };
+    }
+
+    vector[lexeme.lexeme] = (lexeme.positions || []).map(function (position) {
+      return _.isPlainObject(position) ?
+        { position: position.position, weight: (position.weight || lexeme.weight || 'D').toUpperCase() } :
+        { position: position, weight: (lexeme.weight || 'D').toUpperCase() };
+    });
+  });
+
+  return vector;
+}
+
+/*
+  Query nodes are lexemes ({ type: 'lexeme', lexeme, prefix, weights }), and, or, not and phrase operators. A lexeme
+  normalized away as a stop word leaves the operator it is in, and widens the distance of a phrase. While a phrase is
+  being built, a pad node carries the distance of the stop words at its end.
+*/
+function unpad (node) {
+  return node && node.type === 'pad' ? node.operand : node;
+}
+
+function booleanNode (type, left, right) {
+  left = unpad(left);
+  right = unpad(right);
+
+  if (!left || !right) {
+    return left || right;
+  }
+  return { type: type, left: left, right: right };
+}
+
+function notNode (operand) {
+  operand = unpad(operand);
+  return operand ? { type: 'not', operand: operand } : null;
+}
+
+function phraseNode (left, right, distance) {
+  if (left && left.type === 'pad') {
+    distance += left.distance;
+    left = left.operand;
+  }
+  right = unpad(right);
+
+  if (!right) {
+    return left ? { type: 'pad', operand: left, distance: distance } : null;
+  }
+  if (!left) {
+    return right;
+  }
+  return { type: 'phrase', left: left, right: right, distance: distance };
+}
+
+// Chains the words of a text into a phrase, as a quoted operand of to_tsquery and phraseto_tsquery do
+function phraseOf (text, config, prefix, weights) {
+  var tokens = tokenize(text, config)
+    , node = null
+    , previous = 0;
+
+  tokens.forEach(function (token) {
+    if (token.lexeme === null) {
+      return;
+    }
+
+    var lexeme = { type: 'lexeme', lexeme: token.lexeme, prefix: !!prefix, weights: weights || [] };
+    node = node ? phraseNode(node, lexeme, token.position - previous) : lexeme;
+    previous = token.position;
+  });
+
+  return node;
+}
+
+// Reads the syntax of to_tsquery: operands with :* and weights, &, |, !, <-> and <N>, and parentheses
+function parseTsquery (text, config) {
+  var tokenRegex = /\s*(?:(\()|(\))|(&)|(\|)|(!)|<(-|\d+)>|'((?:[^'\\]|''|\\.)*)'|([^\s&|!()<>:']+))(?::(\*)?([a-d]*))?/gi
+    , tokens = []
+    , match
+    , index = 0;
+
+  while (index < text.length && !/^\s*$/.test(text.slice(index))) {
+    tokenRegex.lastIndex = index;
+    match = tokenRegex.exec(text);
+
+    if (!match || match.index !== index) {
+      throw new Error('Syntax error in tsquery: ' + util.inspect(text));
+    }
+    index = tokenRegex.lastIndex;
+
+    if (match[7] !== undefined || match[8] !== undefined) {
+      tokens.push({
+        operand: match[7] !== undefined ? match[7].replace(/''|\\(.)/g, function (quote, escaped) {
+          return escaped === undefined ? "'" : escaped;
+        }) : match[8],
+        prefix: !!match[9],
+        weights: match[10] ? match[10].toUpperCase().split('') : []
+      });
+    } else {
+      tokens.push({
+        operator: match[1] || match[2] || match[3] || match[4] || match[5] || '<>',
+        distance: match[6] === '-' ? 1 : parseInt(match[6], 10)
+      });
+    }
+  }
+
+  var position = 0;
+
+  var peek = function (operator) {
+    return tokens[position] && tokens[position].operator === operator;
+  };
+
+  var parseOr, parseUnary;
+
+  var parsePhrase = function () {
+    var node = parseUnary()
+      , distance;
+
+    while (peek('<>')) {
+      distance = tokens[position++].distance;
+      node = phraseNode(node, parseUnary(), distance);
+    }
+    return unpad(node);
+  };
+
+  var parseAnd = function () {
+    var node = parsePhrase();
+
+    while (peek('&')) {
+      position++;
+      node = booleanNode('and', node, parsePhrase());
+    }
+    return node;
+  };
+
+  parseOr = function () {
+    var node = parseAnd();
+
+    while (peek('|')) {
+      position++;
+      node = booleanNode('or', node, parseAnd());
+    }
+    return node;
+  };
+
+  parseUnary = function () {
+    var token = tokens[position++]
+      , node;
+
+    if (!token) {
+      throw new Error('Syntax error in tsquery: ' + util.inspect(text));
+    }
+    if (token.operator === '!') {
+      return notNode(parseUnary());
+    }
+    if (token.operator === '(') {
+      node = parseOr();
+      if (!peek(')')) {
+        throw new Error('Syntax error in tsquery: ' + util.inspect(text));
+      }
+      position++;
+      return node;
+    }
+    if (token.operand === undefined) {
+      throw new Error('Syntax error in tsquery: ' + util.inspect(text));
+    }
+    return phraseOf(token.operand, config, token.prefix, token.weights);
+  };
+
+  var node = tokens.length ? parseOr() : null;
+
+  if (position < tokens.length) {
+    throw new Error('Syntax error in tsquery: ' + util.inspect(text));
+  }
+  return node;
+}
+
+// Reads the syntax of websearch_to_tsquery: "quoted phrases", or, and -negated words
+function parseWebsearch (text, config) {
+  var groups = [[]];
+
+  (text.match(/-?"[^"]*"?|\S+/g) || []).forEach(function (term) {
+    var negated = term[0] === '-'
+      , node;
+
+    if (term.toLowerCase() === 'or') {
+      groups.push([]);
+      return;
+    }
+    term = negated ? term.slice(1) : term;
+    node = phraseOf(term.replace(/"/g, ' '), config);
+
+    _.last(groups).push(negated ? notNode(node) : node);
+  });
+
+  return groups.map(function (group) {
+    return group.reduce(function (left, right) {
+      return booleanNode('and', left, right);
+    }, null);
+  }).reduce(function (left, right) {
+    return booleanNode('or', left, right);
+  }, null);
+}
+
+var parsers = {
+  tsquery: parseTsquery,
+  plain: function (text, config) {
+    return tokenize(text, config).reduce(function (node, token) {
+      return token.lexeme === null ? node : booleanNode('and', node, { type: 'lexeme', lexeme: token.lexeme, prefix: false, weights: [] });
+    }, null);
+  },
+  phrase: function (text, config) {
+    return phraseOf(text, config);
+  },
+  websearch: parseWebsearch
+};
+
+// The value of a $ftspg condition, read as whereItemQuery does
+function parseCondition (value, model) {
+  var search = _.isPlainObject(value) ? value : { query: value }
+    , config = search.config || _.get(model, 'options.textSearch.config')
+    , parser = search.parser
+    , query = search.query;
+
+  if (query instanceof TSQuery.ABSTRACT) {
+    parser = 'tsquery';
+    query = query.toString();
+  }
+  parser = parser || _.get(model, 'options.textSearch.parser') || 'tsquery';
+
+  if (!parsers.hasOwnProperty(parser)) {
+    throw new Error('Unknown text search parser "' + parser + '", expected one of: ' + Object.keys(parsers).join(', '));
+  }
+
+  return parsers[parser](String(query), config);
+}
+
+function entries (node, vector) {
+  var lexemes = node.prefix ? Object.keys(vector).filter(function (lexeme) {
+    return _.startsWith(lexeme, node.lexeme);
+  }) : vector.hasOwnProperty(node.lexeme) ? [node.lexeme] : [];
+
+  return _.flatMap(lexemes, function (lexeme) {
+    // A lexeme without positions, as in a stripped tsvector, still matches outside of phrases
+    return vector[lexeme].length ? vector[lexeme] : [{ position: null, weight: 'D' }];
+  }).filter(function (entry) {
+    return !node.weights.length || node.weights.indexOf(entry.weight) !== -1;
+  });
+}
+
+// The positions a node matches at, the ones of its last lexeme for a phrase
+function positions (node, vector) {
+  var left
+    , right;
+
+  switch (node.type) {
+    case 'lexeme':
+      return _.compact(_.map(entries(node, vector), 'position'));
+    case 'or':
+      return _.union(positions(node.left, vector), positions(node.right, vector));
+    case 'and':
+      left = positions(node.left, vector);
+      right = positions(node.right, vector);
+      return left.length && right.length ? _.union(left, right) : [];
+    case 'phrase':
+      left = positions(node.left, vector);
+      return positions(node.right, vector).filter(function (position) {
+        return left.indexOf(position - node.distance) !== -1;
+      });
+    default:
+      throw new Error('A negation inside a phrase can not be matched in memory');
+  }
+}
+
+function evaluate (node, vector) {
+  switch (node.type) {
+    case 'lexeme':
+      return entries(node, vector).length > 0;
+    case 'and':
+      return evaluate(node.left, vector) && evaluate(node.right, vector);
+    case 'or':
+      return evaluate(node.left, vector) || evaluate(node.right, vector);
+    case 'not':
+      return !evaluate(node.operand, vector);
+    default:
+      return positions(node, vector).length > 0;
+  }
+}
+
+function getValue (record, key) {
+  return _.isFunction(record.get) ? record.get(key) : record[key];
+}
+
+// The vector searched by a condition on an attribute: a TSVECTOR value, the texts of its searchSource, or a text
+function documentVector (record, key) {
+  var model = record.Model
+    , attribute = model && model.rawAttributes[key]
+    , config = attribute && attribute.config || _.get(model, 'options.textSearch.config')
+    , value = getValue(record, key)
+    , sources;
+
+  if (Array.isArray(value)) {
+    return fromLexemes(value);
+  }
+
+  if (attribute && attribute.searchSource) {
+    sources = Array.isArray(attribute.searchSource) ? _.zipObject(attribute.searchSource, []) : attribute.searchSource;
+
+    return _.reduce(sources, function (vector, weight, source) {
+      var text = getValue(record, source);
+      return concatVectors(vector, toVector(text === null || text === undefined ? '' : text, config, weight ? String(weight).toUpperCase() : 'D'));
+    }, {});
+  }
+
+  return value === null || value === undefined ? null : toVector(value, config);
+}
+
+function matchesWhere (record, where) {
+  if (Array.isArray(where)) {
+    return where.every(function (item) {
+      return matchesWhere(record, item);
+    });
+  }
+  if (!_.isPlainObject(where)) {
+    throw new Error('Only $ftspg conditions can be matched in memory, got ' + util.inspect(where));
+  }
+
+  return _.every(where, function (value, key) {
+    var vector
+      , query;
+
+    if (key === '$and') {
+      return matchesWhere(record, value);
+    }
+    if (key === '$or') {
+      return _.some(Array.isArray(value) ? value : _.map(value, function (item, itemKey) {
+        return _.set({}, [itemKey], item);
+      }), function (item) {
+        return matchesWhere(record, item);
+      });
+    }
+    if (key === '$not') {
+      return !matchesWhere(record, value);
+    }
+    if (!_.isPlainObject(value) || _.size(value) !== 1 || !value.hasOwnProperty('$ftspg')) {
+      throw new Error('Only $ftspg conditions can be matched in memory, got ' + key + ': ' + util.inspect(value));
+    }
+
+    vector = documentVector(record, key);
+    query = parseCondition(value.$ftspg, record.Model);
+
+    // An empty tsquery, such as one made only of stop words, matches nothing, and neither does a null document
+    return !!vector && !!query && evaluate(query, vector);
+  });
+}
+
+module.exports = {
+  matches: matchesWhere,
+  stem: stem,
+  toVector: toVector,
+  parseTsquery: parseTsquery
+};
@@ -0,0 +1,167 @@
+'use strict';
+
+var _ = require('lodash')
+  , Promise = require('./promise')
+  , QueryTypes = require('./query-types')
+  , matcher = require('./text-search-matcher')
+  , tsvector = require('./dialects/postgres/tsvector');
+
+/**
+ * Shows how postgres reads texts and full-text searches, to find out why a search does not match. Available as
+ * `sequelize.textSearch`, and only supported by postgres, except for `matches` which runs in memory and is available
+ * as `Sequelize.textSearch.matches` as well.
+ *
+ * @class TextSearch
+ */
+function TextSearch(sequelize) {
+  this.sequelize = sequelize;
+}
+
+// Collects the $ftspg conditions of a where object, at any depth of $and, $or and $not
+var findTextSearchConditions = function(where, conditions) {
+  conditions = conditions || [];
+
+  if (Array.isArray(where)) {
+    where.forEach(function(item) {
+      findTextSearchConditions(item, conditions);
+    });
+  } else if (_.isPlainObject(where)) {
+    _.forOwn(where, function(value, key) {
+      if (key === '$and' || key === '$or' || key === '$not') {
+        findTextSearchConditions(value, conditions);
+      } else if (_.isPlainObject(value) && value.hasOwnProperty('$ftspg')) {
+        conditions.push({ key: key, query: value.$ftspg });
+      }
+    });
+  }
+
+  return conditions;
+};
+
+/**
+ * Splits a text into tokens and normalizes them into lexemes the way a text search configuration does, through
+ * `ts_debug` and `to_tsvector`.
+ *
+ * ```js
+ * sequelize.textSearch.debug('The cats', { config: 'english' }).then(function(result) {
+ *   // result.tokens: [
+ *   //   { alias: 'asciiword', description: 'Word, all ASCII', token: 'The', dictionaries: ['english_stem'], dictionary: 'english_stem', lexemes: [] },
+ *   //   { alias: 'blank', description: 'Space symbols', token: ' ', dictionaries: [], dictionary: null, lexemes: null },
+ *   //   { alias: 'asciiword', description: 'Word, all ASCII', token: 'cats', dictionaries: ['english_stem'], dictionary: 'english_stem', lexemes: ['cat'] }
+ *   // ]
+ *   // result.vector: [{ lexeme: 'cat', positions: [{ position: 2, weight: 'D' }] }]
+ * });
+ * ```
+ *
+ * A token with an empty array of lexemes was recognized as a stop word, and one with null lexemes was not
+ * recognized by any dictionary.
+ *
+ * @param {String}      text
+ * @param {Object}      [options] Query options, such as `transaction` and `logging`
+ * @param {String}      [options.config] The text search configuration. Defaults to the `default_text_search_config` of the database
+ * @return {Promise<Object>}
+ */
+TextSearch.prototype.debug = function(text, options) {
+  var self = this
+    , QueryGenerator = this.sequelize.getQueryInterface().QueryGenerator
+    , config = options && options.config
+    , result = {};
+
+  options = _.assign(_.omit(options, 'config'), { raw: true, type: QueryTypes.SELECT });
+
+  return Promise.try(function() {
+    return self.sequelize.query(QueryGenerator.textSearchDebugQuery(text, config), _.assign({}, options, { plain: false }));
+  }).then(function(tokens) {
+    result.tokens = tokens;
+    return self.sequelize.query(QueryGenerator.textSearchVectorQuery(text, config), _.assign({}, options, { plain: true }));
+  }).then(function(row) {
+    result.vector = row.vector;
+    return result;
+  });
+};
+
+/**
+ * Normalizes a search into the tsquery `$ftspg` would match against, with its lexemes listed.
+ *
+ * ```js
+ * sequelize.textSearch.parseQuery('The cats & dog:*', { config: 'english' }).then(function(result) {
+ *   // result.query: "'cat' & 'dog':*"
+ *   // result.lexemes: [{ lexeme: 'cat', prefix: false, weights: [] }, { lexeme: 'dog', prefix: true, weights: [] }]
+ *   // result.indexed: "'cat' & 'dog':*", the part of the query an index can be used for
+ *   // result.nodes: 3
+ * });
+ * ```
+ *
+ * @param {String|Object} value The search, in the same form as the value of `$ftspg`
+ * @param {Object}        [options] Query options, such as `transaction` and `logging`
+ * @param {String}        [options.config] The text search configuration, unless given by the value
+ * @param {String}        [options.parser='tsquery'] The parser of the search, unless given by the value
+ * @return {Promise<Object>}
+ */
+TextSearch.prototype.parseQuery = function(value, options) {
+  var QueryGenerator = this.sequelize.getQueryInterface().QueryGenerator
+    , search = _.isPlainObject(value) ? value : { query: value }
+    , self = this;
+
+  options = options || {};
+  search = _.defaults({}, search, _.pick(options, ['config', 'parser']));
+
+  return Promise.try(function() {
+    return self.sequelize.query(
+      QueryGenerator.textSearchParseQuery(search, { model: options.model }),
+      _.assign(_.omit(options, ['config', 'parser', 'model']), { plain: true, raw: true, type: QueryTypes.SELECT })
+    );
+  }).then(function(row) {
+    return {
+      query: row.query,
+      lexemes: tsvector.parseQuery(row.query),
+      indexed: row.indexed,
+      nodes: row.nodes
+    };
+  });
+};
+
+/*
+  Logs the tsquery postgres makes of each $ftspg condition of a where object, for the logTextSearch option of
+  find and count. The queries normalizing them are not logged themselves.
+*/
+TextSearch.prototype.logConditions = function(where, model, options) {
+  var self = this;
+
+  return Promise.each(findTextSearchConditions(where), function(condition) {
+    return self.parseQuery(condition.query, {
+      model: model,
+      transaction: options.transaction,
+      logging: false
+    }).then(function(result) {
+      self.sequelize.log('Text search on ' + condition.key + ': ' + result.query, _.pick(options, 'logging'));
+    });
+  });
+};
+
+/**
+ * Tells whether a record matches the `$ftspg` conditions of a where object, without a database, e.g. in hooks, caches
+ * and test doubles. The conditions can be combined with `$and`, `$or` and `$not`.
+ *
+ * ```js
+ * var post = Post.build({ title: 'Cats and dogs', body: 'Where the black cats sleep' });
+ *
+ * Sequelize.textSearch.matches(post, { body: { $ftspg: 'black <-> cat' } }); // true
+ * Sequelize.textSearch.matches(post, { body: { $ftspg: { query: 'sleeping dog', parser: 'plain' } } }); // false
+ * ```
+ *
+ * The texts and searches are normalized in memory, with the `simple` or the `english` configuration: words are the runs of
+ * letters and digits, english stop words are left out and the remaining words are stemmed with the snowball english
+ * stemmer, as `english_stem` does. The operators of tsquery (`&`, `|`, `!`, `<->`, `<N>`, `:*` prefixes and weights) and
+ * every parser of `$ftspg` are supported. The condition is matched against a `TSVECTOR` value read from the database
+ * as it is, against the `searchSource` attributes of a `TSVECTOR` attribute without a value, or against a text attribute.
+ *
+ * @param {Instance|Object} record An instance, or a plain object of attribute values
+ * @param {Object}          where  The conditions, only `$ftspg` ones
+ * @return {Boolean}
+ */
+TextSearch.matches = TextSearch.prototype.matches = function(record, where) {
+  return matcher.matches(record, where);
+};
+
+module.exports = TextSearch;
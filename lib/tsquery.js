@@ -0,0 +1,156 @@
+'use strict';
+
+/* jshint -W110 */
+var util = require('util')
+  , _ = require('lodash');
+
+/**
+ * A builder for the tsquery searched by `$ftspg`, for queries made of user input. Every lexeme is quoted, so that
+ * characters such as `:`, `!`, `&`, `|`, `(` and `*` are searched for instead of being read as tsquery operators.
+ *
+ * ```js
+ * var tsquery = Sequelize.tsquery;
+ *
+ * Post.findAll({
+ *   where: {
+ *     searchVector: {
+ *       $ftspg: tsquery.and('cats!', tsquery.prefix('super'), tsquery.not('spam'))
+ *     }
+ *   }
+ * });
+ * // WHERE "searchVector" @@ to_tsquery('''cats!'' & ''super'':* & !''spam''')
+ * ```
+ *
+ * Lexemes are given as strings, and every function also accepts the tsqueries built by the others. The tsquery is
+ * always read by `to_tsquery`, and is passed as a bind parameter when the query has `bind` set.
+ *
+ * @return {object}
+ */
+module.exports = {
+  ABSTRACT: ABSTRACT,
+  and: and,
+  or: or,
+  not: not,
+  prefix: prefix,
+  phrase: phrase
+};
+
+function ABSTRACT () {}
+
+ABSTRACT.prototype.toString = function () {
+  return this.toTsquery();
+};
+
+// Operators are parenthesized inside other operators, so that the precedence of tsquery does not matter
+ABSTRACT.prototype.toOperand = function () {
+  return this.toTsquery();
+};
+
+function LEXEME (value, isPrefix) {
+  if (!_.isString(value) || !value.length) {
+    throw new Error('tsquery lexemes must be non empty strings, got ' + util.inspect(value));
+  }
+
+  this.value = value;
+  this.isPrefix = isPrefix;
+}
+util.inherits(LEXEME, ABSTRACT);
+
+LEXEME.prototype.toTsquery = function () {
+  // Quotes and backslashes are doubled inside a quoted lexeme
+  return "'" + this.value.replace(/\\/g, '\\\\').replace(/'/g, "''") + "'" + (this.isPrefix ? ':*' : '');
+};
+
+function OPERATOR (operator, operands) {
+  this.operator = operator;
+  this.operands = operands.map(function (operand) {
+    return operand instanceof ABSTRACT ? operand : new LEXEME(operand);
+  });
+}
+util.inherits(OPERATOR, ABSTRACT);
+
+OPERATOR.prototype.toTsquery = function () {
+  return _.invokeMap(this.operands, 'toOperand').join(' ' + this.operator + ' ');
+};
+
+OPERATOR.prototype.toOperand = function () {
+  return '(' + this.toTsquery() + ')';
+};
+
+function NOT (operand) {
+  this.operand = operand instanceof ABSTRACT ? operand : new LEXEME(operand);
+}
+util.inherits(NOT, ABSTRACT);
+
+NOT.prototype.toTsquery = function () {
+  return '!' + this.operand.toOperand();
+};
+
+var operator = function (name, symbol, operands) {
+  if (!operands.length) {
+    throw new Error('tsquery.' + name + ' requires at least one operand');
+  }
+  if (operands.length === 1) {
+    return operands[0] instanceof ABSTRACT ? operands[0] : new LEXEME(operands[0]);
+  }
+  return new OPERATOR(symbol, operands);
+};
+
+/**
+ * Matches when all of the operands match (`&`)
+ *
+ * @param {...String|Object} operands
+ * @property and
+ */
+function and () {
+  return operator('and', '&', _.toArray(arguments));
+}
+
+/**
+ * Matches when any of the operands match (`|`)
+ *
+ * @param {...String|Object} operands
+ * @property or
+ */
+function or () {
+  return operator('or', '|', _.toArray(arguments));
+}
+
+/**
+ * Matches when the operand does not (`!`)
+ *
+ * @param {String|Object} operand
+ * @property not
+ */
+function not (operand) {
+  return new NOT(operand);
+}
+
+/**
+ * Matches the words starting with a lexeme (`:*`)
+ *
+ * @param {String} lexeme
+ * @property prefix
+ */
+function prefix (lexeme) {
+  return new LEXEME(lexeme, true);
+}
+
+/**
+ * Matches when the operands follow each other (`<->`). Pass `{ distance: n }` as the last argument to match
+ * operands that are exactly n words apart instead (`<n>`).
+ *
+ * @param {...String|Object} operands
+ * @property phrase
+ */
+function phrase () {
+  var operands = _.toArray(arguments)
+    , options = _.isPlainObject(_.last(operands)) ? operands.pop() : {}
+    , distance = options.distance === undefined ? 1 : options.distance;
+
+  if (!_.isInteger(distance) || distance < 0) {
+    throw new Error('tsquery.phrase distance must be a non negative integer, got ' + distance);
+  }
+
+  return operator('phrase', distance === 1 ? '<->' : '<' + distance + '>', operands);
+}
@@ -3,6 +3,7 @@
 /* jshint -W110 */
 var Support = require(__dirname + '/../../support')
   , expectsql = Support.expectsql
+  , expect = require('chai').expect
   , current = Support.sequelize
   , QueryGenerator = require('../../../../lib/dialects/mssql/query-generator')
   , _ = require('lodash');
@@ -24,6 +25,57 @@ if (current.dialect.name === 'mssql') {
       });
     });
 
+    test('createFullTextCatalogQuery', function () {
+      expectsql(QueryGenerator.createFullTextCatalogQuery('ftCatalog'), {
+        mssql: 'CREATE FULLTEXT CATALOG [ftCatalog];'
+      });
+
+      expectsql(QueryGenerator.createFullTextCatalogQuery('ftCatalog', { default: true }), {
+        mssql: 'CREATE FULLTEXT CATALOG [ftCatalog] AS DEFAULT;'
+      });
+    });
+
+    test('dropFullTextCatalogQuery', function () {
+      expectsql(QueryGenerator.dropFullTextCatalogQuery('ftCatalog'), {
+        mssql: 'DROP FULLTEXT CATALOG [ftCatalog];'
+      });
+    });
+
+    test('getPrimaryKeyIndexQuery', function () {
+      expectsql(QueryGenerator.getPrimaryKeyIndexQuery({tableName: 'myTable', schema: 'mySchema'}), {
+        mssql: "SELECT name FROM sys.indexes WHERE object_id = OBJECT_ID('[mySchema].[myTable]', 'U') AND is_primary_key = 1;"
+      });
+    });
+
+    test('createFullTextIndexQuery', function () {
+      expectsql(QueryGenerator.createFullTextIndexQuery('myTable', ['title', 'body'], { keyIndex: 'PK_myTable' }), {
+        mssql: 'CREATE FULLTEXT INDEX ON [myTable] ([title], [body]) KEY INDEX [PK_myTable];'
+      });
+
+      expectsql(QueryGenerator.createFullTextIndexQuery('myTable', ['title', { name: 'body', language: 1031 }], {
+        keyIndex: 'PK_myTable',
+        catalog: 'ftCatalog',
+        changeTracking: 'off, no population',
+        language: 'English'
+      }), {
+        mssql: "CREATE FULLTEXT INDEX ON [myTable] ([title] LANGUAGE 'English', [body] LANGUAGE 1031) KEY INDEX [PK_myTable] ON [ftCatalog] WITH CHANGE_TRACKING OFF, NO POPULATION;"
+      });
+
+      expect(function () {
+        QueryGenerator.createFullTextIndexQuery('myTable', ['title']);
+      }).to.throw('createFullTextIndexQuery requires the keyIndex option');
+
+      expect(function () {
+        QueryGenerator.createFullTextIndexQuery('myTable', ['title'], { keyIndex: 'PK_myTable', changeTracking: 'always' });
+      }).to.throw('Unknown change tracking "always", expected one of: auto, manual, off, off, no population');
+    });
+
+    test('dropFullTextIndexQuery', function () {
+      expectsql(QueryGenerator.dropFullTextIndexQuery({tableName: 'myTable', schema: 'mySchema'}), {
+        mssql: 'DROP FULLTEXT INDEX ON [mySchema].[myTable];'
+      });
+    });
+
     test('bulkInsertQuery', function() {
       //normal cases
       expectsql(QueryGenerator.bulkInsertQuery('myTable', [{ name: 'foo' }, {name: 'bar'}]), {
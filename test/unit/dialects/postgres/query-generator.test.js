@@ -892,6 +892,20 @@ if (dialect.match(/^postgres/)) {
         }
       ],
 
+      fromArray: [
+        {
+          arguments: ['{id,title,body}'],
+          expectation: ['id', 'title', 'body']
+        }, {
+          title: 'strips both quotes of a quoted last element',
+          arguments: ['{id,"Body"}'],
+          expectation: ['id', 'Body']
+        }, {
+          arguments: ['{"Id",title}'],
+          expectation: ['Id', 'title']
+        }
+      ],
+
       rollbackTransactionQuery: [
         {
           arguments: [{}],
@@ -0,0 +1,57 @@
+'use strict';
+
+/* jshint -W110 */
+var chai = require('chai')
+  , expect = chai.expect
+  , Support = require(__dirname + '/../../support')
+  , current = Support.sequelize
+  , dialect = Support.getTestDialect()
+  , Query = require('../../../../lib/dialects/postgres/query');
+
+if (dialect.match(/^postgres/)) {
+  describe('[POSTGRES Specific] Query', function() {
+    describe('handleShowIndexesQuery', function () {
+      var showIndexes = function (indkey, definition) {
+        current.getQueryInterface();
+
+        return Query.prototype.handleShowIndexesQuery.call({ sequelize: current }, [{
+          name: 'index',
+          primary: false,
+          unique: false,
+          indkey: indkey,
+          column_indexes: [1, 2, 3],
+          column_names: '{id,"Body",title}',
+          definition: definition
+        }])[0];
+      };
+
+      it('reports the columns with their options', function () {
+        var index = showIndexes('3 2', 'CREATE INDEX index ON public.posts USING btree (title COLLATE "en_US" DESC, "Body" varchar_pattern_ops)');
+
+        expect(index.using).to.equal('btree');
+        expect(index.fields).to.deep.equal([
+          { attribute: 'title', collate: 'en_US', order: 'DESC', length: undefined },
+          { attribute: 'Body', collate: undefined, order: undefined, length: undefined, operator: 'varchar_pattern_ops' }
+        ]);
+      });
+
+      it('reports expressions as written by postgres', function () {
+        var index = showIndexes('0 3', "CREATE INDEX index ON public.posts USING gist (((title || ', '::text) || \"Body\") gist_trgm_ops, title) WHERE (id > 1)");
+
+        expect(index.using).to.equal('gist');
+        expect(index.fields).to.deep.equal([
+          { expression: "((title || ', '::text) || \"Body\")", collate: undefined, order: undefined, length: undefined, operator: 'gist_trgm_ops' },
+          { attribute: 'title', collate: undefined, order: undefined, length: undefined }
+        ]);
+      });
+
+      it('reports function calls', function () {
+        var index = showIndexes('0', "CREATE INDEX index ON public.posts USING gin (to_tsvector('english'::regconfig, (title)::text))");
+
+        expect(index.fields).to.deep.equal([
+          { expression: "to_tsvector('english'::regconfig, (title)::text)", collate: undefined, order: undefined, length: undefined }
+        ]);
+      });
+    });
+  });
+}
@@ -0,0 +1,84 @@
+'use strict';
+
+/* jshint -W110 */
+var chai = require('chai')
+  , expect = chai.expect
+  , Support = require(__dirname + '/../../support')
+  , dialect = Support.getTestDialect()
+  , tsvector = require('../../../../lib/dialects/postgres/tsvector');
+
+if (dialect.match(/^postgres/)) {
+  describe('[POSTGRES Specific] tsvector', function() {
+    describe('stringify', function () {
+      it('should handle null', function () {
+        expect(tsvector.stringify(null)).to.equal(null);
+      });
+
+      it('should handle lexemes without positions', function () {
+        expect(tsvector.stringify(['cat', { lexeme: 'dog' }, { lexeme: 'rat', positions: [] }])).to.equal("'cat' 'dog' 'rat'");
+      });
+
+      it('should handle positions and weights', function () {
+        expect(tsvector.stringify([
+          { lexeme: 'cat', positions: [{ position: 3, weight: 'A' }, { position: 5, weight: 'D' }, 7] },
+          { lexeme: 'fat', positions: [2, { position: 4, weight: 'c' }], weight: 'B' }
+        ])).to.equal("'cat':3A,5,7 'fat':2B,4C");
+      });
+
+      it('should escape quotes and backslashes', function () {
+        expect(tsvector.stringify(["rat's", 'back\\slash'])).to.equal("'rat''s' 'back\\\\slash'");
+      });
+
+      it('should throw on invalid positions and weights', function () {
+        expect(function () {
+          tsvector.stringify([{ lexeme: 'cat', positions: [0] }]);
+        }).to.throw('tsvector positions must be positive integers, got 0');
+
+        expect(function () {
+          tsvector.stringify([{ lexeme: 'cat', positions: [1], weight: 'E' }]);
+        }).to.throw('tsvector weights must be one of A, B, C or D, got "E"');
+      });
+
+      it('should throw if the value is not an array', function () {
+        expect(function () {
+          tsvector.stringify({ lexeme: 'cat' });
+        }).to.throw('tsvector must be an array of lexemes');
+      });
+    });
+
+    describe('parse', function () {
+      it('should handle null', function () {
+        expect(tsvector.parse(null)).to.equal(null);
+      });
+
+      it('should handle an empty tsvector', function () {
+        expect(tsvector.parse('')).to.deep.equal([]);
+      });
+
+      it('should parse lexemes with positions and weights', function () {
+        expect(tsvector.parse("'cat':3A,5 'fat':2B 'rat'")).to.deep.equal([
+          { lexeme: 'cat', positions: [{ position: 3, weight: 'A' }, { position: 5, weight: 'D' }] },
+          { lexeme: 'fat', positions: [{ position: 2, weight: 'B' }] },
+          { lexeme: 'rat', positions: [] }
+        ]);
+      });
+
+      it('should unescape quotes and backslashes', function () {
+        expect(tsvector.parse("'rat''s':1 'back\\\\slash' 'a b'")).to.deep.equal([
+          { lexeme: "rat's", positions: [{ position: 1, weight: 'D' }] },
+          { lexeme: 'back\\slash', positions: [] },
+          { lexeme: 'a b', positions: [] }
+        ]);
+      });
+
+      it('should parse what it stringifies', function () {
+        var lexemes = [
+          { lexeme: "it's", positions: [{ position: 1, weight: 'A' }] },
+          { lexeme: 'dog', positions: [{ position: 2, weight: 'D' }, { position: 9, weight: 'C' }] }
+        ];
+
+        expect(tsvector.parse(tsvector.stringify(lexemes))).to.deep.equal(lexemes);
+      });
+    });
+  });
+}
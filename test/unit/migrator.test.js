@@ -0,0 +1,228 @@
+'use strict';
+
+/* jshint -W030, -W110 */
+var chai = require('chai')
+  , expect = chai.expect
+  , sinon = require('sinon')
+  , fs = require('fs')
+  , Path = require('path')
+  , Support = require(__dirname + '/support')
+  , Transaction = require(__dirname + '/../../lib/transaction')
+  , current = Support.sequelize
+  , Promise = current.Promise
+  , calls = [];
+
+// Called by the migrations written to the tmp folder
+module.exports.record = function(name, method, queryInterface, Sequelize, transaction) {
+  calls.push({ name: name, method: method, queryInterface: queryInterface, Sequelize: Sequelize, transaction: transaction });
+  return Promise.resolve();
+};
+
+describe(Support.getTestDialectTeaser('Migrator'), function() {
+  var path = Path.join(__dirname, '/../tmp/migrations-' + process.pid)
+    , files = ['20160101000000-create-users.js', '20160102000000-add-email.js', '20160103000000-add-index.js']
+    , executed = []
+    , locked = true
+    , lockTransaction
+    , transactions = []
+    , migrator;
+
+  before(function() {
+    fs.mkdirSync(path);
+    files.forEach(function(file) {
+      fs.writeFileSync(Path.join(path, file), [
+        'var calls = ' + JSON.stringify(Path.join(__dirname, 'migrator.test.js')) + ';',
+        'module.exports = {',
+        '  up: function(queryInterface, Sequelize, transaction) {',
+        '    return require(calls).record(' + JSON.stringify(file) + ", 'up', queryInterface, Sequelize, transaction);",
+        '  },',
+        '  down: function(queryInterface, Sequelize, transaction) {',
+        '    return require(calls).record(' + JSON.stringify(file) + ", 'down', queryInterface, Sequelize, transaction);",
+        '  }',
+        '};'
+      ].join('\n'));
+    });
+    fs.writeFileSync(Path.join(path, 'README.md'), 'Not a migration');
+
+    this.query = sinon.stub(current, 'query', function(sql) {
+      if (/locked/.test(sql)) {
+        return Promise.resolve({ locked: locked });
+      }
+      if (/^SELECT .name. FROM .SequelizeMeta./.test(sql)) {
+        return Promise.resolve(executed.map(function(name) {
+          return { name: name };
+        }));
+      }
+      return Promise.resolve([]);
+    });
+
+    this.transaction = sinon.stub(current, 'transaction', function(run) {
+      var transaction = new Transaction(current);
+      transaction.commit = sinon.spy(function() {
+        return Promise.resolve();
+      });
+
+      if (!run) {
+        lockTransaction = transaction;
+        return Promise.resolve(transaction);
+      }
+      transactions.push(transaction);
+      return run(transaction);
+    });
+  });
+
+  beforeEach(function() {
+    this.query.reset();
+    calls = [];
+    executed = [];
+    locked = true;
+    transactions = [];
+    migrator = current.migrator({ path: path, logging: false });
+  });
+
+  after(function() {
+    this.query.restore();
+    this.transaction.restore();
+    fs.readdirSync(path).forEach(function(file) {
+      fs.unlinkSync(Path.join(path, file));
+    });
+    fs.rmdirSync(path);
+  });
+
+  var queries = function(query) {
+    return query.args.map(function(args) {
+      return args[0];
+    });
+  };
+
+  it('lists the migration files the ledger does not record', function() {
+    executed = [files[0]];
+
+    return migrator.pending().bind(this).then(function(pending) {
+      expect(pending).to.deep.equal([files[1], files[2]]);
+      expect(this.query.getCall(0).args[0]).to.match(/^(CREATE TABLE IF NOT EXISTS|IF OBJECT_ID).*SequelizeMeta/);
+      expect(this.query.getCall(1).args[1]).to.include({ raw: true, logging: false });
+    });
+  });
+
+  it('applies the pending migrations in order and records them, while holding the lock', function() {
+    var supports = current.dialect.supports;
+    executed = [files[0]];
+
+    return migrator.up().bind(this).then(function(names) {
+      expect(names).to.deep.equal([files[1], files[2]]);
+      expect(calls.map(function(call) {
+        return call.name + ' ' + call.method;
+      })).to.deep.equal([files[1] + ' up', files[2] + ' up']);
+
+      expect(calls[0].queryInterface).to.equal(current.getQueryInterface());
+      expect(calls[0].Sequelize).to.equal(current.Sequelize);
+
+      var sql = queries(this.query)
+        , inserts = this.query.args.filter(function(args) {
+          return /^INSERT INTO/.test(args[0]);
+        });
+
+      expect(inserts).to.have.length(2);
+      expect(inserts[0][0]).to.contain("'" + files[1] + "'");
+
+      if (supports.ddlTransactions) {
+        expect(transactions).to.have.length(2);
+        expect(calls[0].transaction).to.equal(transactions[0]);
+        expect(inserts[0][1].transaction).to.equal(transactions[0]);
+      } else {
+        expect(calls[0].transaction).to.be.undefined;
+        expect(inserts[0][1].transaction).to.be.undefined;
+      }
+
+      if (supports.advisoryLocks) {
+        var QueryGenerator = current.dialect.QueryGenerator;
+
+        expect(sql[0]).to.equal(QueryGenerator.advisoryLockQuery('SequelizeMeta'));
+        expect(sql[sql.length - 1]).to.equal(QueryGenerator.advisoryUnlockQuery('SequelizeMeta'));
+        expect(this.query.getCall(0).args[1].transaction).to.equal(lockTransaction);
+        expect(lockTransaction.commit).to.have.been.calledOnce;
+      }
+    });
+  });
+
+  it('applies the migrations up to a given one', function() {
+    return migrator.up({ to: files[1] }).then(function(names) {
+      expect(names).to.deep.equal([files[0], files[1]]);
+    });
+  });
+
+  it('reverts the last migration, or all of them down to a given one', function() {
+    executed = [files[1], files[0]];
+
+    return migrator.down().bind(this).then(function(names) {
+      expect(names).to.deep.equal([files[1]]);
+      expect(calls[0].method).to.equal('down');
+      expect(queries(this.query).filter(function(sql) {
+        return /^DELETE FROM/.test(sql);
+      })[0]).to.contain("'" + files[1] + "'");
+
+      executed = files.slice();
+      return migrator.down({ to: 0 });
+    }).then(function(names) {
+      expect(names).to.deep.equal([files[2], files[1], files[0]]);
+
+      return migrator.down({ to: files[1] });
+    }).then(function(names) {
+      expect(names).to.deep.equal([files[2], files[1]]);
+    });
+  });
+
+  it('throws on unknown migrations', function() {
+    executed = ['20151231000000-removed.js'];
+
+    return Promise.all([
+      expect(migrator.up({ to: '20160104000000-unknown.js' })).to.be.rejectedWith('Unknown migration 20160104000000-unknown.js'),
+      expect(migrator.down({ to: files[0] })).to.be.rejectedWith('Migration ' + files[0] + ' has not been executed'),
+      expect(migrator.down()).to.be.rejectedWith('Migration 20151231000000-removed.js can not be reverted, its file is not in ' + path)
+    ]);
+  });
+
+  if (current.dialect.supports.advisoryLocks) {
+    it('locks the connection of the lock transaction', function() {
+      var QueryGenerator = current.dialect.QueryGenerator;
+
+      Support.expectsql(QueryGenerator.advisoryLockQuery('SequelizeMeta'), {
+        postgres: 'SELECT true AS "locked" FROM pg_advisory_lock(hashtext(\'SequelizeMeta\'));',
+        mysql: "SELECT GET_LOCK('SequelizeMeta', 31536000) = 1 AS `locked`;",
+        mssql: "DECLARE @result INT; EXEC @result = sp_getapplock @Resource = N'SequelizeMeta', @LockMode = 'Exclusive', @LockOwner = 'Session', @LockTimeout = -1; " +
+          'SELECT CASE WHEN @result >= 0 THEN 1 ELSE 0 END AS [locked];'
+      });
+      Support.expectsql(QueryGenerator.advisoryUnlockQuery('SequelizeMeta'), {
+        postgres: "SELECT pg_advisory_unlock(hashtext('SequelizeMeta'));",
+        mysql: "SELECT RELEASE_LOCK('SequelizeMeta');",
+        mssql: "EXEC sp_releaseapplock @Resource = N'SequelizeMeta', @LockOwner = 'Session';"
+      });
+    });
+
+    it('throws when the lock can not be taken', function() {
+      locked = 0;
+
+      return expect(migrator.up()).to.be.rejectedWith('Could not take the lock of the SequelizeMeta migrations').then(function() {
+        expect(calls).to.be.empty;
+        expect(lockTransaction.commit).to.have.been.calledOnce;
+      });
+    });
+
+    it('throws when the pool has a single connection, which the lock would keep from the migrations', function() {
+      var sequelize = Support.createSequelizeInstance({ pool: { max: 1 } });
+
+      return expect(sequelize.migrator({ path: path, logging: false }).up())
+        .to.be.rejectedWith('The migrator needs a pool of two connections or more, one of them holds the lock of the SequelizeMeta migrations while they run')
+        .then(function() {
+          expect(calls).to.be.empty;
+        });
+    });
+  }
+
+  it('needs a path', function() {
+    expect(function() {
+      current.migrator({});
+    }).to.throw('The migrator needs the path of the folder of the migrations');
+  });
+});
@@ -0,0 +1,166 @@
+'use strict';
+
+/* jshint -W030, -W110 */
+var chai = require('chai')
+  , expect = chai.expect
+  , Support = require(__dirname + '/../support')
+  , current = Support.sequelize
+  , sinon = require('sinon')
+  , DataTypes = require(__dirname + '/../../../lib/data-types')
+  , Promise = current.Promise;
+
+describe(Support.getTestDialectTeaser('Model'), function() {
+  describe('method findAll', function () {
+    describe('cursor', function () {
+      var Post = current.define('post', {
+        title: DataTypes.STRING,
+        views: DataTypes.INTEGER,
+        doc: {
+          type: DataTypes.TSVECTOR,
+          field: 'document'
+        }
+      }, { timestamps: false, textSearch: { config: 'english' } });
+
+      var rows = [];
+
+      before(function () {
+        this.select = sinon.stub(current.getQueryInterface(), 'select', function () {
+          return Promise.resolve(rows);
+        });
+      });
+
+      beforeEach(function () {
+        this.select.reset();
+      });
+
+      after(function () {
+        this.select.restore();
+      });
+
+      var selectQuery = function (call) {
+        return current.dialect.QueryGenerator.selectQuery(call.args[1], call.args[2], call.args[0]);
+      };
+
+      var page = function (orderBy, limit, after) {
+        return Post.findAll({
+          where: { title: 'cat' },
+          cursor: { orderBy: orderBy, after: after },
+          limit: limit
+        });
+      };
+
+      it('fetches one more row than the limit, and returns the cursor of the last row', function () {
+        rows = [Post.build({ id: 3, views: 10 }), Post.build({ id: 2, views: 10 }), Post.build({ id: 1, views: 5 })];
+
+        return page([['views', 'DESC'], ['id', 'DESC']], 2).bind(this).then(function (results) {
+          expect(results).to.have.length(2);
+          expect(results.nextCursor).to.be.a('string');
+          expect(this.select.getCall(0).args[2].limit).to.equal(3);
+
+          Support.expectsql(selectQuery(this.select.getCall(0)), {
+            default: "SELECT [id], [title], [views], [document] AS [doc] FROM [posts] AS [post] WHERE [post].[title] = 'cat' ORDER BY [post].[views] DESC, [post].[id] DESC LIMIT 3;",
+            postgres: 'SELECT "id", "title", "views", "document" AS "doc" FROM "posts" AS "post" WHERE "post"."title" = \'cat\' ORDER BY "post"."views" DESC, "post"."id" DESC LIMIT 3;',
+            mssql: "SELECT [id], [title], [views], [document] AS [doc] FROM [posts] AS [post] WHERE [post].[title] = N'cat' ORDER BY [post].[views] DESC, [post].[id] DESC OFFSET 0 ROWS FETCH NEXT 3 ROWS ONLY;"
+          });
+
+          rows = [];
+          return page([['views', 'DESC'], ['id', 'DESC']], 2, results.nextCursor);
+        }).then(function (results) {
+          expect(results.nextCursor).to.be.null;
+
+          Support.expectsql(selectQuery(this.select.getCall(1)), {
+            default: "SELECT [id], [title], [views], [document] AS [doc] FROM [posts] AS [post] WHERE ([post].[title] = 'cat' AND (([post].[views] < 10 OR [post].[views] IS NULL) OR ([post].[views] = 10 AND [post].[id] < 2))) ORDER BY [post].[views] DESC, [post].[id] DESC LIMIT 3;",
+            postgres: 'SELECT "id", "title", "views", "document" AS "doc" FROM "posts" AS "post" WHERE ("post"."title" = \'cat\' AND ("post"."views" < 10 OR ("post"."views" = 10 AND "post"."id" < 2))) ORDER BY "post"."views" DESC, "post"."id" DESC LIMIT 3;',
+            mssql: "SELECT [id], [title], [views], [document] AS [doc] FROM [posts] AS [post] WHERE ([post].[title] = N'cat' AND (([post].[views] < 10 OR [post].[views] IS NULL) OR ([post].[views] = 10 AND [post].[id] < 2))) ORDER BY [post].[views] DESC, [post].[id] DESC OFFSET 0 ROWS FETCH NEXT 3 ROWS ONLY;"
+          });
+        });
+      });
+
+      it('orders by the primary key to break ties', function () {
+        rows = [Post.build({ id: 1, title: 'b' }), Post.build({ id: 2, title: 'b' })];
+
+        return page([['title', 'asc']], 1).bind(this).then(function (results) {
+          var next = JSON.parse(new Buffer(results.nextCursor, 'base64').toString());
+          expect(next).to.deep.equal([[['title', 'ASC'], ['id', 'ASC']], ['b', 1]]);
+          expect(this.select.getCall(0).args[2].order).to.deep.equal([['title', 'ASC'], ['id', 'ASC']]);
+        });
+      });
+
+      it('continues after a row with a null key, on the side NULL is sorted on', function () {
+        rows = [Post.build({ id: 2, views: null }), Post.build({ id: 3, views: null })];
+
+        return page([['views', 'DESC']], 1).bind(this).then(function (results) {
+          return page([['views', 'DESC']], 1, results.nextCursor);
+        }).then(function () {
+          Support.expectsql(selectQuery(this.select.getCall(1)), {
+            default: "SELECT [id], [title], [views], [document] AS [doc] FROM [posts] AS [post] WHERE ([post].[title] = 'cat' AND ([post].[views] IS NULL AND [post].[id] > 2)) ORDER BY [post].[views] DESC, [post].[id] ASC LIMIT 2;",
+            postgres: 'SELECT "id", "title", "views", "document" AS "doc" FROM "posts" AS "post" WHERE ("post"."title" = \'cat\' AND ("post"."views" IS NOT NULL OR ("post"."views" IS NULL AND "post"."id" > 2))) ORDER BY "post"."views" DESC, "post"."id" ASC LIMIT 2;',
+            mssql: "SELECT [id], [title], [views], [document] AS [doc] FROM [posts] AS [post] WHERE ([post].[title] = N'cat' AND ([post].[views] IS NULL AND [post].[id] > 2)) ORDER BY [post].[views] DESC, [post].[id] ASC OFFSET 0 ROWS FETCH NEXT 2 ROWS ONLY;"
+          });
+        });
+      });
+
+      it('returns no cursor without a limit', function () {
+        rows = [Post.build({ id: 1 })];
+
+        return Post.findAll({ cursor: { orderBy: ['id'] } }).then(function (results) {
+          expect(results.nextCursor).to.be.null;
+        });
+      });
+
+      it('throws on a cursor of another order', function () {
+        rows = [Post.build({ id: 2, views: 1 }), Post.build({ id: 1, views: 1 })];
+
+        return page([['views', 'DESC']], 1).then(function (results) {
+          return expect(page([['views', 'ASC']], 1, results.nextCursor))
+            .to.be.rejectedWith('Invalid cursor, it must be the nextCursor of a query with the same cursor.orderBy');
+        });
+      });
+
+      it('throws on an invalid cursor', function () {
+        return expect(page(['id'], 1, 'not a cursor'))
+          .to.be.rejectedWith('Invalid cursor, it must be the nextCursor of a query with the same cursor.orderBy');
+      });
+
+      it('throws on an offset', function () {
+        return expect(Post.findAll({ cursor: {}, offset: 10 })).to.be.rejectedWith('cursor cannot be combined with offset');
+      });
+
+      it('throws on an unknown key', function () {
+        var after = new Buffer(JSON.stringify([[['score', 'DESC'], ['id', 'ASC']], [1, 1]])).toString('base64');
+
+        return expect(page([['score', 'DESC']], 1, after))
+          .to.be.rejectedWith('cursor.orderBy score is neither an attribute of post nor the alias of a selected attribute');
+      });
+
+      if (current.dialect.name === 'postgres') {
+        it('continues after the rank of a $ftspg condition, selected as a float8 and compared as a float4', function () {
+          var rank = 'CAST(ts_rank("post"."document", to_tsquery(\'english\', \'cat\')) AS FLOAT8)';
+
+          rows = [Post.build({ id: 7, rank: 0.0607926994562149 }, { raw: true }), Post.build({ id: 4, rank: 0.25 }, { raw: true })];
+
+          return Post.findAll({
+            where: { doc: { $ftspg: 'cat' } },
+            rank: true,
+            cursor: { orderBy: [['rank', 'DESC'], ['id', 'DESC']] },
+            limit: 1
+          }).bind(this).then(function (results) {
+            return Post.findAll({
+              where: { doc: { $ftspg: 'cat' } },
+              rank: true,
+              cursor: { orderBy: [['rank', 'DESC'], ['id', 'DESC']], after: results.nextCursor },
+              limit: 1
+            });
+          }).then(function () {
+            expect(selectQuery(this.select.getCall(1))).to.equal(
+              'SELECT "id", "title", "views", "document" AS "doc", ' + rank + ' AS "rank" FROM "posts" AS "post" ' +
+              'WHERE ("post"."document" @@ to_tsquery(\'english\', \'cat\') AND (CAST(' + rank + ' AS REAL) < CAST(0.0607926994562149 AS REAL) OR ' +
+              '(CAST(' + rank + ' AS REAL) = CAST(0.0607926994562149 AS REAL) AND "post"."id" < 7))) ' +
+              'ORDER BY "rank" DESC, "post"."id" DESC LIMIT 2;'
+            );
+          });
+        });
+      }
+    });
+  });
+});
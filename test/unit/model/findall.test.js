@@ -89,5 +89,342 @@ describe(Support.getTestDialectTeaser('Model'), function() {
       });
 
     });
+
+    if (current.dialect.name === 'mysql') {
+      describe('rank', function () {
+        var Post = current.define('post', {
+          title: DataTypes.STRING,
+          body: {
+            type: DataTypes.TEXT,
+            field: 'post_body'
+          }
+        }, { timestamps: false });
+
+        it('selects and orders by the relevance of MATCH ... AGAINST', function () {
+          return Post.findAll({
+            where: { title: { $match: { query: '+cat', mode: 'boolean', fields: ['body'] } } },
+            rank: { as: 'score' }
+          }).bind(this).then(function () {
+            var call = this.stub.getCall(0);
+            expect(current.dialect.QueryGenerator.selectQuery(call.args[1], call.args[2], call.args[0])).to.equal(
+              'SELECT `id`, `title`, `post_body` AS `body`, MATCH (`post`.`title`, `post`.`post_body`) AGAINST (\'+cat\' IN BOOLEAN MODE) AS `score` ' +
+              'FROM `posts` AS `post` WHERE MATCH (`post`.`title`, `post`.`post_body`) AGAINST (\'+cat\' IN BOOLEAN MODE) ORDER BY `score` DESC;'
+            );
+          });
+        });
+      });
+    }
+
+    if (current.dialect.name === 'mssql') {
+      describe('rank', function () {
+        var Post = current.define('post', {
+          title: DataTypes.STRING,
+          body: {
+            type: DataTypes.TEXT,
+            field: 'post_body'
+          }
+        }, { timestamps: false });
+
+        it('selects and orders by the RANK of CONTAINSTABLE', function () {
+          return Post.findAll({
+            where: { title: { $match: { query: '"cat*"', fields: ['body'] } } },
+            rank: true
+          }).bind(this).then(function () {
+            var call = this.stub.getCall(0);
+            expect(current.dialect.QueryGenerator.selectQuery(call.args[1], call.args[2], call.args[0])).to.equal(
+              'SELECT [id], [title], [post_body] AS [body], ' +
+              '(SELECT [KEY_TBL].[RANK] FROM CONTAINSTABLE([posts], ([title], [post_body]), N\'"cat*"\') AS [KEY_TBL] WHERE [KEY_TBL].[KEY] = [post].[id]) AS [rank] ' +
+              'FROM [posts] AS [post] WHERE CONTAINS(([post].[title], [post].[post_body]), N\'"cat*"\') ORDER BY [rank] DESC;'
+            );
+          });
+        });
+      });
+    }
+
+    if (current.dialect.name === 'postgres') {
+      describe('rank', function () {
+        var Post = current.define('post', {
+          title: DataTypes.STRING,
+          doc: {
+            type: DataTypes.TSVECTOR,
+            field: 'document'
+          }
+        }, { timestamps: false, textSearch: { config: 'english' } });
+        var Comment = current.define('comment', { body: DataTypes.TEXT }, { timestamps: false });
+        var Summary = current.define('summary', { text: DataTypes.TEXT }, { timestamps: false });
+        Post.hasMany(Comment);
+        Post.hasOne(Summary);
+
+        var selectQuery = function (call) {
+          return current.dialect.QueryGenerator.selectQuery(call.args[1], call.args[2], call.args[0]);
+        };
+
+        it('selects and orders by ts_rank', function () {
+          return Post.findAll({
+            where: { doc: { $ftspg: 'cat & dog' } },
+            rank: true
+          }).bind(this).then(function () {
+            expect(selectQuery(this.stub.getCall(0))).to.equal(
+              'SELECT "id", "title", "document" AS "doc", ts_rank("post"."document", to_tsquery(\'english\', \'cat & dog\')) AS "rank" ' +
+              'FROM "posts" AS "post" WHERE "post"."document" @@ to_tsquery(\'english\', \'cat & dog\') ORDER BY "rank" DESC;'
+            );
+          });
+        });
+
+        it('binds a Sequelize.tsquery when the query has bind parameters', function () {
+          return Post.findAll({
+            where: { doc: { $ftspg: current.tsquery.prefix('cat') } },
+            rank: true,
+            bind: []
+          }).bind(this).then(function () {
+            var call = this.stub.getCall(0);
+            expect(selectQuery(call)).to.equal(
+              'SELECT "id", "title", "document" AS "doc", ts_rank("post"."document", to_tsquery(\'english\', $1)) AS "rank" ' +
+              'FROM "posts" AS "post" WHERE "post"."document" @@ to_tsquery(\'english\', $2) ORDER BY "rank" DESC;'
+            );
+            expect(call.args[2].bind).to.deep.equal(['\'cat\':*', '\'cat\':*']);
+          });
+        });
+
+        it('uses ts_rank_cd with normalization, before any other order', function () {
+          return Post.findAll({
+            where: { $and: [{ title: 'x' }, { doc: { $ftspg: { query: 'cat', parser: 'plain' } } }] },
+            rank: { as: 'score', normalization: 32, cover: true },
+            order: [['title', 'ASC']]
+          }).bind(this).then(function () {
+            expect(selectQuery(this.stub.getCall(0))).to.equal(
+              'SELECT "id", "title", "document" AS "doc", ts_rank_cd("post"."document", plainto_tsquery(\'english\', \'cat\'), 32) AS "score" ' +
+              'FROM "posts" AS "post" WHERE ("post"."title" = \'x\' AND "post"."document" @@ plainto_tsquery(\'english\', \'cat\')) ORDER BY "score" DESC, "post"."title" ASC;'
+            );
+          });
+        });
+
+        it('ranks inside the subquery when including with a limit', function () {
+          return Post.findAll({
+            where: { doc: { $ftspg: 'cat' } },
+            rank: { order: true },
+            include: [{ model: Comment, attributes: ['id'] }],
+            limit: 10
+          }).bind(this).then(function () {
+            expect(selectQuery(this.stub.getCall(0))).to.equal(
+              'SELECT "post".*, "comments"."id" AS "comments.id" FROM (' +
+              'SELECT "post"."id", "post"."title", "post"."document" AS "doc", ts_rank("post"."document", to_tsquery(\'english\', \'cat\')) AS "rank" ' +
+              'FROM "posts" AS "post" WHERE "post"."document" @@ to_tsquery(\'english\', \'cat\') ORDER BY "rank" DESC LIMIT 10' +
+              ') AS "post" LEFT OUTER JOIN "comments" AS "comments" ON "post"."id" = "comments"."postId" ORDER BY "rank" DESC;'
+            );
+          });
+        });
+
+        it('does not order when rank.order is false', function () {
+          return Post.findAll({
+            where: { doc: { $ftspg: 'cat' } },
+            rank: { order: false }
+          }).bind(this).then(function () {
+            expect(this.stub.getCall(0).args[2].order).to.be.undefined;
+          });
+        });
+
+        it('ranks a $search condition against the vector it searches', function () {
+          return Post.findAll({
+            where: { title: { $search: { query: 'black cat', mode: 'phrase' } } },
+            rank: true
+          }).bind(this).then(function () {
+            expect(selectQuery(this.stub.getCall(0))).to.equal(
+              'SELECT "id", "title", "document" AS "doc", ts_rank(to_tsvector(\'english\', "post"."title"), phraseto_tsquery(\'english\', \'black cat\')) AS "rank" ' +
+              'FROM "posts" AS "post" WHERE to_tsvector(\'english\', "post"."title") @@ phraseto_tsquery(\'english\', \'black cat\') ORDER BY "rank" DESC;'
+            );
+          });
+        });
+
+        it('ranks a $search across includes as a single document', function () {
+          return Post.findAll({
+            where: { $search: { query: 'cat', fields: ['title', 'summary.text'] } },
+            include: [{ model: Summary, attributes: ['id'] }],
+            rank: true
+          }).bind(this).then(function () {
+            var vector = '(coalesce(to_tsvector(\'english\', "post"."title"), \'\') || coalesce(to_tsvector(\'english\', "summary"."text"), \'\'))';
+
+            expect(selectQuery(this.stub.getCall(0))).to.equal(
+              'SELECT "post"."id", "post"."title", "post"."document" AS "doc", ts_rank(' + vector + ', plainto_tsquery(\'english\', \'cat\')) AS "rank", ' +
+              '"summary"."id" AS "summary.id" FROM "posts" AS "post" LEFT OUTER JOIN "summaries" AS "summary" ON "post"."id" = "summary"."postId" ' +
+              'WHERE ' + vector + ' @@ plainto_tsquery(\'english\', \'cat\') ORDER BY "rank" DESC;'
+            );
+          });
+        });
+
+        it('throws when ranking a $search across a hasMany include', function () {
+          return expect(Post.findAll({
+            where: { $search: { query: 'cat', fields: ['title', 'comments.body'] } },
+            include: [{ model: Comment, attributes: ['id'] }],
+            rank: true
+          })).to.be.rejectedWith('rank can not rank a $search across the include comments, which has many rows for each post; ' +
+            'rank a search of the fields of post and its single row includes instead');
+        });
+
+        it('throws on a $search across includes in the subquery of a limit', function () {
+          return Post.findAll({
+            where: { $search: { query: 'cat', fields: ['title', 'summary.text'] } },
+            include: [{ model: Summary, attributes: ['id'] }, { model: Comment, attributes: ['id'] }],
+            limit: 10
+          }).bind(this).then(function () {
+            var call = this.stub.getCall(0);
+
+            expect(function () {
+              selectQuery(call);
+            }).to.throw('$search can not search the include summary in a subquery, as used with a limit and a hasMany include; ' +
+              'pass subQuery: false or search it in the where of the include instead');
+          });
+        });
+
+        it('searches a required include joined in the subquery of a limit', function () {
+          return Post.findAll({
+            where: { $search: { query: 'cat', fields: ['title', 'summary.text'] } },
+            include: [{ model: Summary, attributes: ['id'], required: true }, { model: Comment, attributes: ['id'] }],
+            limit: 10
+          }).bind(this).then(function () {
+            expect(selectQuery(this.stub.getCall(0))).to.contain(
+              'INNER JOIN "summaries" AS "summary" ON "post"."id" = "summary"."postId" WHERE (coalesce(to_tsvector(\'english\', "post"."title"), \'\') || ' +
+              'coalesce(to_tsvector(\'english\', "summary"."text"), \'\')) @@ plainto_tsquery(\'english\', \'cat\') LIMIT 10) AS "post"'
+            );
+          });
+        });
+
+        it('throws without a $ftspg condition', function () {
+          return expect(Post.findAll({ where: { title: 'cat' }, rank: true }))
+            .to.be.rejectedWith('rank requires a $ftspg, $match or $search condition in where, or both rank.attribute and rank.query');
+        });
+
+        it('throws on a non integer normalization', function () {
+          return expect(Post.findAll({ where: { doc: { $ftspg: 'cat' } }, rank: { normalization: '32' } }))
+            .to.be.rejectedWith('rank.normalization must be an integer, got 32');
+        });
+      });
+
+      describe('similarity', function () {
+        var City = current.define('city', {
+          name: {
+            type: DataTypes.STRING,
+            field: 'city_name'
+          }
+        }, { timestamps: false });
+
+        var selectQuery = function (call) {
+          return current.dialect.QueryGenerator.selectQuery(call.args[1], call.args[2], call.args[0]);
+        };
+
+        it('selects and orders by the similarity to the $similar condition', function () {
+          return City.findAll({
+            where: { name: { $similar: 'Berlni' } },
+            similarity: true,
+            limit: 5
+          }).bind(this).then(function () {
+            expect(selectQuery(this.stub.getCall(0))).to.equal(
+              'SELECT "id", "city_name" AS "name", similarity("city"."city_name", \'Berlni\') AS "similarity" ' +
+              'FROM "cities" AS "city" WHERE "city"."city_name" % \'Berlni\' ORDER BY "similarity" DESC LIMIT 5;'
+            );
+          });
+        });
+
+        it('uses word_similarity for a $wordSimilar condition, before any other order', function () {
+          return City.findAll({
+            where: { name: { $wordSimilar: 'Berlni' } },
+            similarity: { as: 'score' },
+            order: [['id', 'ASC']]
+          }).bind(this).then(function () {
+            expect(selectQuery(this.stub.getCall(0))).to.equal(
+              'SELECT "id", "city_name" AS "name", word_similarity(\'Berlni\', "city"."city_name") AS "score" ' +
+              'FROM "cities" AS "city" WHERE "city"."city_name" %> \'Berlni\' ORDER BY "score" DESC, "city"."id" ASC;'
+            );
+          });
+        });
+
+        it('takes the attribute and query from the option', function () {
+          return City.findAll({
+            similarity: { attribute: 'name', query: 'Paris', order: false }
+          }).bind(this).then(function () {
+            expect(selectQuery(this.stub.getCall(0))).to.equal(
+              'SELECT "id", "city_name" AS "name", similarity("city"."city_name", \'Paris\') AS "similarity" FROM "cities" AS "city";'
+            );
+          });
+        });
+
+        it('throws without a $similar condition', function () {
+          return expect(City.findAll({ where: { name: 'Berlin' }, similarity: true }))
+            .to.be.rejectedWith('similarity requires a $similar or $wordSimilar condition in where, or both similarity.attribute and similarity.query');
+        });
+      });
+
+      describe('headline', function () {
+        var Post = current.define('post', {
+          title: DataTypes.STRING,
+          body: {
+            type: DataTypes.TEXT,
+            field: 'post_body'
+          },
+          doc: DataTypes.TSVECTOR
+        }, { timestamps: false, textSearch: { config: 'english' } });
+
+        var selectQuery = function (call) {
+          return current.dialect.QueryGenerator.selectQuery(call.args[1], call.args[2], call.args[0]);
+        };
+
+        it('selects ts_headline with the query of the $ftspg condition', function () {
+          return Post.findAll({
+            attributes: ['id'],
+            where: { doc: { $ftspg: 'cat' } },
+            headline: { attribute: 'body' }
+          }).bind(this).then(function () {
+            expect(selectQuery(this.stub.getCall(0))).to.equal(
+              'SELECT "id", ts_headline(\'english\', "post"."post_body", to_tsquery(\'english\', \'cat\')) AS "headline" ' +
+              'FROM "posts" AS "post" WHERE "post"."doc" @@ to_tsquery(\'english\', \'cat\');'
+            );
+          });
+        });
+
+        it('passes and quotes the ts_headline options', function () {
+          return Post.findAll({
+            attributes: ['id'],
+            where: { doc: { $ftspg: 'cat' } },
+            headline: [{
+              attribute: 'body',
+              as: 'snippet',
+              startSel: '<b class="hit">',
+              stopSel: '</b>',
+              maxWords: 20,
+              minWords: 5,
+              maxFragments: 3,
+              fragmentDelimiter: ' ... '
+            }, {
+              attribute: 'title',
+              query: { query: 'кошка', config: 'russian' },
+              highlightAll: true
+            }]
+          }).bind(this).then(function () {
+            expect(selectQuery(this.stub.getCall(0))).to.equal(
+              'SELECT "id", ' +
+              'ts_headline(\'english\', "post"."post_body", to_tsquery(\'english\', \'cat\'), ' +
+              '\'StartSel="<b class=""hit"">", StopSel="</b>", MaxWords=20, MinWords=5, MaxFragments=3, FragmentDelimiter=" ... "\') AS "snippet", ' +
+              'ts_headline(\'russian\', "post"."title", to_tsquery(\'russian\', \'кошка\'), \'HighlightAll=true\') AS "headline" ' +
+              'FROM "posts" AS "post" WHERE "post"."doc" @@ to_tsquery(\'english\', \'cat\');'
+            );
+          });
+        });
+
+        it('throws on a non integer word count', function () {
+          return expect(Post.findAll({ where: { doc: { $ftspg: 'cat' } }, headline: { attribute: 'body', maxWords: '20; DROP' } }))
+            .to.be.rejectedWith('headline.maxWords must be an integer, got 20; DROP');
+        });
+
+        it('throws without an attribute', function () {
+          return expect(Post.findAll({ where: { doc: { $ftspg: 'cat' } }, headline: {} }))
+            .to.be.rejectedWith('headline requires an attribute to take the headline from');
+        });
+
+        it('throws without a query', function () {
+          return expect(Post.findAll({ headline: { attribute: 'body' } }))
+            .to.be.rejectedWith('headline requires a $ftspg condition in where, or headline.query');
+        });
+      });
+    }
   });
 });
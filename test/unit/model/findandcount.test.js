@@ -0,0 +1,115 @@
+'use strict';
+
+/* jshint -W030, -W110 */
+var chai = require('chai')
+  , expect = chai.expect
+  , Support = require(__dirname + '/../support')
+  , current = Support.sequelize
+  , sinon = require('sinon')
+  , Transaction = require(__dirname + '/../../../lib/transaction')
+  , DataTypes = require(__dirname + '/../../../lib/data-types')
+  , Promise = current.Promise;
+
+describe(Support.getTestDialectTeaser('Model'), function() {
+  describe('method findAndCount', function () {
+    describe('facets', function () {
+      var Post = current.define('post', {
+        title: DataTypes.STRING,
+        categoryId: {
+          type: DataTypes.INTEGER,
+          field: 'category_id'
+        },
+        status: DataTypes.STRING
+      }, { timestamps: false });
+
+      before(function () {
+        var self = this;
+
+        this.transaction = new Transaction(current);
+        this.counts = [];
+
+        this.startTransaction = sinon.stub(current, 'transaction', function (options, fn) {
+          return Promise.resolve(fn(self.transaction));
+        });
+        this.rawSelect = sinon.stub(current.getQueryInterface(), 'rawSelect', function () {
+          return Promise.resolve(self.counts.shift());
+        });
+        this.select = sinon.stub(current.getQueryInterface(), 'select', function () {
+          return Promise.resolve([]);
+        });
+      });
+
+      beforeEach(function () {
+        this.startTransaction.reset();
+        this.rawSelect.reset();
+        this.select.reset();
+      });
+
+      after(function () {
+        this.startTransaction.restore();
+        this.rawSelect.restore();
+        this.select.restore();
+      });
+
+      var selectQuery = function (call) {
+        return current.dialect.QueryGenerator.selectQuery(call.args[0], call.args[1], call.args[3]);
+      };
+
+      it('counts every value of the facets with the where of the query, in one transaction', function () {
+        this.counts = [
+          5,
+          [{ value: 1, count: '2' }, { value: 2, count: '3' }],
+          [{ value: 'draft', count: 5 }]
+        ];
+
+        return Post.findAndCount({
+          where: { title: 'cat' },
+          facets: ['categoryId', 'status'],
+          limit: 2
+        }).bind(this).then(function (result) {
+          expect(result.count).to.equal(5);
+          expect(result.facets).to.deep.equal({
+            categoryId: [{ value: 2, count: 3 }, { value: 1, count: 2 }],
+            status: [{ value: 'draft', count: 5 }]
+          });
+
+          expect(this.startTransaction.calledOnce).to.be.ok;
+          expect(this.startTransaction.getCall(0).args[0].isolationLevel).to.equal(Transaction.ISOLATION_LEVELS.REPEATABLE_READ);
+          expect(this.select.getCall(0).args[2].transaction).to.equal(this.transaction);
+          expect(this.rawSelect.getCall(1).args[1].transaction).to.equal(this.transaction);
+
+          Support.expectsql(selectQuery(this.rawSelect.getCall(1)), {
+            default: "SELECT [post].[category_id] AS [value], count(*) AS [count] FROM [posts] AS [post] WHERE [post].[title] = 'cat' GROUP BY [post].[category_id];",
+            mssql: "SELECT [post].[category_id] AS [value], count(*) AS [count] FROM [posts] AS [post] WHERE [post].[title] = N'cat' GROUP BY [post].[category_id];"
+          });
+        });
+      });
+
+      it('uses the transaction of the query', function () {
+        var transaction = new Transaction(current);
+        this.counts = [1, [{ value: 'draft', count: 1 }]];
+
+        return Post.findAndCount({ facets: ['status'], transaction: transaction }).bind(this).then(function () {
+          expect(this.startTransaction.called).to.be.false;
+          expect(this.rawSelect.getCall(1).args[1].transaction).to.equal(transaction);
+        });
+      });
+
+      it('does not count the facets when nothing matches', function () {
+        this.counts = [0];
+
+        return Post.findAndCount({ facets: ['status'] }).bind(this).then(function (result) {
+          expect(result).to.deep.equal({ count: 0, rows: [], facets: { status: [] } });
+          expect(this.rawSelect.calledOnce).to.be.ok;
+        });
+      });
+
+      it('throws on a facet that is not an attribute', function () {
+        this.counts = [1];
+
+        return expect(Post.findAndCount({ facets: ['category'] }))
+          .to.be.rejectedWith('Unknown facet category, facets must be attributes of post');
+      });
+    });
+  });
+});
@@ -0,0 +1,139 @@
+'use strict';
+
+/* jshint -W030, -W110 */
+var chai = require('chai')
+  , expect = chai.expect
+  , Support = require(__dirname + '/../support')
+  , current = Support.sequelize
+  , sinon = require('sinon')
+  , _ = require('lodash')
+  , DataTypes = require(__dirname + '/../../../lib/data-types')
+  , Promise = current.Promise;
+
+describe(Support.getTestDialectTeaser('Model'), function() {
+  describe('method reindexSearch', function () {
+    var Post = current.define('post', {
+      postId: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        field: 'post_id'
+      },
+      title: DataTypes.STRING,
+      body: {
+        type: DataTypes.TEXT,
+        field: 'content'
+      },
+      search: {
+        type: DataTypes.TSVECTOR,
+        searchSource: { title: 'A', body: 'B' }
+      },
+      plain: DataTypes.TSVECTOR
+    }, { timestamps: false, textSearch: { config: 'english' } });
+
+    var keys = []
+      , delays = {};
+
+    before(function () {
+      this.query = sinon.stub(current, 'query', function (sql) {
+        var after = parseInt((sql.match(/"post_id" > (\d+)/) || [0, 0])[1], 10)
+          , rows = keys.filter(function (key) {
+            return key > after;
+          });
+
+        if (/^SELECT count/.test(sql)) {
+          return Promise.resolve({ count: rows.length });
+        }
+        if (/^SELECT/.test(sql)) {
+          return Promise.resolve(rows.slice(0, parseInt(sql.match(/(?:LIMIT|FETCH NEXT) (\d+)/)[1], 10)).map(function (key) {
+            return { postId: key };
+          }));
+        }
+        return Promise.delay(delays[sql.match(/>= (\d+)/)[1]] || 0);
+      });
+    });
+
+    beforeEach(function () {
+      this.query.reset();
+    });
+
+    after(function () {
+      this.query.restore();
+    });
+
+    if (current.dialect.name === 'postgres') {
+      var vector = "setweight(to_tsvector('english', coalesce(\"title\"::text, '')), 'A') || " +
+        "setweight(to_tsvector('english', coalesce(\"content\"::text, '')), 'B')";
+
+      it('updates the search vectors in batches of primary keys, reporting the progress after each', function () {
+        var progress = [];
+
+        keys = [1, 2, 4, 7, 9];
+        Post.afterReindexSearchBatch('progress', function (batch) {
+          progress.push(batch);
+        });
+
+        return Post.reindexSearch({ batchSize: 2, logging: false }).bind(this).then(function (result) {
+          var sqls = _.map(this.query.args, 0);
+
+          expect(result).to.deep.equal({ after: 9, updated: 5, total: 5 });
+          expect(progress).to.deep.equal([
+            { after: 2, updated: 2, total: 5 },
+            { after: 7, updated: 4, total: 5 },
+            { after: 9, updated: 5, total: 5 }
+          ]);
+
+          expect(sqls[1]).to.equal('SELECT "post_id" AS "postId" FROM "posts" AS "post" ORDER BY "post"."post_id" ASC LIMIT 2;');
+          expect(sqls[2]).to.equal('UPDATE "posts" SET "search" = ' + vector + ' WHERE "post_id" >= 1 AND "post_id" <= 2;');
+          expect(sqls[3]).to.contain('WHERE "post"."post_id" > 2 ORDER BY');
+          expect(sqls[4]).to.contain('WHERE "post_id" >= 4 AND "post_id" <= 7;');
+          expect(sqls[6]).to.contain('WHERE "post_id" >= 9 AND "post_id" <= 9;');
+          expect(sqls).to.have.length(7);
+          expect(this.query.getCall(2).args[1].logging).to.be.false;
+        }).finally(function () {
+          Post.removeHook('afterReindexSearchBatch', 'progress');
+        });
+      });
+
+      it('only moves the progress past batches before which all are done', function () {
+        var progress = [];
+
+        keys = [1, 2, 3, 4, 5, 6];
+        // The first batch finishes last
+        delays = { 1: 20 };
+        Post.afterReindexSearchBatch('progress', function (batch) {
+          progress.push(batch.after);
+        });
+
+        return Post.reindexSearch({ batchSize: 2, concurrency: 3 }).then(function (result) {
+          expect(progress).to.deep.equal([undefined, undefined, 6]);
+          expect(result.updated).to.equal(6);
+        }).finally(function () {
+          delays = {};
+          Post.removeHook('afterReindexSearchBatch', 'progress');
+        });
+      });
+
+      it('resumes after a primary key, recomputing only the attributes asked for', function () {
+        keys = [1, 2, 4];
+
+        return Post.reindexSearch({ after: 2, attributes: ['search'] }).bind(this).then(function (result) {
+          expect(result).to.deep.equal({ after: 4, updated: 1, total: 1 });
+          expect(this.query.getCall(0).args[0]).to.contain('WHERE "post"."post_id" > 2');
+          expect(this.query.getCall(1).args[0]).to.contain('WHERE "post"."post_id" > 2 ORDER BY "post"."post_id" ASC LIMIT 1000');
+          expect(this.query.getCall(2).args[0]).to.equal('UPDATE "posts" SET "search" = ' + vector + ' WHERE "post_id" >= 4 AND "post_id" <= 4;');
+        });
+      });
+
+      it('throws without an attribute to reindex', function () {
+        return expect(Post.reindexSearch({ attributes: ['plain'] })).to.be.rejectedWith('post has no TSVECTOR attribute with a searchSource to reindex');
+      });
+    } else {
+      it('throws on dialects other than postgres', function () {
+        keys = [1];
+
+        return expect(Post.reindexSearch())
+          .to.be.rejectedWith('Reindexing search vectors is not supported by the ' + current.dialect.name + ' dialect');
+      });
+    }
+  });
+});
@@ -0,0 +1,92 @@
+'use strict';
+
+/* jshint -W030, -W110 */
+var chai = require('chai')
+  , expect = chai.expect
+  , Support = require(__dirname + '/../support')
+  , current = Support.sequelize
+  , sinon = require('sinon')
+  , DataTypes = require(__dirname + '/../../../lib/data-types')
+  , Promise = current.Promise;
+
+describe(Support.getTestDialectTeaser('Model'), function() {
+  describe('method suggest', function () {
+    var Post = current.define('post', {
+      title: DataTypes.STRING,
+      published: DataTypes.BOOLEAN,
+      doc: {
+        type: DataTypes.TSVECTOR,
+        field: 'document'
+      }
+    }, { paranoid: true, textSearch: { config: 'english' } });
+
+    if (current.dialect.name === 'postgres') {
+      var rows = [];
+
+      before(function () {
+        this.query = sinon.stub(current, 'query', function () {
+          return Promise.resolve(rows);
+        });
+      });
+
+      beforeEach(function () {
+        this.query.reset();
+      });
+
+      after(function () {
+        this.query.restore();
+      });
+
+      it('selects the most frequent lexemes of a tsvector matching the prefix', function () {
+        rows = [{ term: 'program', documents: 42 }];
+
+        return Post.suggest('doc', 'Progr', { where: { published: true }, limit: 5, logging: false }).bind(this).then(function (terms) {
+          expect(terms).to.equal(rows);
+          expect(this.query.getCall(0).args[0]).to.equal(
+            'SELECT word AS term, ndoc AS documents FROM ts_stat(\'SELECT "post"."document" FROM "posts" AS "post" ' +
+            'WHERE ("post"."deletedAt" IS NULL AND "post"."published" = true)\') ' +
+            "WHERE array_to_tsvector(ARRAY[word]) @@ to_tsquery('english', '''Progr'':*') ORDER BY ndoc DESC, word LIMIT 5;"
+          );
+          expect(this.query.getCall(0).args[1]).to.include({ raw: true, plain: false, logging: false });
+          expect(this.query.getCall(0).args[1]).not.to.have.property('where');
+        });
+      });
+
+      it('matches the prefix through the simple configuration before Postgres 9.6', function () {
+        current.options.databaseVersion = '9.5.0';
+
+        return Post.suggest('doc', 'progr', { paranoid: false }).bind(this).then(function () {
+          expect(this.query.getCall(0).args[0]).to.equal(
+            'SELECT word AS term, ndoc AS documents FROM ts_stat(\'SELECT "post"."document" FROM "posts" AS "post"\') ' +
+            "WHERE to_tsvector('simple', word) @@ to_tsquery('english', '''progr'':*') ORDER BY ndoc DESC, word LIMIT 10;"
+          );
+        }).finally(function () {
+          current.options.databaseVersion = 0;
+        });
+      });
+
+      it('reads a text attribute with the configuration of the model, and filters on weights', function () {
+        return Post.suggest('title', null, { weights: 'ab', paranoid: false }).bind(this).then(function () {
+          expect(this.query.getCall(0).args[0]).to.equal(
+            'SELECT word AS term, ndoc AS documents FROM ts_stat(\'SELECT to_tsvector(\'\'english\'\', "post"."title") FROM "posts" AS "post"\', \'AB\') ' +
+            'ORDER BY ndoc DESC, word LIMIT 10;'
+          );
+        });
+      });
+
+      it('throws on an unknown attribute', function () {
+        return expect(Post.suggest('body', 'pro')).to.be.rejectedWith('Unknown attribute body of post to suggest search terms from');
+      });
+
+      it('throws on invalid weights', function () {
+        return expect(Post.suggest('doc', 'pro', { weights: 'E' }))
+          .to.be.rejectedWith('Invalid weights "E" to suggest search terms from, expected letters among A, B, C, D');
+      });
+    } else {
+      it('throws on dialects other than postgres', function () {
+        return expect(Post.suggest('title', 'pro'))
+          .to.be.rejectedWith('Search suggestions are not supported by the ' + current.dialect.name + ' dialect');
+      });
+    }
+  });
+});
@@ -0,0 +1,113 @@
+'use strict';
+
+/* jshint -W030 */
+var chai = require('chai')
+  , expect = chai.expect
+  , sinon = require('sinon')
+  , _ = require('lodash')
+  , Support = require(__dirname + '/../support')
+  , DataTypes = require(__dirname + '/../../../lib/data-types')
+  , current = Support.sequelize
+  , Promise = current.Promise;
+
+describe(Support.getTestDialectTeaser('Model'), function() {
+  describe('sync', function() {
+    var queryInterface = current.getQueryInterface()
+      , methods = ['createTable', 'addColumn', 'changeColumn', 'removeColumn', 'addIndex', 'removeIndex', 'dropForeignKey']
+      , calls
+      , Task;
+
+    before(function() {
+      var self = this;
+
+      this.stubs = methods.map(function(method) {
+        return sinon.stub(queryInterface, method, function(tableName, attribute) {
+          calls.push(method === 'createTable' ? method : method + ' ' + (attribute.name || attribute));
+          if (method === 'addIndex') {
+            self.indexes.push({ name: attribute.name, fields: attribute.fields });
+          }
+          return Promise.resolve();
+        });
+      }).concat([
+        sinon.stub(queryInterface, 'describeTable', function() {
+          return Promise.resolve(_.cloneDeep(self.columns));
+        }),
+        sinon.stub(queryInterface, 'showIndex', function() {
+          return Promise.resolve(_.cloneDeep(self.indexes));
+        }),
+        sinon.stub(queryInterface, 'getForeignKeyReferencesForTable', function() {
+          return Promise.resolve([]);
+        })
+      ]);
+    });
+
+    after(function() {
+      this.stubs.forEach(function(stub) {
+        stub.restore();
+      });
+    });
+
+    beforeEach(function() {
+      var integer = current.dialect.QueryGenerator.attributeToSQL({ type: DataTypes.INTEGER });
+
+      calls = [];
+      Task = current.define('syncTask', {
+        title: { type: DataTypes.INTEGER, allowNull: false },
+        priority: { type: DataTypes.INTEGER, defaultValue: 1 }
+      }, { tableName: 'tasks', timestamps: false, indexes: [{ name: 'tasks_priority', fields: ['priority'] }] });
+
+      this.columns = {
+        id: { type: integer, allowNull: false, defaultValue: null, primaryKey: true },
+        title: { type: integer, allowNull: true, defaultValue: null },
+        legacy: { type: integer, allowNull: true, defaultValue: null }
+      };
+      this.indexes = [{ name: 'tasks_legacy', unique: false, fields: [{ attribute: 'legacy' }] }];
+    });
+
+    it('only creates the table and its missing indexes without alter', function() {
+      return Task.sync({ logging: false }).then(function() {
+        expect(calls).to.deep.equal(['createTable', 'addIndex tasks_priority']);
+        expect(queryInterface.describeTable).not.to.have.been.called;
+      });
+    });
+
+    it('adds and changes the columns and indexes of the table with alter', function() {
+      return Task.sync({ alter: true, logging: false }).then(function() {
+        expect(calls).to.deep.equal(['createTable', 'changeColumn title', 'addColumn priority', 'addIndex tasks_priority']);
+        expect(queryInterface.changeColumn).to.have.been.calledWithMatch('tasks', 'title', { allowNull: false }, { logging: false });
+      });
+    });
+
+    it('removes the columns and indexes the model does not have with alter.drop', function() {
+      return Task.sync({ alter: { drop: true }, logging: false }).then(function() {
+        expect(calls).to.deep.equal([
+          'createTable',
+          'removeIndex tasks_legacy',
+          'changeColumn title',
+          'addColumn priority',
+          'removeColumn legacy',
+          'addIndex tasks_priority'
+        ]);
+      });
+    });
+
+    if (current.dialect.name === 'sqlite') {
+      it('recreates the triggers of the FTS table after altering the table', function() {
+        var Note = current.define('syncNote', {
+          title: { type: DataTypes.INTEGER, allowNull: false },
+          body: DataTypes.TEXT
+        }, { tableName: 'tasks', timestamps: false, fts: {} })
+          , query = sinon.stub(current, 'query', function() {
+            return Promise.resolve();
+          });
+
+        return Note.sync({ alter: true, logging: false }).finally(function() {
+          query.restore();
+        }).then(function() {
+          expect(calls).to.deep.equal(['createTable', 'changeColumn title', 'addColumn body']);
+          expect(_.map(query.args, 0)).to.deep.equal(current.dialect.QueryGenerator.ftsTableQueries(Note));
+        });
+      });
+    }
+  });
+});
@@ -0,0 +1,288 @@
+'use strict';
+
+/* jshint -W030, -W110 */
+var chai = require('chai')
+  , expect = chai.expect
+  , sinon = require('sinon')
+  , _ = require('lodash')
+  , Support = require(__dirname + '/support')
+  , DataTypes = require(__dirname + '/../../lib/data-types')
+  , current = Support.createSequelizeInstance()
+  , Promise = current.Promise
+  , dialect = Support.getTestDialect();
+
+// The types describeTable reports for the columns of the tests, in each dialect
+var described = {
+  postgres: { integer: 'INTEGER', string: 'CHARACTER VARYING', date: 'TIMESTAMP WITH TIME ZONE' },
+  mysql: { integer: 'INT(11)', string: 'VARCHAR(255)', date: 'DATETIME' },
+  mssql: { integer: 'INT', string: 'NVARCHAR', date: 'DATETIME2' },
+  sqlite: { integer: 'INTEGER', string: 'VARCHAR(255)', date: 'DATETIME' }
+}[dialect];
+
+describe(Support.getTestDialectTeaser('Schema diff'), function() {
+  var queryInterface = current.getQueryInterface()
+    , tables
+    , columns
+    , indexes
+    , foreignKeys
+    , User
+    , Post;
+
+  before(function() {
+    this.stubs = [
+      sinon.stub(queryInterface, 'showAllTables', function() {
+        return Promise.resolve(tables);
+      }),
+      sinon.stub(queryInterface, 'describeTable', function(tableName) {
+        return Promise.resolve(_.cloneDeep(columns[tableName]));
+      }),
+      sinon.stub(queryInterface, 'showIndex', function(tableName) {
+        return Promise.resolve(indexes[tableName] || []);
+      }),
+      sinon.stub(queryInterface, 'getForeignKeyReferencesForTable', function(tableName) {
+        return Promise.resolve(foreignKeys[tableName] || []);
+      })
+    ];
+  });
+
+  after(function() {
+    this.stubs.forEach(function(stub) {
+      stub.restore();
+    });
+  });
+
+  beforeEach(function() {
+    User = current.define('schemaDiffUser', {
+      name: DataTypes.STRING,
+      email: { type: DataTypes.STRING, allowNull: false }
+    }, { tableName: 'users', timestamps: false, indexes: [{ fields: ['email'], unique: true }] });
+    Post = current.define('schemaDiffPost', {
+      title: DataTypes.STRING,
+      userId: { type: DataTypes.INTEGER, references: { model: User, key: 'id' } }
+    }, { tableName: 'posts', timestamps: false });
+
+    tables = ['users', 'posts'];
+    columns = {
+      users: {
+        id: { type: described.integer, allowNull: false, defaultValue: null, primaryKey: true },
+        name: { type: described.string, allowNull: true, defaultValue: null },
+        email: { type: described.string, allowNull: false, defaultValue: null }
+      },
+      posts: {
+        id: { type: described.integer, allowNull: false, defaultValue: null, primaryKey: true },
+        title: { type: described.string, allowNull: true, defaultValue: null },
+        userId: { type: described.integer, allowNull: true, defaultValue: null }
+      }
+    };
+    indexes = {
+      users: [
+        { name: 'PRIMARY', primary: true, unique: true, fields: [{ attribute: 'id' }] },
+        { name: 'users_email', unique: true, fields: [{ attribute: 'email' }] }
+      ]
+    };
+    foreignKeys = {
+      posts: [{ constraintName: 'posts_userId_fkey', columnName: 'userId', referencedTableName: 'users', referencedColumnName: 'id' }]
+    };
+  });
+
+  var diff = function() {
+    return current.diffSchema({ models: [User, Post] });
+  };
+
+  it('finds nothing when the tables match the models', function() {
+    return diff().then(function(operations) {
+      expect(operations).to.deep.equal([]);
+    });
+  });
+
+  it('adds, changes and removes columns', function() {
+    delete columns.users.name;
+    columns.users.email.allowNull = true;
+    columns.posts.title.type = described.date;
+    columns.posts.legacy = { type: described.integer, allowNull: true, defaultValue: '0' };
+
+    return diff().then(function(operations) {
+      expect(_.map(operations, 'type')).to.deep.equal(['addColumn', 'changeColumn', 'changeColumn', 'removeColumn']);
+      expect(operations[0]).to.include({ tableName: 'users', attribute: 'name' });
+      expect(operations[0].definition.type).to.be.an.instanceof(DataTypes.STRING);
+
+      expect(operations[1]).to.include({ tableName: 'users', attribute: 'email' });
+      expect(operations[1].definition.allowNull).to.be.false;
+      expect(operations[1].previous).to.deep.equal({ type: described.string, allowNull: true });
+
+      expect(operations[2]).to.include({ tableName: 'posts', attribute: 'title' });
+      expect(operations[3]).to.deep.equal({
+        type: 'removeColumn',
+        tableName: 'posts',
+        attribute: 'legacy',
+        previous: { type: described.integer, allowNull: true, defaultValue: '0' }
+      });
+    });
+  });
+
+  it('compares default values without the quotes of the database', function() {
+    User.rawAttributes.name.defaultValue = 'anonymous';
+    User.refreshAttributes();
+    columns.users.name.defaultValue = {
+      postgres: "'anonymous'::character varying",
+      mssql: "(N'anonymous')"
+    }[dialect] || 'anonymous';
+
+    return diff().then(function(operations) {
+      expect(operations).to.deep.equal([]);
+
+      columns.users.name.defaultValue = null;
+      return diff();
+    }).then(function(operations) {
+      expect(operations).to.have.length(1);
+      expect(operations[0].definition.defaultValue).to.equal('anonymous');
+    });
+  });
+
+  it('adds search vectors with their sources as columns, in the text search configuration of the model', function() {
+    Post = current.define('schemaDiffPost', {
+      title: { type: DataTypes.STRING, field: 'post_title' },
+      userId: { type: DataTypes.INTEGER, references: { model: User, key: 'id' } },
+      searchVector: { type: DataTypes.TSVECTOR, searchSource: { title: 'A' } }
+    }, { tableName: 'posts', timestamps: false, textSearch: { config: 'english' } });
+    columns.posts.post_title = columns.posts.title;
+    delete columns.posts.title;
+
+    return diff().then(function(operations) {
+      expect(operations).to.have.length(1);
+      expect(operations[0]).to.include({ type: 'addColumn', tableName: 'posts', attribute: 'searchVector' });
+      expect(operations[0].definition).to.include({ config: 'english' });
+      expect(operations[0].definition.searchSource).to.deep.equal({ post_title: 'A' });
+    });
+  });
+
+  it('removes the indexes the models do not have, and adds the ones the tables do not have', function() {
+    indexes.users[1] = { name: 'users_email', unique: false, fields: [{ attribute: 'email' }] };
+    indexes.users.push({ name: 'users_name', unique: false, fields: [{ attribute: 'name' }] });
+
+    return diff().then(function(operations) {
+      expect(operations).to.deep.equal([
+        {
+          type: 'removeIndex',
+          tableName: 'users',
+          index: 'users_email',
+          previous: { name: 'users_email', fields: ['email'], unique: false }
+        },
+        {
+          type: 'removeIndex',
+          tableName: 'users',
+          index: 'users_name',
+          previous: { name: 'users_name', fields: ['name'], unique: false }
+        },
+        { type: 'addIndex', tableName: 'users', index: { fields: ['email'], unique: true, name: 'users_email' } }
+      ]);
+    });
+  });
+
+  it('drops foreign keys the models do not have, and adds the missing ones last', function() {
+    foreignKeys.posts[0].referencedTableName = 'accounts';
+    tables.push('accounts');
+
+    return diff().then(function(operations) {
+      expect(operations[0]).to.deep.equal({
+        type: 'dropForeignKey',
+        tableName: 'posts',
+        foreignKey: 'posts_userId_fkey',
+        previous: { attribute: 'userId', type: described.integer, references: { model: 'accounts', key: 'id' } }
+      });
+
+      foreignKeys.posts = [];
+      return diff();
+    }).then(function(operations) {
+      expect(operations).to.have.length(1);
+      expect(operations[0]).to.include({ type: 'changeColumn', tableName: 'posts', attribute: 'userId' });
+      expect(operations[0].definition.references).to.deep.equal({ model: 'users', key: 'id' });
+    });
+  });
+
+  it('creates the missing tables with their indexes', function() {
+    tables = ['posts'];
+
+    return diff().then(function(operations) {
+      expect(_.map(operations, 'type')).to.deep.equal(['createTable', 'addIndex']);
+      expect(operations[0].tableName).to.equal('users');
+      expect(Object.keys(operations[0].attributes)).to.deep.equal(['id', 'name', 'email']);
+    });
+  });
+
+  it('applies the operations with the query interface, one after the other', function() {
+    var calls = []
+      , stubs = ['createTable', 'addColumn', 'changeColumn', 'removeColumn', 'addIndex', 'removeIndex', 'dropForeignKey'].map(function(method) {
+        return sinon.stub(queryInterface, method, function() {
+          calls.push(method);
+          return Promise.delay(method === 'removeColumn' ? 5 : 0);
+        });
+      });
+
+    return current.applySchemaDiff([
+      { type: 'removeColumn', tableName: 'posts', attribute: 'legacy' },
+      { type: 'addColumn', tableName: 'users', attribute: 'name', definition: { type: DataTypes.STRING } },
+      { type: 'addIndex', tableName: 'users', index: { fields: ['name'], name: 'users_name' } }
+    ], { logging: false }).then(function() {
+      expect(calls).to.deep.equal(['removeColumn', 'addColumn', 'addIndex']);
+      expect(queryInterface.addIndex).to.have.been.calledWith('users', { fields: ['name'], name: 'users_name', logging: false });
+
+      return expect(current.applySchemaDiff([{ type: 'renameTable' }])).to.be.rejectedWith('Unknown schema operation renameTable');
+    }).finally(function() {
+      stubs.forEach(function(stub) {
+        stub.restore();
+      });
+    });
+  });
+
+  it('writes the operations as a migration, reverted from what the database reported', function() {
+    var migration = current.schemaDiffMigration([
+      { type: 'addColumn', tableName: 'users', attribute: 'name', definition: { type: DataTypes.STRING(100), allowNull: false } },
+      { type: 'removeIndex', tableName: 'users', index: 'users_name', previous: { name: 'users_name', fields: ['name'], unique: false } }
+    ]);
+
+    expect(migration).to.equal([
+      "'use strict';",
+      '',
+      'module.exports = {',
+      '  up: function(queryInterface, Sequelize, transaction) {',
+      '    return Sequelize.Promise.resolve().then(function() {',
+      "      return queryInterface.addColumn('users', 'name', { type: Sequelize.STRING({ length: 100 }), allowNull: false }, { transaction: transaction });",
+      '    }).then(function() {',
+      "      return queryInterface.removeIndex('users', 'users_name', { transaction: transaction });",
+      '    });',
+      '  },',
+      '',
+      '  down: function(queryInterface, Sequelize, transaction) {',
+      '    return Sequelize.Promise.resolve().then(function() {',
+      "      return queryInterface.addIndex('users', { name: 'users_name', fields: ['name'], unique: false, transaction: transaction });",
+      '    }).then(function() {',
+      "      return queryInterface.removeColumn('users', 'name', { transaction: transaction });",
+      '    });',
+      '  }',
+      '};',
+      ''
+    ].join('\n'));
+  });
+
+  if (dialect !== 'sqlite') {
+    it('lists the foreign keys of a table with what they reference', function() {
+      Support.expectsql(queryInterface.QueryGenerator.getForeignKeyReferencesQuery('users', 'db'), {
+        postgres: 'SELECT tc.constraint_name, kcu.column_name, ccu.table_name AS referenced_table_name, ccu.column_name AS referenced_column_name ' +
+          'FROM information_schema.table_constraints tc ' +
+          'JOIN information_schema.key_column_usage kcu ON kcu.constraint_name = tc.constraint_name AND kcu.table_schema = tc.table_schema ' +
+          'JOIN information_schema.constraint_column_usage ccu ON ccu.constraint_name = tc.constraint_name AND ccu.table_schema = tc.table_schema ' +
+          "WHERE tc.constraint_type = 'FOREIGN KEY' AND tc.table_name = 'users' AND tc.table_schema = 'public';",
+        mysql: 'SELECT CONSTRAINT_NAME AS constraint_name, COLUMN_NAME AS column_name, REFERENCED_TABLE_NAME AS referenced_table_name, ' +
+          'REFERENCED_COLUMN_NAME AS referenced_column_name FROM INFORMATION_SCHEMA.KEY_COLUMN_USAGE ' +
+          "WHERE TABLE_NAME = 'users' AND CONSTRAINT_SCHEMA = 'db' AND REFERENCED_TABLE_NAME IS NOT NULL;",
+        mssql: 'SELECT constraint_name = OBJ.NAME, column_name = COL.NAME, referenced_table_name = RTB.NAME, referenced_column_name = RCOL.NAME ' +
+          'FROM sys.foreign_key_columns FKC INNER JOIN sys.objects OBJ ON OBJ.OBJECT_ID = FKC.CONSTRAINT_OBJECT_ID ' +
+          'INNER JOIN sys.tables TB ON TB.OBJECT_ID = FKC.PARENT_OBJECT_ID INNER JOIN sys.schemas SCH ON SCH.SCHEMA_ID = TB.SCHEMA_ID ' +
+          'INNER JOIN sys.columns COL ON COL.COLUMN_ID = FKC.PARENT_COLUMN_ID AND COL.OBJECT_ID = TB.OBJECT_ID ' +
+          'INNER JOIN sys.tables RTB ON RTB.OBJECT_ID = FKC.REFERENCED_OBJECT_ID ' +
+          "INNER JOIN sys.columns RCOL ON RCOL.COLUMN_ID = FKC.REFERENCED_COLUMN_ID AND RCOL.OBJECT_ID = RTB.OBJECT_ID WHERE TB.NAME = 'users'"
+      });
+    });
+  }
+});
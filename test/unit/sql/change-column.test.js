@@ -52,6 +52,24 @@ if (current.dialect.name !== 'sqlite') {
         });
       });
 
+      it('replaces the default value', function(){
+        return current.getQueryInterface().changeColumn(Model.getTableName(), 'level_id', {
+          type: DataTypes.INTEGER,
+          allowNull: false,
+          defaultValue: 1
+        }).then(function(sql){
+          expectsql(sql, {
+            mssql: 'DECLARE @constraint NVARCHAR(128); SET @constraint = (SELECT d.name FROM sys.default_constraints d ' +
+              'INNER JOIN sys.columns c ON c.default_object_id = d.object_id AND c.object_id = d.parent_object_id ' +
+              "WHERE d.parent_object_id = OBJECT_ID('[users]') AND c.name = 'level_id'); " +
+              "IF @constraint IS NOT NULL EXEC('ALTER TABLE [users] DROP CONSTRAINT [' + @constraint + ']'); " +
+              'ALTER TABLE [users] ALTER COLUMN [level_id] INTEGER NOT NULL; ALTER TABLE [users] ADD DEFAULT 1 FOR [level_id];',
+            mysql: 'ALTER TABLE `users` CHANGE `level_id` `level_id` INTEGER NOT NULL DEFAULT 1;',
+            postgres: 'ALTER TABLE "users" ALTER COLUMN "level_id" SET NOT NULL;ALTER TABLE "users" ALTER COLUMN "level_id" SET DEFAULT 1;ALTER TABLE "users" ALTER COLUMN "level_id" TYPE INTEGER;',
+          });
+        });
+      });
+
       it('properly generate alter queries for foreign keys', function(){
         return current.getQueryInterface().changeColumn(Model.getTableName(), 'level_id', {
           type: DataTypes.INTEGER,
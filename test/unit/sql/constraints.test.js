@@ -0,0 +1,146 @@
+'use strict';
+
+/* jshint -W030, -W110 */
+var chai = require('chai')
+  , expect = chai.expect
+  , sinon = require('sinon')
+  , Support = require(__dirname + '/../support')
+  , DataTypes = require(__dirname + '/../../../lib/data-types')
+  , expectsql = Support.expectsql
+  , current = Support.sequelize
+  , sql = current.dialect.QueryGenerator
+  , Promise = current.Promise;
+
+describe(Support.getTestDialectTeaser('SQL'), function() {
+  describe('constraints', function() {
+    var Product = current.define('product', {
+      price: { type: DataTypes.INTEGER, check: 'price > 0' },
+      discount: DataTypes.INTEGER
+    }, { timestamps: false, checks: { discountBelowPrice: 'discount < price' } });
+
+    it('creates the CHECK constraints of the model and of its columns with the table', function() {
+      expectsql(sql.createTableQuery(Product.getTableName(), sql.attributesToSQL(Product.rawAttributes), Product.options), {
+        sqlite: 'CREATE TABLE IF NOT EXISTS `products` (`id` INTEGER PRIMARY KEY AUTOINCREMENT, `price` INTEGER CHECK (price > 0), `discount` INTEGER, ' +
+          'CONSTRAINT `discountBelowPrice` CHECK (discount < price));',
+        postgres: 'CREATE TABLE IF NOT EXISTS "products" ("id"   SERIAL , "price" INTEGER CHECK (price > 0), "discount" INTEGER, ' +
+          'CONSTRAINT "discountBelowPrice" CHECK (discount < price), PRIMARY KEY ("id"));',
+        mysql: 'CREATE TABLE IF NOT EXISTS `products` (`id` INTEGER NOT NULL auto_increment , `price` INTEGER CHECK (price > 0), `discount` INTEGER, ' +
+          'CONSTRAINT `discountBelowPrice` CHECK (discount < price), PRIMARY KEY (`id`)) ENGINE=InnoDB;',
+        mssql: "IF OBJECT_ID('[products]', 'U') IS NULL CREATE TABLE [products] ([id] INTEGER NOT NULL IDENTITY(1,1) , [price] INTEGER NULL CHECK (price > 0), " +
+          '[discount] INTEGER NULL, CONSTRAINT [discountBelowPrice] CHECK (discount < price), PRIMARY KEY ([id]));'
+      });
+    });
+
+    if (current.dialect.name !== 'sqlite') {
+      it('adds constraints of every type', function() {
+        expectsql(sql.addConstraintQuery('products', { type: 'check', check: current.literal('price > 0') }), {
+          default: 'ALTER TABLE [products] ADD CONSTRAINT [products_ck] CHECK (price > 0);'
+        });
+        expectsql(sql.addConstraintQuery('products', { type: 'UNIQUE', fields: ['name', 'sku'] }), {
+          default: 'ALTER TABLE [products] ADD CONSTRAINT [products_name_sku_uk] UNIQUE ([name], [sku]);'
+        });
+        expectsql(sql.addConstraintQuery('products', { type: 'PRIMARY KEY', name: 'products_pkey', fields: ['id'] }), {
+          default: 'ALTER TABLE [products] ADD CONSTRAINT [products_pkey] PRIMARY KEY ([id]);'
+        });
+        expectsql(sql.addConstraintQuery('products', {
+          type: 'FOREIGN KEY',
+          fields: ['userId'],
+          references: { model: 'users' },
+          onDelete: 'cascade'
+        }), {
+          default: 'ALTER TABLE [products] ADD CONSTRAINT [products_userId_fk] FOREIGN KEY ([userId]) REFERENCES [users] ([id]) ON DELETE CASCADE;'
+        });
+      });
+
+      it('throws on incomplete constraints', function() {
+        expect(function() {
+          sql.addConstraintQuery('products', { type: 'EXCLUDE' });
+        }).to.throw('Unknown constraint type EXCLUDE');
+        expect(function() {
+          sql.addConstraintQuery('products', { type: 'CHECK' });
+        }).to.throw('A CHECK constraint needs the check option');
+        expect(function() {
+          sql.addConstraintQuery('products', { type: 'UNIQUE' });
+        }).to.throw('A UNIQUE constraint needs the fields option');
+      });
+
+      it('removes constraints by their name', function() {
+        expectsql(sql.removeConstraintQuery('products', 'products_name_sku_uk', 'UNIQUE'), {
+          default: 'ALTER TABLE [products] DROP CONSTRAINT [products_name_sku_uk];',
+          mysql: 'ALTER TABLE `products` DROP INDEX `products_name_sku_uk`;'
+        });
+      });
+
+      describe('query interface', function() {
+        var queryInterface = current.getQueryInterface()
+          , rows;
+
+        before(function() {
+          this.stub = sinon.stub(current, 'query', function(query) {
+            return Promise.resolve(/^SELECT/.test(query) ? rows : query);
+          });
+        });
+
+        beforeEach(function() {
+          this.stub.reset();
+          rows = [
+            { constraint_name: 'products_pkey', constraint_type: 'PRIMARY KEY', column_name: 'id' },
+            { constraint_name: 'products_ck', constraint_type: 'CHECK', column_name: 'price', definition: 'CHECK ((price > 0))' },
+            {
+              constraint_name: 'products_fk',
+              constraint_type: 'FOREIGN KEY',
+              column_name: 'shopId',
+              referenced_table_name: 'branches',
+              referenced_column_name: 'shopId'
+            },
+            {
+              constraint_name: 'products_fk',
+              constraint_type: 'FOREIGN KEY',
+              column_name: 'branchId',
+              referenced_table_name: 'branches',
+              referenced_column_name: 'id'
+            }
+          ];
+        });
+
+        after(function() {
+          this.stub.restore();
+        });
+
+        it('lists the constraints of a table with their columns', function() {
+          return queryInterface.showConstraints('products').then(function(constraints) {
+            expect(constraints).to.deep.equal([
+              { name: 'products_pkey', type: 'PRIMARY KEY', fields: ['id'] },
+              { name: 'products_ck', type: 'CHECK', fields: ['price'], check: '((price > 0))' },
+              {
+                name: 'products_fk',
+                type: 'FOREIGN KEY',
+                fields: ['shopId', 'branchId'],
+                references: { table: 'branches', fields: ['shopId', 'id'] }
+              }
+            ]);
+          });
+        });
+
+        it('removes a constraint, looking its type up on mysql', function() {
+          var self = this;
+
+          return queryInterface.removeConstraint('products', 'products_fk', { logging: false }).then(function(query) {
+            expectsql(query, {
+              default: 'ALTER TABLE [products] DROP CONSTRAINT [products_fk];',
+              mysql: 'ALTER TABLE `products` DROP FOREIGN KEY `products_fk`;'
+            });
+            expect(self.stub.callCount).to.equal(current.dialect.name === 'mysql' ? 2 : 1);
+
+            return expect(queryInterface.removeConstraint('products', 'products_unknown_uk', { type: 'UNIQUE' })).to.be.fulfilled;
+          }).then(function() {
+            if (current.dialect.name === 'mysql') {
+              return expect(queryInterface.removeConstraint('products', 'products_unknown_uk'))
+                .to.be.rejectedWith('Unknown constraint products_unknown_uk of table products');
+            }
+          });
+        });
+      });
+    }
+  });
+});
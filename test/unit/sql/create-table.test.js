@@ -27,6 +27,23 @@ describe(Support.getTestDialectTeaser('SQL'), function() {
         });
       });
     });
+    if (current.dialect.supports.TSVECTOR) {
+      describe('with tsvector', function () {
+        var Post = current.define('post', {
+          title: DataTypes.STRING,
+          searchVector: DataTypes.TSVECTOR,
+          lastQuery: DataTypes.TSQUERY
+        }, {
+          timestamps: false
+        });
+
+        it('creates TSVECTOR and TSQUERY columns', function () {
+          expectsql(sql.createTableQuery(Post.getTableName(), sql.attributesToSQL(Post.rawAttributes), { }), {
+            postgres: 'CREATE TABLE IF NOT EXISTS "posts" ("id"   SERIAL , "title" VARCHAR(255), "searchVector" TSVECTOR, "lastQuery" TSQUERY, PRIMARY KEY ("id"));'
+          });
+        });
+      });
+    }
     if (current.dialect.name === 'postgres') {
       describe('IF NOT EXISTS version check', function() {
         var modifiedSQL = _.clone(sql);
@@ -1,5 +1,6 @@
 'use strict';
 
+/* jshint -W110 */
 var Support   = require(__dirname + '/../support')
   , DataTypes = require(__dirname + '/../../../lib/data-types')
   , Sequelize = Support.Sequelize
@@ -961,6 +962,73 @@ suite(Support.getTestDialectTeaser('SQL'), function() {
       });
     });
 
+    if (current.dialect.supports.TSVECTOR) {
+      suite('TSVECTOR', function () {
+        testsql('TSVECTOR', DataTypes.TSVECTOR, {
+          postgres: 'TSVECTOR'
+        });
+
+        test('should escape an array of lexemes', function () {
+          var field = { type: current.normalizeDataType(DataTypes.TSVECTOR) };
+
+          expectsql(current.dialect.QueryGenerator.escape([
+            { lexeme: 'cat', positions: [{ position: 3, weight: 'A' }, 5] },
+            { lexeme: 'fat', positions: [2], weight: 'B' },
+            "rat's"
+          ], field), {
+            postgres: "'''cat'':3A,5 ''fat'':2B ''rat''''s'''"
+          });
+        });
+
+        test('should escape a tsvector string as is', function () {
+          var field = { type: current.normalizeDataType(DataTypes.TSVECTOR) };
+
+          expectsql(current.dialect.QueryGenerator.escape("'cat':3A", field), {
+            postgres: "'''cat'':3A'"
+          });
+        });
+
+        suite('validate', function () {
+          test('should throw an error if `value` is invalid', function() {
+            var type = DataTypes.TSVECTOR();
+
+            expect(function () {
+              type.validate(12345);
+            }).to.throw(Sequelize.ValidationError, '12345 is not a valid tsvector');
+          });
+
+          test('should return `true` if `value` is an array or a string', function() {
+            var type = DataTypes.TSVECTOR();
+
+            expect(type.validate([{ lexeme: 'cat' }])).to.equal(true);
+            expect(type.validate("'cat':1")).to.equal(true);
+          });
+        });
+      });
+
+      suite('TSQUERY', function () {
+        testsql('TSQUERY', DataTypes.TSQUERY, {
+          postgres: 'TSQUERY'
+        });
+
+        suite('validate', function () {
+          test('should throw an error if `value` is invalid', function() {
+            var type = DataTypes.TSQUERY();
+
+            expect(function () {
+              type.validate(['cat']);
+            }).to.throw(Sequelize.ValidationError, '["cat"] is not a valid tsquery');
+          });
+
+          test('should return `true` if `value` is a string', function() {
+            var type = DataTypes.TSQUERY();
+
+            expect(type.validate("'cat' & 'dog'")).to.equal(true);
+          });
+        });
+      });
+    }
+
     if (current.dialect.supports.ARRAY) {
       suite('ARRAY', function () {
         testsql('ARRAY(VARCHAR)', DataTypes.ARRAY(DataTypes.STRING), {
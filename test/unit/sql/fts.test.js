@@ -0,0 +1,101 @@
+'use strict';
+
+/* jshint -W110 */
+var Support   = require(__dirname + '/../support')
+  , DataTypes = require(__dirname + '/../../../lib/data-types')
+  , expectsql = Support.expectsql
+  , current   = Support.sequelize
+  , sql       = current.dialect.QueryGenerator
+  , expect    = require('chai').expect;
+
+
+describe(Support.getTestDialectTeaser('SQL'), function() {
+  describe('fts', function () {
+    if (Support.getTestDialect() === 'sqlite') {
+      var Post = current.define('post', {
+        title: DataTypes.STRING,
+        body: {
+          type: DataTypes.TEXT,
+          field: 'post_body'
+        },
+        views: DataTypes.INTEGER
+      }, {
+        timestamps: false,
+        fts: { engine: 'fts5', tokenize: 'porter unicode61' }
+      });
+
+      describe('ftsTableQueries', function () {
+        it('creates an external content FTS5 table of the text attributes and the triggers syncing it', function () {
+          expect(sql.ftsTableQueries(Post)).to.deep.equal([
+            "CREATE VIRTUAL TABLE IF NOT EXISTS `posts_fts` USING fts5(`title`, `post_body`, content='posts', content_rowid='id', tokenize='porter unicode61');",
+            'CREATE TRIGGER IF NOT EXISTS `posts_fts_insert` AFTER INSERT ON `posts` BEGIN ' +
+              'INSERT INTO `posts_fts` (rowid, `title`, `post_body`) VALUES (new.`id`, new.`title`, new.`post_body`); END;',
+            'CREATE TRIGGER IF NOT EXISTS `posts_fts_delete` AFTER DELETE ON `posts` BEGIN ' +
+              "INSERT INTO `posts_fts` (`posts_fts`, rowid, `title`, `post_body`) VALUES ('delete', old.`id`, old.`title`, old.`post_body`); END;",
+            'CREATE TRIGGER IF NOT EXISTS `posts_fts_update` AFTER UPDATE ON `posts` BEGIN ' +
+              "INSERT INTO `posts_fts` (`posts_fts`, rowid, `title`, `post_body`) VALUES ('delete', old.`id`, old.`title`, old.`post_body`); " +
+              'INSERT INTO `posts_fts` (rowid, `title`, `post_body`) VALUES (new.`id`, new.`title`, new.`post_body`); END;'
+          ]);
+        });
+
+        it('indexes the given fields only', function () {
+          var Note = current.define('note', {
+            title: DataTypes.STRING,
+            body: DataTypes.TEXT
+          }, {
+            timestamps: false,
+            fts: { fields: ['body'], content: 'notes', table: 'note_search' }
+          });
+
+          expect(sql.ftsTableQueries(Note)[0]).to.equal(
+            "CREATE VIRTUAL TABLE IF NOT EXISTS `note_search` USING fts5(`body`, content='notes', content_rowid='id');"
+          );
+        });
+
+        it('throws on other engines', function () {
+          var Note = current.define('note', { body: DataTypes.TEXT }, { fts: { engine: 'fts3' } });
+
+          expect(function () {
+            sql.ftsTableQueries(Note);
+          }).to.throw('Unsupported full-text search engine "fts3", only fts5 is supported');
+        });
+      });
+
+      describe('ftsDropTableQuery', function () {
+        it('drops the FTS table', function () {
+          expectsql(sql.ftsDropTableQuery(Post), {
+            sqlite: 'DROP TABLE IF EXISTS `posts_fts`;'
+          });
+        });
+      });
+
+      describe('$match', function () {
+        it('searches every indexed column', function () {
+          expectsql(sql.whereItemQuery('title', { $match: { query: 'cat', fields: ['body'] } }, { model: Post, prefix: 'post' }), {
+            sqlite: "`post`.`id` IN (SELECT rowid FROM `posts_fts` WHERE `posts_fts` MATCH 'cat')"
+          });
+        });
+
+        it('restricts the search to the column with a column filter', function () {
+          expectsql(sql.whereItemQuery('title', { $match: 'cat OR "dog"' }, { model: Post }), {
+            sqlite: "`id` IN (SELECT rowid FROM `posts_fts` WHERE `posts_fts` MATCH '{\"title\"} : (cat OR \"dog\")')"
+          });
+        });
+
+        it('throws for models without fts', function () {
+          expect(function () {
+            sql.whereItemQuery('title', { $match: 'cat' }, { model: current.define('note', {}) });
+          }).to.throw('$match requires the fts option on the model');
+        });
+      });
+
+      describe('rank', function () {
+        it('ranks with bm25', function () {
+          expectsql(sql.textSearchRank({ title: { $match: 'cat' } }, { weights: [10, 1] }, Post), {
+            sqlite: "(SELECT -bm25(`posts_fts`, 10, 1) FROM `posts_fts` WHERE `posts_fts` MATCH '{\"title\"} : (cat)' AND rowid = `post`.`id`)"
+          });
+        });
+      });
+    }
+  });
+});
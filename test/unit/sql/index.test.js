@@ -1,6 +1,7 @@
 'use strict';
 
 var Support   = require(__dirname + '/../support')
+  , expect    = require('chai').expect
   , expectsql = Support.expectsql
   , current   = Support.sequelize
   , sql       = current.dialect.QueryGenerator
@@ -76,6 +77,49 @@ suite(Support.getTestDialectTeaser('SQL'), function() {
       });
     });
 
+    test('function naming', function () {
+      expectsql(sql.addIndexQuery('table', [current.fn('UPPER', current.col('test'))], {}, 'table'), {
+        default: 'CREATE INDEX [table_upper_test] ON [table] (UPPER([test]))',
+        mysql: 'ALTER TABLE `table` ADD INDEX `table_upper_test` (UPPER(`test`))'
+      });
+    });
+
+    if (current.dialect.supports.index.using === 2) {
+      test('expression fields', function () {
+        expectsql(sql.addIndexQuery('posts', {
+          fields: [current.fn('to_tsvector', 'english', current.col('title'))],
+          using: 'gin'
+        }, 'posts'), {
+          postgres: 'CREATE INDEX "posts_to_tsvector_english_title" ON "posts" USING gin (to_tsvector(\'english\', "title"))'
+        });
+
+        expectsql(sql.addIndexQuery('posts', {
+          fields: [{ attribute: current.literal('title || \' \' || body'), operator: 'gist_trgm_ops' }],
+          using: 'gist'
+        }, 'posts'), {
+          postgres: 'CREATE INDEX "posts_title_body" ON "posts" USING gist ((title || \' \' || body) gist_trgm_ops)'
+        });
+      });
+
+      test('long expression fields', function () {
+        var index = sql.nameIndexes([{
+          fields: [current.fn('to_tsvector', 'english', current.literal('coalesce(title, \'\') || \' \' || coalesce(summary, \'\') || \' \' || coalesce(body, \'\')'))]
+        }], 'posts')[0];
+
+        expect(index.name).to.match(/^posts_to_tsvector_english_coalesce_title_coalesce_summ_[0-9a-f]{8}$/);
+        expect(Buffer.byteLength(index.name)).to.equal(63);
+      });
+
+      test('operator class per field', function () {
+        expectsql(sql.addIndexQuery('posts', {
+          fields: ['id', { attribute: 'title', operator: 'gin_trgm_ops' }],
+          using: 'gin'
+        }, 'posts'), {
+          postgres: 'CREATE INDEX "posts_id_title" ON "posts" USING gin ("id", "title" gin_trgm_ops)'
+        });
+      });
+    }
+
     if (current.dialect.supports.index.using === 2) {
       test('USING', function () {
         expectsql(sql.addIndexQuery('table', {
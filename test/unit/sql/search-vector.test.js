@@ -0,0 +1,130 @@
+'use strict';
+
+/* jshint -W110 */
+var Support   = require(__dirname + '/../support')
+  , DataTypes = require(__dirname + '/../../../lib/data-types')
+  , expectsql = Support.expectsql
+  , current   = Support.sequelize
+  , sql       = current.dialect.QueryGenerator
+  , expect    = require('chai').expect
+  , sinon     = require('sinon')
+  , Promise   = current.Promise;
+
+
+describe(Support.getTestDialectTeaser('SQL'), function() {
+  describe('search vector', function () {
+    if (Support.getTestDialect() === 'postgres') {
+      var Post = current.define('post', {
+        title: DataTypes.STRING,
+        body: {
+          type: DataTypes.TEXT,
+          field: 'post_body'
+        },
+        searchVector: {
+          type: DataTypes.TSVECTOR,
+          field: 'search_vector',
+          searchSource: { title: 'A', body: 'b' },
+          config: 'english'
+        }
+      }, {
+        schema: 'foo'
+      });
+
+      describe('pgSearchVectorExpression', function () {
+        it('weighs every source', function () {
+          expectsql(sql.pgSearchVectorExpression(Post.rawAttributes.searchVector, { body: 'post_body' }), {
+            postgres: "setweight(to_tsvector('english', coalesce(\"title\"::text, '')), 'A') || setweight(to_tsvector('english', coalesce(\"post_body\"::text, '')), 'B')"
+          });
+        });
+
+        it('accepts an array of sources without weights', function () {
+          expectsql(sql.pgSearchVectorExpression({ searchSource: ['title', 'body'] }, {}, 'NEW.'), {
+            postgres: "to_tsvector(coalesce(NEW.\"title\"::text, '')) || to_tsvector(coalesce(NEW.\"body\"::text, ''))"
+          });
+        });
+
+        it('throws on an invalid weight', function () {
+          expect(function () {
+            sql.pgSearchVectorExpression({ searchSource: { title: 'E' } });
+          }).to.throw('Invalid weight "E" for search source title, expected one of: A, B, C, D');
+        });
+
+        it('throws without sources', function () {
+          expect(function () {
+            sql.pgSearchVectorExpression({ searchSource: [] });
+          }).to.throw('searchSource must name at least one attribute');
+        });
+      });
+
+      describe('pgSearchVectorTrigger', function () {
+        it('replaces the function and the trigger maintaining the column', function () {
+          expectsql(sql.pgSearchVectorTrigger(Post.getTableName(), 'search_vector', Post.rawAttributes.searchVector, { fields: { body: 'post_body' } }), {
+            postgres: 'DROP FUNCTION IF EXISTS "foo"."tsvector_posts_search_vector"() CASCADE; ' +
+              'CREATE FUNCTION "foo"."tsvector_posts_search_vector"()\nRETURNS trigger AS $func$\nBEGIN\n' +
+              "\tNEW.\"search_vector\" := setweight(to_tsvector('english', coalesce(NEW.\"title\"::text, '')), 'A') || setweight(to_tsvector('english', coalesce(NEW.\"post_body\"::text, '')), 'B');\n" +
+              "\tRETURN NEW;\nEND;\n$func$ language 'plpgsql'; " +
+              'CREATE TRIGGER "tsvector_posts_search_vector"\n\tBEFORE INSERT OR UPDATE OF "title", "post_body"\n\tON "foo"."posts"\n\t\n\tFOR EACH ROW\n\tEXECUTE PROCEDURE "foo"."tsvector_posts_search_vector"();'
+          });
+        });
+      });
+
+      describe('addColumnQuery', function () {
+        it('fills the column and creates the trigger', function () {
+          expectsql(sql.addColumnQuery('posts', 'searchVector', current.normalizeAttribute({
+            type: DataTypes.TSVECTOR,
+            searchSource: ['title']
+          })), {
+            postgres: 'ALTER TABLE "public"."posts" ADD COLUMN "searchVector" TSVECTOR; ' +
+              "UPDATE \"public\".\"posts\" SET \"searchVector\" = to_tsvector(coalesce(\"title\"::text, '')); " +
+              'DROP FUNCTION IF EXISTS "public"."tsvector_posts_searchVector"() CASCADE; ' +
+              'CREATE FUNCTION "public"."tsvector_posts_searchVector"()\nRETURNS trigger AS $func$\nBEGIN\n' +
+              "\tNEW.\"searchVector\" := to_tsvector(coalesce(NEW.\"title\"::text, ''));\n" +
+              "\tRETURN NEW;\nEND;\n$func$ language 'plpgsql'; " +
+              'CREATE TRIGGER "tsvector_posts_searchVector"\n\tBEFORE INSERT OR UPDATE OF "title"\n\tON "public"."posts"\n\t\n\tFOR EACH ROW\n\tEXECUTE PROCEDURE "public"."tsvector_posts_searchVector"();'
+          });
+        });
+      });
+
+      describe('addColumn', function () {
+        before(function () {
+          this.stub = sinon.stub(current, 'query', function (sql) {
+            return Promise.resolve(sql);
+          });
+        });
+
+        after(function () {
+          this.stub.restore();
+        });
+
+        it('computes the column from the columns of the sources, with the configuration of the model', function () {
+          var Article = current.define('article', {
+            articleTitle: { type: DataTypes.STRING, field: 'article_title' },
+            searchVector: { type: DataTypes.TSVECTOR, searchSource: ['articleTitle'] }
+          }, { textSearch: { config: 'english' } });
+
+          return current.getQueryInterface().addColumn('articles', 'searchVector', Article.rawAttributes.searchVector, { model: Article }).then(function (query) {
+            expectsql(query, {
+              postgres: 'ALTER TABLE "public"."articles" ADD COLUMN "searchVector" TSVECTOR; ' +
+                "UPDATE \"public\".\"articles\" SET \"searchVector\" = to_tsvector('english', coalesce(\"article_title\"::text, '')); " +
+                'DROP FUNCTION IF EXISTS "public"."tsvector_articles_searchVector"() CASCADE; ' +
+                'CREATE FUNCTION "public"."tsvector_articles_searchVector"()\nRETURNS trigger AS $func$\nBEGIN\n' +
+                "\tNEW.\"searchVector\" := to_tsvector('english', coalesce(NEW.\"article_title\"::text, ''));\n" +
+                "\tRETURN NEW;\nEND;\n$func$ language 'plpgsql'; " +
+                'CREATE TRIGGER "tsvector_articles_searchVector"\n\tBEFORE INSERT OR UPDATE OF "article_title"\n\tON "public"."articles"\n\t\n' +
+                '\tFOR EACH ROW\n\tEXECUTE PROCEDURE "public"."tsvector_articles_searchVector"();'
+            });
+            expect(this.stub.firstCall.args[1]).not.to.have.property('model');
+          }.bind(this));
+        });
+      });
+
+      describe('pgSearchVectorDrop', function () {
+        it('drops the function along with its trigger', function () {
+          expectsql(sql.pgSearchVectorDrop(Post.getTableName(), 'search_vector'), {
+            postgres: 'DROP FUNCTION IF EXISTS "foo"."tsvector_posts_search_vector"() CASCADE; '
+          });
+        });
+      });
+    }
+  });
+});
@@ -0,0 +1,126 @@
+'use strict';
+
+/* jshint -W110 */
+var Support   = require(__dirname + '/../support')
+  , expectsql = Support.expectsql
+  , current   = Support.sequelize
+  , sql       = current.dialect.QueryGenerator
+  , expect    = require('chai').expect;
+
+describe(Support.getTestDialectTeaser('SQL'), function() {
+  describe('text search configurations', function () {
+    if (Support.getTestDialect() === 'postgres') {
+      describe('createTextSearchConfigurationQuery', function () {
+        it('copies an existing configuration', function () {
+          expectsql(sql.createTextSearchConfigurationQuery('search.english_unaccent', { copy: 'english' }), {
+            postgres: 'CREATE TEXT SEARCH CONFIGURATION "search"."english_unaccent" (COPY = "english");'
+          });
+        });
+
+        it('starts from the default parser', function () {
+          expectsql(sql.createTextSearchConfigurationQuery('blank'), {
+            postgres: 'CREATE TEXT SEARCH CONFIGURATION "blank" (PARSER = "default");'
+          });
+        });
+
+        it('throws when given both a copy and a parser', function () {
+          expect(function () {
+            sql.createTextSearchConfigurationQuery('blank', { copy: 'english', parser: 'default' });
+          }).to.throw('A text search configuration copies another one or is created on a parser, not both');
+        });
+      });
+
+      describe('dropTextSearchConfigurationQuery', function () {
+        it('drops the configuration', function () {
+          expectsql(sql.dropTextSearchConfigurationQuery('english_unaccent', { ifExists: true, cascade: true }), {
+            postgres: 'DROP TEXT SEARCH CONFIGURATION IF EXISTS "english_unaccent" CASCADE;'
+          });
+        });
+      });
+
+      describe('alterTextSearchMappingQuery', function () {
+        it('alters the dictionaries of token types', function () {
+          expectsql(sql.alterTextSearchMappingQuery('english_unaccent', {
+            tokens: ['asciiword', 'word'],
+            dictionaries: ['my_synonyms', 'unaccent', 'english_stem']
+          }), {
+            postgres: 'ALTER TEXT SEARCH CONFIGURATION "english_unaccent" ALTER MAPPING FOR "asciiword", "word" WITH "my_synonyms", "unaccent", "english_stem";'
+          });
+        });
+
+        it('adds a mapping', function () {
+          expectsql(sql.alterTextSearchMappingQuery('blank', { action: 'add', tokens: 'asciiword', dictionaries: 'simple' }), {
+            postgres: 'ALTER TEXT SEARCH CONFIGURATION "blank" ADD MAPPING FOR "asciiword" WITH "simple";'
+          });
+        });
+
+        it('drops a mapping', function () {
+          expectsql(sql.alterTextSearchMappingQuery('blank', { action: 'drop', tokens: ['email', 'url'], ifExists: true }), {
+            postgres: 'ALTER TEXT SEARCH CONFIGURATION "blank" DROP MAPPING IF EXISTS FOR "email", "url";'
+          });
+        });
+
+        it('replaces a dictionary', function () {
+          expectsql(sql.alterTextSearchMappingQuery('english_unaccent', { replace: 'english_stem', dictionaries: 'search.english_ispell' }), {
+            postgres: 'ALTER TEXT SEARCH CONFIGURATION "english_unaccent" ALTER MAPPING REPLACE "english_stem" WITH "search"."english_ispell";'
+          });
+        });
+
+        it('throws on an unknown action', function () {
+          expect(function () {
+            sql.alterTextSearchMappingQuery('blank', { action: 'remove', tokens: 'email' });
+          }).to.throw('Unknown text search mapping action "remove", expected one of: add, alter, drop');
+        });
+
+        it('throws without dictionaries', function () {
+          expect(function () {
+            sql.alterTextSearchMappingQuery('blank', { tokens: 'email' });
+          }).to.throw('A text search mapping requires the dictionaries to look the tokens up in');
+        });
+      });
+
+      describe('listTextSearchMappingsQuery', function () {
+        it('lists the dictionaries of each token type in order', function () {
+          var config = "'\"search\".\"english_unaccent\"'::regconfig";
+
+          expectsql(sql.listTextSearchMappingsQuery('search.english_unaccent'), {
+            postgres: 'SELECT t.alias AS token, array_agg(d.dictname::text ORDER BY m.mapseqno) AS dictionaries ' +
+              'FROM ts_token_type((SELECT cfgparser FROM pg_catalog.pg_ts_config WHERE oid = ' + config + ')) t ' +
+              'JOIN pg_catalog.pg_ts_config_map m ON m.maptokentype = t.tokid AND m.mapcfg = ' + config + ' ' +
+              'JOIN pg_catalog.pg_ts_dict d ON d.oid = m.mapdict GROUP BY t.tokid, t.alias ORDER BY t.tokid;'
+          });
+        });
+      });
+
+      describe('createTextSearchDictionaryQuery', function () {
+        it('passes the options to the template', function () {
+          expectsql(sql.createTextSearchDictionaryQuery('astro_thesaurus', 'thesaurus', { dictFile: 'thesaurus_astro', dictionary: 'english_stem' }), {
+            postgres: "CREATE TEXT SEARCH DICTIONARY \"astro_thesaurus\" (TEMPLATE = \"thesaurus\", DICTFILE = 'thesaurus_astro', DICTIONARY = 'english_stem');"
+          });
+        });
+
+        it('throws on an invalid option name', function () {
+          expect(function () {
+            sql.createTextSearchDictionaryQuery('my_synonyms', 'synonym', { 'synonyms = x, rules': 'y' });
+          }).to.throw('Invalid text search dictionary option synonyms = x, rules');
+        });
+      });
+
+      describe('listTextSearchDictionariesQuery', function () {
+        it('lists the dictionaries of a schema', function () {
+          expectsql(sql.listTextSearchDictionariesQuery({ schema: 'search' }), {
+            postgres: 'SELECT d.dictname AS name, n.nspname AS schema, t.tmplname AS template, d.dictinitoption AS options ' +
+              'FROM pg_catalog.pg_ts_dict d JOIN pg_catalog.pg_namespace n ON n.oid = d.dictnamespace ' +
+              "JOIN pg_catalog.pg_ts_template t ON t.oid = d.dicttemplate WHERE n.nspname = 'search' ORDER BY n.nspname, d.dictname;"
+          });
+        });
+      });
+    } else {
+      it('throws on dialects without text search configurations', function () {
+        expect(function () {
+          sql.createTextSearchConfigurationQuery('english_unaccent', { copy: 'english' });
+        }).to.throw('Text search configurations are not supported by the ' + current.dialect.name + ' dialect');
+      });
+    }
+  });
+});
@@ -0,0 +1,90 @@
+'use strict';
+
+/* jshint -W030, -W110 */
+var Support   = require(__dirname + '/../support')
+  , DataTypes = require('../../../lib/data-types')
+  , chai = require('chai')
+  , expect = chai.expect
+  , sinon = require('sinon')
+  , Transaction = require('../../../lib/transaction')
+  , current   = Support.sequelize
+  , Promise = current.Promise;
+
+describe(Support.getTestDialectTeaser('SQL'), function() {
+  describe('trigram thresholds', function () {
+    var City = current.define('city', {
+      name: DataTypes.STRING
+    }, { timestamps: false });
+
+    before(function () {
+      var transaction = this.transaction = new Transaction(current);
+
+      this.query = sinon.stub(current, 'query', function () {
+        return Promise.resolve([]);
+      });
+      this.startTransaction = sinon.stub(current, 'transaction', function (fn) {
+        return Promise.resolve(fn(transaction));
+      });
+    });
+
+    beforeEach(function () {
+      this.query.reset();
+      this.startTransaction.reset();
+    });
+
+    after(function () {
+      this.query.restore();
+      this.startTransaction.restore();
+    });
+
+    if (current.dialect.supports.trigram) {
+      it('sets the thresholds in a new transaction before selecting', function () {
+        return City.findAll({
+          where: { name: { $similar: 'Berlni' } },
+          similarityThreshold: 0.2,
+          wordSimilarityThreshold: 0.5
+        }).bind(this).then(function () {
+          expect(this.startTransaction.calledOnce).to.be.ok;
+          expect(this.query.getCall(0).args[0]).to.equal(
+            'SET LOCAL pg_trgm.similarity_threshold = 0.2; SET LOCAL pg_trgm.word_similarity_threshold = 0.5;'
+          );
+          expect(this.query.getCall(0).args[1].transaction).to.equal(this.transaction);
+          expect(this.query.getCall(1).args[0]).to.contain('WHERE "city"."name" % \'Berlni\'');
+          expect(this.query.getCall(1).args[1].transaction).to.equal(this.transaction);
+        });
+      });
+
+      it('sets the thresholds in the transaction of the query', function () {
+        var transaction = new Transaction(current);
+
+        return City.count({
+          where: { name: { $wordSimilar: 'Berlni' } },
+          wordSimilarityThreshold: 0.4,
+          transaction: transaction
+        }).bind(this).then(function () {
+          expect(this.startTransaction.called).to.be.false;
+          expect(this.query.getCall(0).args[0]).to.equal('SET LOCAL pg_trgm.word_similarity_threshold = 0.4;');
+          expect(this.query.getCall(0).args[1].transaction).to.equal(transaction);
+          expect(this.query.getCall(1).args[1].transaction).to.equal(transaction);
+        });
+      });
+
+      it('does not start a transaction without thresholds', function () {
+        return City.findAll({ where: { name: { $similar: 'Berlni' } } }).bind(this).then(function () {
+          expect(this.startTransaction.called).to.be.false;
+          expect(this.query.calledOnce).to.be.ok;
+        });
+      });
+
+      it('throws on a threshold out of range', function () {
+        return expect(City.findAll({ where: { name: { $similar: 'Berlni' } }, similarityThreshold: 2 }))
+          .to.be.rejectedWith('similarityThreshold must be a number between 0 and 1, got 2');
+      });
+    } else {
+      it('throws on dialects without pg_trgm', function () {
+        return expect(City.findAll({ similarityThreshold: 0.2 }))
+          .to.be.rejectedWith('similarity thresholds are not supported by the ' + current.dialect.name + ' dialect');
+      });
+    }
+  });
+});
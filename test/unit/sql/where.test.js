@@ -4,6 +4,7 @@
 var Support   = require(__dirname + '/../support')
   , DataTypes = require(__dirname + '/../../../lib/data-types')
   , util      = require('util')
+  , expect    = require('chai').expect
   , expectsql = Support.expectsql
   , current   = Support.sequelize
   , sql       = current.dialect.QueryGenerator;
@@ -610,6 +611,387 @@ suite(Support.getTestDialectTeaser('SQL'), function() {
       });
     }
 
+    if (current.dialect.name === 'postgres') {
+      suite('$ftspg', function () {
+        testsql('body', {
+          $ftspg: 'cat & dog'
+        }, {
+          postgres: "\"body\" @@ to_tsquery('cat & dog')"
+        });
+
+        testsql('body', {
+          '@@': 'cat'
+        }, {
+          postgres: "\"body\" @@ to_tsquery('cat')"
+        });
+
+        testsql('body', {
+          $ftspg: { query: 'кошка', config: 'russian' }
+        }, {
+          postgres: "\"body\" @@ to_tsquery('russian', 'кошка')"
+        });
+
+        testsql('body', {
+          $ftspg: 'cat'
+        }, {
+          model: {
+            rawAttributes: {},
+            options: { textSearch: { config: 'english' } }
+          }
+        }, {
+          postgres: "\"body\" @@ to_tsquery('english', 'cat')"
+        });
+
+        testsql('body', {
+          $ftspg: { query: 'кошка', config: 'russian' }
+        }, {
+          model: {
+            rawAttributes: {},
+            options: { textSearch: { config: 'english' } }
+          }
+        }, {
+          postgres: "\"body\" @@ to_tsquery('russian', 'кошка')"
+        });
+
+        testsql('body', {
+          $ftspg: { query: 'red shoes', parser: 'plain' }
+        }, {
+          postgres: "\"body\" @@ plainto_tsquery('red shoes')"
+        });
+
+        testsql('body', {
+          $ftspg: { query: 'red shoes', parser: 'phrase', config: 'english' }
+        }, {
+          postgres: "\"body\" @@ phraseto_tsquery('english', 'red shoes')"
+        });
+
+        testsql('body', {
+          $ftspg: { query: '"red shoes" -boots', parser: 'websearch' }
+        }, {
+          postgres: "\"body\" @@ websearch_to_tsquery('\"red shoes\" -boots')"
+        });
+
+        testsql('body', {
+          $ftspg: '"foo'
+        }, {
+          model: {
+            rawAttributes: {},
+            options: { textSearch: { parser: 'websearch' } }
+          }
+        }, {
+          postgres: "\"body\" @@ websearch_to_tsquery('\"foo')"
+        });
+
+        test('throws on an unknown parser', function () {
+          expect(function () {
+            sql.whereItemQuery('body', { $ftspg: { query: 'cat', parser: 'fuzzy' } });
+          }).to.throw('Unknown text search parser "fuzzy"');
+        });
+
+        suite('Sequelize.tsquery', function () {
+          var tsquery = current.tsquery;
+
+          testsql('body', {
+            $ftspg: tsquery.and('cats!', tsquery.not(tsquery.prefix('dog')))
+          }, {
+            model: {
+              rawAttributes: {},
+              options: { textSearch: { parser: 'plain' } }
+            }
+          }, {
+            postgres: "\"body\" @@ to_tsquery('''cats!'' & !''dog'':*')"
+          });
+
+          test('binds the tsquery to the next parameter of a bind array', function () {
+            var bind = ['draft'];
+
+            expectsql(sql.whereItemQuery('body', { $ftspg: { query: tsquery.phrase('black', 'cat'), config: 'english' } }, { bind: bind }), {
+              postgres: "\"body\" @@ to_tsquery('english', $2)"
+            });
+            expect(bind).to.deep.equal(['draft', "'black' <-> 'cat'"]);
+          });
+
+          test('binds the tsquery to a new name of a bind hash', function () {
+            var bind = { sequelize1: 'taken' };
+
+            expectsql(sql.whereItemQuery('body', { $ftspg: tsquery.or('cat', 'dog') }, { bind: bind }), {
+              postgres: "\"body\" @@ to_tsquery($sequelize2)"
+            });
+            expect(bind.sequelize2).to.equal("'cat' | 'dog'");
+          });
+
+          test('throws with another parser', function () {
+            expect(function () {
+              sql.whereItemQuery('body', { $ftspg: { query: tsquery.and('cat', 'dog'), parser: 'websearch' } });
+            }).to.throw('A tsquery built with Sequelize.tsquery is read by to_tsquery, it can not use the websearch parser');
+          });
+        });
+      });
+    }
+
+    suite('$match', function () {
+      if (current.dialect.name === 'mysql') {
+        testsql('body', {
+          $match: 'cats dogs'
+        }, {
+          mysql: "MATCH (`body`) AGAINST ('cats dogs' IN NATURAL LANGUAGE MODE)"
+        });
+
+        testsql('title', {
+          $match: { query: '+cats -dogs', mode: 'boolean', fields: ['body'] }
+        }, {
+          prefix: 'Post'
+        }, {
+          mysql: "MATCH (`Post`.`title`, `Post`.`body`) AGAINST ('+cats -dogs' IN BOOLEAN MODE)"
+        });
+
+        testsql('title', {
+          $match: { query: 'database', fields: ['body'] }
+        }, {
+          model: {
+            rawAttributes: { body: { field: 'post_body' } },
+            options: { textSearch: { mode: 'expansion' } }
+          }
+        }, {
+          mysql: "MATCH (`title`, `post_body`) AGAINST ('database' WITH QUERY EXPANSION)"
+        });
+
+        test('throws on an unknown mode', function () {
+          expect(function () {
+            sql.whereItemQuery('body', { $match: { query: 'cat', mode: 'fuzzy' } });
+          }).to.throw('Unknown full-text search mode "fuzzy", expected one of: natural, boolean, expansion');
+        });
+
+        test('throws on $ftspg', function () {
+          expect(function () {
+            sql.whereItemQuery('body', { $ftspg: 'cat' });
+          }).to.throw('$ftspg is only supported by postgres, use $match for full-text search on mysql');
+        });
+      } else if (current.dialect.name === 'mssql') {
+        testsql('body', {
+          $match: 'cats AND dogs'
+        }, {
+          mssql: "CONTAINS([body], N'cats AND dogs')"
+        });
+
+        testsql('title', {
+          $match: { query: 'cats without dogs', mode: 'freetext', fields: ['body'], language: 1033 }
+        }, {
+          prefix: 'Post'
+        }, {
+          mssql: "FREETEXT(([Post].[title], [Post].[body]), N'cats without dogs', LANGUAGE 1033)"
+        });
+
+        testsql('title', {
+          $match: { query: 'database', fields: ['body'] }
+        }, {
+          model: {
+            rawAttributes: { body: { field: 'post_body' } },
+            options: { textSearch: { mode: 'freetext' } }
+          }
+        }, {
+          mssql: "FREETEXT(([title], [post_body]), N'database')"
+        });
+
+        test('binds the search to the next parameter of a bind array', function () {
+          var bind = ['draft'];
+
+          expectsql(sql.whereItemQuery('body', { $match: 'cats AND dogs' }, { bind: bind }), {
+            mssql: 'CONTAINS([body], $2)'
+          });
+          expect(bind).to.deep.equal(['draft', 'cats AND dogs']);
+        });
+
+        test('binds the search to a new name of a bind hash', function () {
+          var bind = { sequelize1: 'taken' };
+
+          expectsql(sql.whereItemQuery('body', { $match: { query: 'cats', mode: 'freetext', language: 1033 } }, { bind: bind }), {
+            mssql: 'FREETEXT([body], $sequelize2, LANGUAGE 1033)'
+          });
+          expect(bind.sequelize2).to.equal('cats');
+        });
+
+        test('throws on an unknown mode', function () {
+          expect(function () {
+            sql.whereItemQuery('body', { $match: { query: 'cat', mode: 'boolean' } });
+          }).to.throw('Unknown full-text search mode "boolean", expected one of: contains, freetext');
+        });
+
+        test('throws on $ftspg', function () {
+          expect(function () {
+            sql.whereItemQuery('body', { $ftspg: 'cat' });
+          }).to.throw('$ftspg is only supported by postgres, use $search or $match for full-text search on mssql');
+        });
+      } else if (current.dialect.name === 'sqlite') {
+        test('throws on $ftspg', function () {
+          expect(function () {
+            sql.whereItemQuery('body', { $ftspg: 'cat' });
+          }).to.throw('$ftspg is only supported by postgres, use $search or $match for full-text search on sqlite');
+        });
+      } else {
+        test('throws on dialects without full-text indexes', function () {
+          expect(function () {
+            sql.whereItemQuery('body', { $match: 'cat' });
+          }).to.throw('$match is not supported by the ' + current.dialect.name + ' dialect');
+        });
+      }
+    });
+
+    suite('$search', function () {
+      var Post = current.define('post', {
+        title: DataTypes.STRING,
+        body: {
+          type: DataTypes.TEXT,
+          field: 'post_body'
+        }
+      }, {
+        fts: {}
+      });
+
+      test('searches the words of the query', function () {
+        expectsql(sql.whereItemQuery('title', { $search: 'cats dogs' }, { model: Post, prefix: 'post' }), {
+          postgres: "to_tsvector(\"post\".\"title\") @@ plainto_tsquery('cats dogs')",
+          mysql: "MATCH (`post`.`title`) AGAINST ('cats dogs' IN NATURAL LANGUAGE MODE)",
+          mssql: "FREETEXT([post].[title], N'cats dogs')",
+          sqlite: "`post`.`id` IN (SELECT rowid FROM `posts_fts` WHERE `posts_fts` MATCH '{\"title\"} : (\"cats\" \"dogs\")')"
+        });
+      });
+
+      test('hands boolean queries to the search syntax of the dialect', function () {
+        expectsql(sql.whereItemQuery('title', { $search: { query: 'cats -dogs', mode: 'boolean', fields: ['body'] } }, { model: Post }), {
+          postgres: "(coalesce(to_tsvector(\"title\"), '') || coalesce(to_tsvector(\"post_body\"), '')) @@ to_tsquery('cats -dogs')",
+          mysql: "MATCH (`title`, `post_body`) AGAINST ('cats -dogs' IN BOOLEAN MODE)",
+          mssql: "CONTAINS(([title], [post_body]), N'cats -dogs')",
+          sqlite: "`id` IN (SELECT rowid FROM `posts_fts` WHERE `posts_fts` MATCH 'cats -dogs')"
+        });
+      });
+
+      test('searches phrases', function () {
+        expectsql(sql.whereItemQuery('title', { $search: { query: 'black cat', mode: 'phrase' } }, { model: Post }), {
+          postgres: "to_tsvector(\"title\") @@ phraseto_tsquery('black cat')",
+          mysql: "MATCH (`title`) AGAINST ('\\\"black cat\\\"' IN BOOLEAN MODE)",
+          mssql: "CONTAINS([title], N'\"black cat\"')",
+          sqlite: "`id` IN (SELECT rowid FROM `posts_fts` WHERE `posts_fts` MATCH '{\"title\"} : (\"black cat\")')"
+        });
+      });
+
+      if (current.dialect.supports.fullTextSearch.language) {
+        test('searches in the language given', function () {
+          expectsql(sql.whereItemQuery('title', { $search: { query: 'cats', language: 'english' } }, { model: Post }), {
+            postgres: "to_tsvector('english', \"title\") @@ plainto_tsquery('english', 'cats')",
+            mssql: "FREETEXT([title], N'cats', LANGUAGE 'english')"
+          });
+        });
+      } else {
+        test('throws when given a language', function () {
+          expect(function () {
+            sql.whereItemQuery('title', { $search: { query: 'cats', language: 'english' } }, { model: Post });
+          }).to.throw('$search does not take a language on ' + current.dialect.name + ', it is set on the full-text index');
+        });
+      }
+
+      if (current.dialect.supports.TSVECTOR) {
+        testsql('document', {
+          $search: { query: 'cats', language: 'english' }
+        }, {
+          model: {
+            rawAttributes: { doc: { field: 'document', type: new DataTypes.TSVECTOR() } }
+          }
+        }, {
+          postgres: "\"document\" @@ plainto_tsquery('english', 'cats')"
+        });
+      }
+
+      test('throws on an unknown mode', function () {
+        expect(function () {
+          sql.whereItemQuery('title', { $search: { query: 'cats', mode: 'expansion' } }, { model: Post });
+        }).to.throw('Unknown $search mode "expansion", expected one of: natural, boolean, phrase');
+      });
+
+      test('throws without a query', function () {
+        expect(function () {
+          sql.whereItemQuery('title', { $search: { mode: 'phrase' } }, { model: Post });
+        }).to.throw('$search requires a query string, got undefined');
+      });
+    });
+
+    suite('$search across includes', function () {
+      var Post = current.define('post', { title: DataTypes.STRING }, { fts: {} })
+        , Comment = current.define('comment', {
+          body: {
+            type: DataTypes.TEXT,
+            field: 'comment_body'
+          }
+        }, { fts: {} })
+        , User = current.define('user', { name: DataTypes.STRING }, { fts: {} });
+
+      Post.hasMany(Comment);
+      Post.belongsTo(User, { as: 'author' });
+      Comment.belongsTo(User, { as: 'author' });
+
+      test('searches the fields of the model and of its includes', function () {
+        expectsql(sql.whereItemsQuery({
+          $search: { query: 'cat', fields: ['title', 'comments.body', 'comments.author.name'] }
+        }, { model: Post, prefix: 'post' }), {
+          postgres: "(coalesce(to_tsvector(\"post\".\"title\"), '') || coalesce(to_tsvector(\"comments\".\"comment_body\"), '') || " +
+            "coalesce(to_tsvector(\"comments.author\".\"name\"), '')) @@ plainto_tsquery('cat')",
+          mysql: "(MATCH (`post`.`title`) AGAINST ('cat' IN NATURAL LANGUAGE MODE) OR " +
+            "MATCH (`comments`.`comment_body`) AGAINST ('cat' IN NATURAL LANGUAGE MODE) OR " +
+            "MATCH (`comments.author`.`name`) AGAINST ('cat' IN NATURAL LANGUAGE MODE))",
+          mssql: "(FREETEXT([post].[title], N'cat') OR FREETEXT([comments].[comment_body], N'cat') OR FREETEXT([comments.author].[name], N'cat'))",
+          sqlite: "(`post`.`id` IN (SELECT rowid FROM `posts_fts` WHERE `posts_fts` MATCH '\"cat\"') OR " +
+            "`comments`.`id` IN (SELECT rowid FROM `comments_fts` WHERE `comments_fts` MATCH '\"cat\"') OR " +
+            "`comments.author`.`id` IN (SELECT rowid FROM `users_fts` WHERE `users_fts` MATCH '\"cat\"'))"
+        });
+      });
+
+      test('searches several columns of an include together', function () {
+        expectsql(sql.whereItemsQuery({
+          $search: { query: 'cat', mode: 'boolean', fields: ['author.name', 'author.id'] },
+          title: 'x'
+        }, { model: Post, prefix: 'post' }), {
+          postgres: "(coalesce(to_tsvector(\"author\".\"name\"), '') || coalesce(to_tsvector(\"author\".\"id\"), '')) @@ to_tsquery('cat') AND \"post\".\"title\" = 'x'",
+          mysql: "MATCH (`author`.`name`, `author`.`id`) AGAINST ('cat' IN BOOLEAN MODE) AND `post`.`title` = 'x'",
+          mssql: "CONTAINS(([author].[name], [author].[id]), N'cat') AND [post].[title] = N'x'",
+          sqlite: "`author`.`id` IN (SELECT rowid FROM `users_fts` WHERE `users_fts` MATCH 'cat') AND `post`.`title` = 'x'"
+        });
+      });
+
+      test('throws on a path that is not an association', function () {
+        expect(function () {
+          sql.whereItemsQuery({ $search: { query: 'cat', fields: ['comments.editor.name'] } }, { model: Post, prefix: 'post' });
+        }).to.throw('$search field comments.editor.name does not name an association of comment with editor');
+      });
+
+      test('throws without fields', function () {
+        expect(function () {
+          sql.whereItemsQuery({ $search: 'cat' }, { model: Post, prefix: 'post' });
+        }).to.throw('$search at the top level of where requires the fields to search');
+      });
+    });
+
+    suite('$similar', function () {
+      if (current.dialect.supports.trigram) {
+        testsql('title', {
+          $similar: 'wrld'
+        }, {
+          postgres: "\"title\" % 'wrld'"
+        });
+
+        testsql('title', {
+          $wordSimilar: 'wrld'
+        }, {
+          postgres: "\"title\" %> 'wrld'"
+        });
+      } else {
+        test('throws on dialects without pg_trgm', function () {
+          expect(function () {
+            sql.whereItemQuery('title', { $similar: 'wrld' });
+          }).to.throw('$similar and $wordSimilar are not supported by the ' + current.dialect.name + ' dialect');
+        });
+      }
+    });
+
     if (current.dialect.supports.JSON) {
       suite('JSON', function () {
         test('sequelize.json("profile->>\'id\', sequelize.cast(2, \'text\')")', function () {
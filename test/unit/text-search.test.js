@@ -0,0 +1,188 @@
+'use strict';
+
+/* jshint -W030, -W110 */
+var chai = require('chai')
+  , expect = chai.expect
+  , sinon = require('sinon')
+  , Support = require(__dirname + '/support')
+  , DataTypes = require(__dirname + '/../../lib/data-types')
+  , Sequelize = require(__dirname + '/../../index')
+  , current = Support.sequelize
+  , Promise = current.Promise;
+
+describe(Support.getTestDialectTeaser('textSearch'), function() {
+  if (current.dialect.name === 'postgres') {
+    var rows = [];
+
+    before(function () {
+      this.query = sinon.stub(current, 'query', function () {
+        return Promise.resolve(rows.shift());
+      });
+    });
+
+    beforeEach(function () {
+      this.query.reset();
+    });
+
+    after(function () {
+      this.query.restore();
+    });
+
+    describe('debug', function () {
+      it('returns the tokens of ts_debug and the vector of the text', function () {
+        var tokens = [{ alias: 'asciiword', token: 'cats', dictionaries: ['english_stem'], dictionary: 'english_stem', lexemes: ['cat'] }]
+          , vector = [{ lexeme: 'cat', positions: [{ position: 1, weight: 'D' }] }];
+
+        rows = [tokens, { vector: vector }];
+
+        return current.textSearch.debug("cat's", { config: 'english', logging: false }).bind(this).then(function (result) {
+          expect(result).to.deep.equal({ tokens: tokens, vector: vector });
+
+          expect(this.query.getCall(0).args[0]).to.equal(
+            'SELECT alias, description, token, dictionaries::text[] AS dictionaries, dictionary::text AS dictionary, lexemes ' +
+            "FROM ts_debug('english', 'cat''s');"
+          );
+          expect(this.query.getCall(0).args[1]).to.include({ plain: false, raw: true, logging: false });
+          expect(this.query.getCall(0).args[1]).not.to.have.property('config');
+          expect(this.query.getCall(1).args[0]).to.equal("SELECT to_tsvector('english', 'cat''s') AS vector;");
+        });
+      });
+    });
+
+    describe('parseQuery', function () {
+      it('normalizes the search and lists its lexemes', function () {
+        rows = [{ query: "'cat' & 'dog':*A", indexed: "'cat' & 'dog':*A", nodes: 3 }];
+
+        return current.textSearch.parseQuery('cats & dog:*A', { config: 'english' }).bind(this).then(function (result) {
+          expect(result).to.deep.equal({
+            query: "'cat' & 'dog':*A",
+            lexemes: [
+              { lexeme: 'cat', prefix: false, weights: [] },
+              { lexeme: 'dog', prefix: true, weights: ['A'] }
+            ],
+            indexed: "'cat' & 'dog':*A",
+            nodes: 3
+          });
+
+          var tsquery = "to_tsquery('english', 'cats & dog:*A')";
+          expect(this.query.getCall(0).args[0]).to.equal(
+            'SELECT ' + tsquery + '::text AS query, querytree(' + tsquery + ') AS indexed, numnode(' + tsquery + ') AS nodes;'
+          );
+        });
+      });
+
+      it('reads the value as $ftspg does', function () {
+        rows = [{ query: "'black' <-> 'cat'", indexed: "'black' <-> 'cat'", nodes: 3 }];
+
+        return current.textSearch.parseQuery({ query: 'black cat', parser: 'phrase' }, { config: 'english' }).bind(this).then(function () {
+          expect(this.query.getCall(0).args[0]).to.contain("phraseto_tsquery('english', 'black cat')::text AS query");
+        });
+      });
+    });
+
+    describe('logTextSearch', function () {
+      var Post = current.define('post', {
+        doc: DataTypes.TSVECTOR
+      }, { timestamps: false, textSearch: { config: 'english' } });
+
+      it('logs the tsquery of every $ftspg condition before the query', function () {
+        var logging = sinon.spy();
+
+        rows = [{ query: "'cat'" }, { query: "'dog'" }, []];
+
+        return Post.findAll({
+          where: { $or: [{ doc: { $ftspg: 'cats' } }, { doc: { $ftspg: { query: 'dogs', parser: 'plain' } } }] },
+          logTextSearch: true,
+          logging: logging
+        }).bind(this).then(function () {
+          expect(this.query.getCall(0).args[0]).to.contain("to_tsquery('english', 'cats')::text AS query");
+          expect(this.query.getCall(0).args[1].logging).to.be.false;
+          expect(this.query.getCall(1).args[0]).to.contain("plainto_tsquery('english', 'dogs')::text AS query");
+          expect(this.query.getCall(2).args[0]).to.match(/^SELECT "id", "doc" FROM "posts"/);
+
+          expect(logging.args).to.deep.equal([["Text search on doc: 'cat'"], ["Text search on doc: 'dog'"]]);
+        });
+      });
+    });
+  } else {
+    it('throws on dialects other than postgres', function () {
+      return expect(current.textSearch.parseQuery('cats')).to.be.rejectedWith('Text search debugging is not supported by the ' + current.dialect.name + ' dialect');
+    });
+  }
+
+  describe('matches', function () {
+    var Article = current.define('article', {
+      title: DataTypes.STRING,
+      body: DataTypes.TEXT,
+      search: {
+        type: DataTypes.TSVECTOR,
+        searchSource: { title: 'A', body: 'D' }
+      }
+    }, { timestamps: false, textSearch: { config: 'english' } });
+
+    var article = Article.build({ title: 'Running cats', body: 'The black cat sleeps in the sun, the dogs are barking' })
+      , matches = Sequelize.textSearch.matches;
+
+    it('stems the text and the search with the english configuration', function () {
+      expect(matches(article, { body: { $ftspg: 'sleeping & dog' } })).to.be.true;
+      expect(matches(article, { body: { $ftspg: 'sleeping & bird' } })).to.be.false;
+      expect(matches(article, { body: { $ftspg: 'bark:* | bird' } })).to.be.true;
+      expect(matches(article, { body: { $ftspg: 'cat & !bird' } })).to.be.true;
+      expect(matches(article, { body: { $ftspg: '!(cat | bird)' } })).to.be.false;
+    });
+
+    it('matches phrases with the positions of stop words', function () {
+      expect(matches(article, { body: { $ftspg: 'black <-> cat' } })).to.be.true;
+      expect(matches(article, { body: { $ftspg: 'cat <-> black' } })).to.be.false;
+      expect(matches(article, { body: { $ftspg: 'sleep <3> sun' } })).to.be.true;
+      expect(matches(article, { body: { $ftspg: { query: 'sleeps in the sun', parser: 'phrase' } } })).to.be.true;
+      expect(matches(article, { body: { $ftspg: "'in the sun' & 'black cats'" } })).to.be.true;
+    });
+
+    it('reads every parser of $ftspg', function () {
+      expect(matches(article, { body: { $ftspg: { query: 'the cats & dogs', parser: 'plain' } } })).to.be.true;
+      expect(matches(article, { body: { $ftspg: { query: '"black cat" -bird', parser: 'websearch' } } })).to.be.true;
+      expect(matches(article, { body: { $ftspg: { query: '"black dog" or birds', parser: 'websearch' } } })).to.be.false;
+      expect(matches(article, { body: { $ftspg: Sequelize.tsquery.and(Sequelize.tsquery.prefix('sle'), 'sun') } })).to.be.true;
+    });
+
+    it('builds the vector of a TSVECTOR attribute from its weighted search sources', function () {
+      expect(matches(article, { search: { $ftspg: 'run:A & cat:A' } })).to.be.true;
+      expect(matches(article, { search: { $ftspg: 'sun:A' } })).to.be.false;
+      expect(matches(article, { search: { $ftspg: 'cat <-> black' } })).to.be.false;
+      expect(matches(article, { search: { $ftspg: 'sun:D' } })).to.be.true;
+    });
+
+    it('uses the value of a TSVECTOR attribute as it is', function () {
+      var stored = Article.build({ search: [{ lexeme: 'cat', positions: [{ position: 2, weight: 'A' }] }, 'dog'] });
+
+      expect(matches(stored, { search: { $ftspg: 'cats:A & dog' } })).to.be.true;
+      expect(matches(stored, { search: { $ftspg: 'cat:B' } })).to.be.false;
+    });
+
+    it('combines conditions and reads plain objects', function () {
+      var record = { title: 'Cats', body: 'Cats sleep' };
+
+      expect(matches(record, { $or: [{ title: { $ftspg: 'dog' } }, { body: { $ftspg: 'sleep' } }] })).to.be.true;
+      expect(matches(record, { title: { $ftspg: 'cat' }, $not: { body: { $ftspg: 'sleep' } } })).to.be.false;
+      expect(matches(record, { title: { $ftspg: { query: 'the', config: 'simple' } } })).to.be.false;
+      expect(matches({ title: null }, { title: { $ftspg: 'cat' } })).to.be.false;
+    });
+
+    it('does not match a search made only of stop words', function () {
+      expect(matches(article, { body: { $ftspg: 'the & in' } })).to.be.false;
+    });
+
+    it('throws on other conditions and configurations', function () {
+      expect(function () {
+        matches(article, { title: 'Running cats' });
+      }).to.throw("Only $ftspg conditions can be matched in memory, got title: 'Running cats'");
+      expect(function () {
+        matches(article, { title: { $ftspg: { query: 'cat', config: 'french' } } });
+      }).to.throw('The french text search configuration can not be matched in memory, only simple and english can');
+      expect(function () {
+        matches(article, { title: { $ftspg: 'cat & (dog' } });
+      }).to.throw("Syntax error in tsquery: 'cat & (dog'");
+    });
+  });
+});
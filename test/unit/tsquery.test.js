@@ -0,0 +1,47 @@
+'use strict';
+
+/* jshint -W110 */
+var chai = require('chai')
+  , expect = chai.expect
+  , Support = require(__dirname + '/support')
+  , Sequelize = require(__dirname + '/../../index')
+  , tsquery = Sequelize.tsquery;
+
+suite(Support.getTestDialectTeaser('tsquery'), function() {
+  test('quotes lexemes, doubling quotes and backslashes', function () {
+    expect(tsquery.and("it's", 'a:b', 'c\\d').toString()).to.equal("'it''s' & 'a:b' & 'c\\\\d'");
+  });
+
+  test('keeps operator characters inside lexemes', function () {
+    expect(tsquery.or('cats!', '(dogs)', 'b&w | *').toString()).to.equal("'cats!' | '(dogs)' | 'b&w | *'");
+  });
+
+  test('parenthesizes nested operators', function () {
+    expect(tsquery.and('cat', tsquery.or('dog', tsquery.prefix('bir')), tsquery.not(tsquery.and('fish', 'tank'))).toString())
+      .to.equal("'cat' & ('dog' | 'bir':*) & !('fish' & 'tank')");
+  });
+
+  test('returns a single operand as it is', function () {
+    expect(tsquery.and(tsquery.not('cat')).toString()).to.equal("!'cat'");
+  });
+
+  test('builds phrases with a distance', function () {
+    expect(tsquery.phrase('black', 'cat').toString()).to.equal("'black' <-> 'cat'");
+    expect(tsquery.phrase('black', tsquery.prefix('ca'), { distance: 2 }).toString()).to.equal("'black' <2> 'ca':*");
+  });
+
+  test('throws on invalid input', function () {
+    expect(function () {
+      tsquery.or();
+    }).to.throw('tsquery.or requires at least one operand');
+    expect(function () {
+      tsquery.and('cat', '');
+    }).to.throw("tsquery lexemes must be non empty strings, got ''");
+    expect(function () {
+      tsquery.prefix(42);
+    }).to.throw('tsquery lexemes must be non empty strings, got 42');
+    expect(function () {
+      tsquery.phrase('black', 'cat', { distance: -1 });
+    }).to.throw('tsquery.phrase distance must be a non negative integer, got -1');
+  });
+});